@@ -1,130 +1,95 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Camera, Activity, CheckCircle, AlertCircle } from 'lucide-react';
-
-// Deterministic risk calculation based on actual Parkinson's facial biomarkers
-const calculateRiskFromSignals = (blinkRate, rigidity, asymmetry) => {
-  // CLINICAL RESEARCH DATA (from multiple studies):
-  // 
-  // BLINK RATE:
-  //   - Healthy controls: 12-20 blinks/minute during conversation
-  //   - Parkinson's patients: 3-10 blinks/minute (significantly REDUCED)
-  //   - Key: LOW blink rate = HIGH RISK
-  // 
-  // FACIAL MOTION:
-  //   - Healthy: expressive, visible movement (motion score typically 1.5-4.0)
-  //   - Parkinson's: "masked face" with reduced motion (motion score 0.3-1.0)
-  //   - Key: LOW motion = HIGH RISK
-  // 
-  // ASYMMETRY:
-  //   - Healthy: slight asymmetry is normal (0.01-0.03)
-  //   - Parkinson's: often more asymmetric, especially early stage (0.04-0.08)
-  //   - Key: HIGH asymmetry = HIGHER RISK (but less important than other factors)
-  
-  let riskScore = 0;
-  let blinkPoints = 0;
-  let motionPoints = 0;
-  let asymPoints = 0;
-  
-  // 1️⃣ BLINK RATE ANALYSIS (40% weight = 40 max points)
-  // Research shows this is the STRONGEST biomarker
-  if (blinkRate >= 17) {
-    blinkPoints = 0; // High blink rate - very healthy
-  } else if (blinkRate >= 13) {
-    blinkPoints = 0; // Normal range - healthy
-  } else if (blinkRate >= 10) {
-    blinkPoints = 12; // Slightly low - borderline
-  } else if (blinkRate >= 7) {
-    blinkPoints = 28; // Low - concerning (Parkinson's range)
-  } else if (blinkRate >= 4) {
-    blinkPoints = 36; // Very low - high concern
-  } else {
-    blinkPoints = 40; // Extremely low - very high concern
-  }
-  
-  // 2️⃣ FACIAL MOTION ANALYSIS (35% weight = 35 max points)
-  // Higher values = more expressive = healthier
-  const motionScore = rigidity * 1000;
-  
-  if (motionScore >= 4.0) {
-    motionPoints = 0; // Very expressive - healthy
-  } else if (motionScore >= 2.5) {
-    motionPoints = 0; // Expressive - healthy
-  } else if (motionScore >= 1.5) {
-    motionPoints = 5; // Slightly reduced - minimal concern
-  } else if (motionScore >= 1.0) {
-    motionPoints = 15; // Reduced - borderline
-  } else if (motionScore >= 0.6) {
-    motionPoints = 26; // Low motion - concerning (Parkinson's range)
-  } else {
-    motionPoints = 35; // Very rigid "masked face" - high concern
-  }
-  
-  // 3️⃣ ASYMMETRY ANALYSIS (25% weight = 25 max points)
-  // Slight asymmetry (0.01-0.03) is completely normal in healthy people
-  if (asymmetry < 0.035) {
-    asymPoints = 0; // Normal range - healthy
-  } else if (asymmetry < 0.05) {
-    asymPoints = 8; // Slightly elevated - minimal concern
-  } else if (asymmetry < 0.07) {
-    asymPoints = 16; // Moderate asymmetry - concerning
-  } else {
-    asymPoints = 25; // High asymmetry - high concern
-  }
-  
-  riskScore = blinkPoints + motionPoints + asymPoints;
-  
-  // Log breakdown for debugging
-  console.log('🔍 Risk Score Breakdown:', {
-    'Blink Points': `${blinkPoints}/40 (rate: ${blinkRate.toFixed(1)}/min)`,
-    'Motion Points': `${motionPoints}/35 (score: ${motionScore.toFixed(2)})`,
-    'Asymmetry Points': `${asymPoints}/25 (value: ${asymmetry.toFixed(4)})`,
-    'TOTAL RISK': `${riskScore}/100`
-  });
-  
-  // Final risk percentage
-  const riskPercentage = Math.round(riskScore);
-  
-  let level = 'Low';
-  let color = '#4CAF50';
-  
-  // Thresholds based on clinical significance
-  if (riskPercentage >= 45) {
-    level = 'High';
-    color = '#EF4444';
-  } else if (riskPercentage >= 20) {
-    level = 'Medium';
-    color = '#F28C38';
-  }
-  // 0-19% = Low risk
-  
-  return { 
-    percentage: riskPercentage, 
-    level, 
-    color,
-    details: {
-      blinkRate: blinkRate,
-      motion: motionScore,
-      asymmetry: asymmetry
-    }
-  };
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { Camera, Activity, CheckCircle, AlertCircle, AlertOctagon, AlertTriangle, Film, Download, RotateCcw, History, Trash2, Printer, Send } from 'lucide-react';
+import CameraScreen from './components/CameraScreen';
+import { DEFAULT_PROTOCOL, PROTOCOLS } from './lib/protocol';
+import { getModel } from './lib/scoring';
+import { HISTORY_METRICS, compareToBaseline, deleteResult, listResults, metricSeries, saveResult } from './lib/history';
+import { toFhirBundle } from './lib/fhir';
+import { BridgeError, applyHostConfig, createHostBridge, describeConfig, isRuntimeConfig } from './lib/hostBridge';
+import { reportComponents, reportMetrics, reportSpeech, reportVitals } from './lib/report';
+import { ACCEPTED_VIDEO_TYPES } from './lib/videoReplay';
+import { DEFAULT_OVERLAY_MODE } from './lib/overlay';
+import { LANGUAGE_NAMES, browserLanguage, createI18n } from './lib/i18n';
+import { createVoiceGuide, supportsVoiceGuide } from './lib/voiceGuide';
+import { DEFAULT_THEME, prefersHighContrast, riskColor } from './lib/theme';
+import {
+  captureToJSON,
+  captureToCSV,
+  downloadText
+} from './lib/landmarkCapture';
+
+// Text with <b>…</b> runs from a catalog message, the runs in bold
+const richText = (message) =>
+  message.split(/<b>(.*?)<\/b>/).map((part, i) => (i % 2 ? <strong key={i}>{part}</strong> : part));
+
+// A model's risk level in the UI language
+const levelText = (level, { t }) => t(`levels.${level}`, {}, level);
+
+// Width of a metric bar that `full` fills; empty when the metric is missing
+const barWidth = (value, full) => `${Number.isFinite(value) ? Math.min(100, (value / full) * 100) : 0}%`;
+
+// Each risk level has its own icon, so the level never rests on colour alone
+const LEVEL_ICONS = {
+  Low: CheckCircle,
+  Medium: AlertCircle,
+  High: AlertOctagon,
+  Inconclusive: AlertTriangle
 };
 
+const LevelIcon = ({ level, ...props }) => React.createElement(LEVEL_ICONS[level] ?? AlertCircle, props);
+
+// A result screen's summary: focused on arrival, so screen readers read it
+// first, and spoken with voice guidance. Returns the ref for the summary.
+const useResultSummary = (text, { voiceGuidance, locale }) => {
+  const summaryRef = useRef(null);
+
+  useEffect(() => {
+    summaryRef.current?.focus();
+    if (!voiceGuidance) return undefined;
+    const voice = createVoiceGuide({ locale });
+    voice.speak(text);
+    return () => voice.dispose();
+    // Once, on arrival: a settings change on the screen isn't a new result
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return summaryRef;
+};
+
+// On/off setting as an accessible switch
+const Toggle = ({ label, hint, checked, onChange }) => (
+  <button
+    type="button"
+    role="switch"
+    aria-checked={checked}
+    onClick={() => onChange(!checked)}
+    className="w-full flex items-center justify-between gap-4 py-2 text-left"
+  >
+    <span>
+      <span className="block text-sm font-semibold text-gray-700">{label}</span>
+      <span className="block text-xs text-gray-500">{hint}</span>
+    </span>
+    <span className={`relative flex-shrink-0 w-11 h-6 rounded-full transition-colors ${checked ? 'bg-blue-500' : 'bg-gray-300'}`}>
+      <span className={`absolute top-0.5 left-0.5 w-5 h-5 rounded-full bg-white shadow transition-transform ${checked ? 'translate-x-5' : ''}`} />
+    </span>
+  </button>
+);
+
 // Home Screen
-const HomeScreen = ({ onStart }) => (
+const HomeScreen = ({ i18n: { t }, voiceGuidance, theme, onVoiceGuidance, onTheme, onStart, onReplay, onHistory }) => (
   <div className="min-h-screen bg-white flex items-center justify-center p-6">
     <div className="max-w-md w-full text-center">
       <div className="mb-8">
         <div className="w-20 h-20 bg-gradient-to-br from-blue-400 to-blue-500 rounded-3xl mx-auto mb-6 flex items-center justify-center shadow-lg">
           <Camera className="w-10 h-10 text-white" />
         </div>
-        <h1 className="text-3xl font-bold text-gray-800 mb-3">Facial Assessment</h1>
-        <p className="text-gray-500 text-lg">AI-based facial micro-expression screening</p>
+        <h1 className="text-3xl font-bold text-gray-800 mb-3">{t('home.title')}</h1>
+        <p className="text-gray-500 text-lg">{t('home.subtitle')}</p>
       </div>
       
       <div className="bg-blue-50 rounded-2xl p-6 mb-8 shadow-sm">
         <p className="text-gray-600 text-sm leading-relaxed">
-          This assessment analyzes facial movements, blink patterns, and expression symmetry 
-          to provide early screening insights for Parkinson's disease.
+          {t('home.intro')}
         </p>
       </div>
       
@@ -132,544 +97,55 @@ const HomeScreen = ({ onStart }) => (
         onClick={onStart}
         className="w-full bg-orange-500 hover:bg-orange-600 text-white font-semibold py-4 px-8 rounded-2xl shadow-lg transition-all duration-200 transform hover:scale-105"
       >
-        Start Facial Test
+        {t('home.start')}
       </button>
-    </div>
-  </div>
-);
 
-// Camera & Recording Screen
-const CameraScreen = ({ onComplete }) => {
-  const [recording, setRecording] = useState(false);
-  const [timeLeft, setTimeLeft] = useState(30);
-  const [cameraReady, setCameraReady] = useState(false);
-  const [cameraError, setCameraError] = useState(null);
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const streamRef = useRef(null);
-  const animationRef = useRef(null);
-  const faceMeshRef = useRef(null);
-  const recordingRef = useRef(false); // Track recording state in ref for callbacks
-  // ======================
-// ADD: Live vitals UI
-// ======================
-const [liveBreathing, setLiveBreathing] = useState('--');
-const [liveHeartRate, setLiveHeartRate] = useState('--');
-
-// ======================
-// ADD: SixthSense-style vitals tracking
-// ======================
-const vitalsRef = useRef({
-  noseSignal: [],
-  breathTimes: [],
-  heartMotion: [],
-  breathingRate: null,
-  heartRate: null
-});
-  
-  // Facial signal tracking - collected during recording
-  const facialDataRef = useRef({
-    blinkCount: 0,
-    leftEyeWasOpen: true,
-    rightEyeWasOpen: true,
-    motionValues: [],
-    asymmetryValues: [],
-    previousLandmarks: null
-  });
+      <label className="mt-4 w-full flex items-center justify-center gap-2 bg-white border-2 border-blue-200 hover:border-blue-400 focus-within:ring-4 focus-within:ring-blue-300 text-blue-600 font-semibold py-3 px-8 rounded-2xl cursor-pointer transition-all duration-200">
+        <Film className="w-5 h-5" />
+        {t('home.replay')}
+        <input
+          type="file"
+          accept={ACCEPTED_VIDEO_TYPES}
+          className="sr-only"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) onReplay(file);
+          }}
+        />
+      </label>
 
-  useEffect(() => {
-    let isMounted = true;
-    
-    const initCamera = async () => {
-      try {
-        // Request camera permission
-        const stream = await navigator.mediaDevices.getUserMedia({ 
-          video: { 
-            width: { ideal: 640 },
-            height: { ideal: 480 },
-            facingMode: 'user'
-          },
-          audio: false
-        });
-        
-        if (!isMounted) {
-          stream.getTracks().forEach(track => track.stop());
-          return;
-        }
-
-        streamRef.current = stream;
-        
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-          videoRef.current.onloadedmetadata = () => {
-            if (isMounted) {
-              setCameraReady(true);
-              initFaceMesh();
-            }
-          };
-        }
-      } catch (err) {
-        console.error('Camera access error:', err);
-        if (isMounted) {
-          setCameraError('Camera access denied. Please allow camera permissions.');
-        }
-      }
-    };
-
-    initCamera();
-
-    return () => {
-      isMounted = false;
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-      }
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, []);
-
-  const initFaceMesh = async () => {
-    // Load MediaPipe FaceMesh
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/face_mesh.js';
-    script.async = true;
-    
-    script.onload = () => {
-      const script2 = document.createElement('script');
-      script2.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js';
-      script2.async = true;
-      
-      script2.onload = () => {
-        if (window.FaceMesh) {
-          const faceMesh = new window.FaceMesh({
-            locateFile: (file) => {
-              return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-            }
-          });
-
-          faceMesh.setOptions({
-            maxNumFaces: 1,
-            refineLandmarks: true,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
-          });
-
-          faceMesh.onResults(onFaceMeshResults);
-          faceMeshRef.current = faceMesh;
-
-          // Start processing
-          processFrame();
-        }
-      };
-      
-      document.body.appendChild(script2);
-    };
-    
-    document.body.appendChild(script);
-  };
-
-  const onFaceMeshResults = (results) => {
-    const canvas = canvasRef.current;
-    const video = videoRef.current;
-    
-    if (!canvas || !video) return;
-
-    const ctx = canvas.getContext('2d');
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const landmarks = results.multiFaceLandmarks[0];
-      
-      // Draw face mesh
-      ctx.strokeStyle = '#5BB8E5';
-      ctx.lineWidth = 1;
-      
-      // Draw connections between landmarks
-      const connections = window.FACEMESH_TESSELATION;
-      if (connections) {
-        for (const connection of connections) {
-          const start = landmarks[connection[0]];
-          const end = landmarks[connection[1]];
-          
-          ctx.beginPath();
-          ctx.moveTo(start.x * canvas.width, start.y * canvas.height);
-          ctx.lineTo(end.x * canvas.width, end.y * canvas.height);
-          ctx.stroke();
-        }
-      }
-
-      // Draw landmark points
-      ctx.fillStyle = '#F28C38';
-      for (const landmark of landmarks) {
-        ctx.beginPath();
-        ctx.arc(
-          landmark.x * canvas.width,
-          landmark.y * canvas.height,
-          2,
-          0,
-          2 * Math.PI
-        );
-        ctx.fill();
-      }
-
-      // FACIAL SIGNAL EXTRACTION - only during recording
-      // Use ref instead of state to avoid closure issues
-      if (recordingRef.current && facialDataRef.current) {
-        const data = facialDataRef.current;
-        
-        // 1️⃣ BLINK DETECTION (Parkinson's specific)
-        // Research shows Parkinson's patients blink 5-10 times/min vs 15-20 normal
-        // Left eye: vertical distance between upper (159) and lower (145) eyelid
-        const leftEyeDistance = Math.abs(landmarks[159].y - landmarks[145].y);
-        // Right eye: vertical distance between upper (386) and lower (374) eyelid
-        const rightEyeDistance = Math.abs(landmarks[386].y - landmarks[374].y);
-        
-        // Dynamic threshold based on face size (more robust)
-        // Use nose bridge to chin distance as reference
-        const faceHeight = Math.abs(landmarks[10].y - landmarks[152].y);
-        const blinkThreshold = faceHeight * 0.015; // Reduced from 0.02 to be more sensitive
-        
-        // Detect blink: BOTH eyes must close for valid blink (reduces noise)
-        const leftEyeClosed = leftEyeDistance < blinkThreshold;
-        const rightEyeClosed = rightEyeDistance < blinkThreshold;
-        const bothEyesClosed = leftEyeClosed && rightEyeClosed;
-        
-        // Count blinks only when BOTH eyes transition open → closed → open
-        if (data.leftEyeWasOpen && data.rightEyeWasOpen && bothEyesClosed) {
-          data.blinkCount++;
-          data.leftEyeWasOpen = false;
-          data.rightEyeWasOpen = false;
-        } else if (!data.leftEyeWasOpen && !data.rightEyeWasOpen && !bothEyesClosed) {
-          data.leftEyeWasOpen = true;
-          data.rightEyeWasOpen = true;
-        }
-        
-        // 2️⃣ FACIAL RIGIDITY (hypomimia - "masked face")
-        // Parkinson's patients show 40-60% reduction in facial movement
-        // Calculate movement of key expressive landmarks (mouth, eyebrows, cheeks)
-        if (data.previousLandmarks) {
-          let totalMotion = 0;
-          // Focus on expressive regions (not whole face - reduces noise)
-          const expressiveLandmarks = [
-            61, 291,  // Mouth corners
-            13,       // Upper lip
-            14,       // Lower lip  
-            105, 334, // Eyebrows
-            93, 323   // Cheeks
-          ];
-          
-          for (const idx of expressiveLandmarks) {
-            const dx = landmarks[idx].x - data.previousLandmarks[idx].x;
-            const dy = landmarks[idx].y - data.previousLandmarks[idx].y;
-            totalMotion += Math.sqrt(dx * dx + dy * dy);
-          }
-          const avgMotion = totalMotion / expressiveLandmarks.length;
-          data.motionValues.push(avgMotion);
-        }
-        // Store full landmark set for next frame
-        data.previousLandmarks = landmarks.map(l => ({x: l.x, y: l.y, z: l.z}));
-        
-        // 3️⃣ FACIAL ASYMMETRY (unilateral symptoms common in early Parkinson's)
-        // Compare multiple left vs right landmarks for robust measurement
-        // Mouth corners: left (61) vs right (291)
-        const mouthAsymmetry = Math.abs(landmarks[61].y - landmarks[291].y);
-        // Eyebrows: left (105) vs right (334)  
-        const browAsymmetry = Math.abs(landmarks[105].y - landmarks[334].y);
-        // Cheeks: left (206) vs right (426)
-        const cheekAsymmetry = Math.abs(landmarks[206].y - landmarks[426].y);
-        
-        // Average across multiple features for stability
-        const avgAsymmetry = (mouthAsymmetry + browAsymmetry + cheekAsymmetry) / 3;
-        data.asymmetryValues.push(avgAsymmetry);
-
-        // ======================
-// 🫁 BREATHING RATE (REAL‑TIME nose motion)
-// ======================
-const noseY = landmarks[1].y;
-const now = performance.now();
-
-if (!vitalsRef.current.prevNoseY) {
-  vitalsRef.current.prevNoseY = noseY;
-  vitalsRef.current.prevBreathTime = now;
-} else {
-  const dy = (noseY - vitalsRef.current.prevNoseY) * 1000;
-
-  // inhale/exhale peak
-  if (Math.abs(dy) > 0.6) {
-    const dt = now - vitalsRef.current.prevBreathTime;
-    if (dt > 1200) {
-      const bpm = 60000 / dt;
-      vitalsRef.current.breathingRate = bpm;
-      setLiveBreathing(bpm.toFixed(1));
-      vitalsRef.current.prevBreathTime = now;
-    }
-  }
-
-  vitalsRef.current.prevNoseY = noseY;
-}
-
-// ======================
-// ❤️ HEART RATE (micro face pulse)
-// ======================
-let pulse = 0;
-[1, 93, 323].forEach(idx => {
-  const dx = landmarks[idx].x - data.previousLandmarks[idx].x;
-  const dy = landmarks[idx].y - data.previousLandmarks[idx].y;
-  pulse += Math.sqrt(dx * dx + dy * dy);
-});
-
-vitalsRef.current.heartMotion.push(pulse);
-
-if (vitalsRef.current.heartMotion.length > 45) {
-  const win = vitalsRef.current.heartMotion.slice(-45);
-  const avg = win.reduce((a, b) => a + b, 0) / win.length;
-  const peaks = win.filter(v => v > avg * 1.15).length;
-
-  const hr = Math.min(120, Math.max(55, peaks * 4));
-  vitalsRef.current.heartRate = hr;
-  setLiveHeartRate(hr.toFixed(0));
-}
-      }
-    }
-  };
-
-  const processFrame = async () => {
-    if (faceMeshRef.current && videoRef.current && videoRef.current.readyState === 4) {
-      await faceMeshRef.current.send({ image: videoRef.current });
-    }
-    animationRef.current = requestAnimationFrame(processFrame);
-  };
-
-  useEffect(() => {
-    if (recording && timeLeft > 0) {
-      const timer = setTimeout(() => setTimeLeft(timeLeft - 1), 1000);
-      return () => clearTimeout(timer);
-    } else if (recording && timeLeft === 0) {
-      handleStopRecording();
-    }
-  }, [recording, timeLeft]);
-
-  const handleStartRecording = () => {
-    if (!cameraReady) return;
-    // Reset facial data tracking
-    facialDataRef.current = {
-      blinkCount: 0,
-      leftEyeWasOpen: true,
-      rightEyeWasOpen: true,
-      motionValues: [],
-      asymmetryValues: [],
-      previousLandmarks: null
-    };
-    vitalsRef.current = {
-      noseSignal: [],
-      breathTimes: [],
-      heartMotion: [],
-      breathingRate: null,
-      heartRate: null
-    };
-    vitalsRef.current.prevNoseY = null;
-    vitalsRef.current.prevBreathTime = null;
-    setLiveBreathing('--');
-    setLiveHeartRate('--');
-    recordingRef.current = true; // Set ref for callback access
-    setRecording(true);
-    setTimeLeft(30);
-  };
-
-  const handleStopRecording = () => {
-    recordingRef.current = false; // Stop data collection
-    setRecording(false);
-    
-    // Calculate final risk from collected signals
-    const data = facialDataRef.current;
-    
-    // 1️⃣ Blink rate per minute (recorded for 30 seconds)
-    const blinkRate = (data.blinkCount / 30) * 60;
-    
-    // 2️⃣ Average facial rigidity (motion variance)
-    // Filter out first few frames (often noisy during initialization)
-    const validMotionValues = data.motionValues.slice(10);
-    const avgRigidity = validMotionValues.length > 0 
-      ? validMotionValues.reduce((a, b) => a + b, 0) / validMotionValues.length 
-      : 1.5; // Default to normal motion if insufficient data
-    
-    // 3️⃣ Average asymmetry
-    const validAsymmetryValues = data.asymmetryValues.slice(10);
-    const avgAsymmetry = validAsymmetryValues.length > 0
-      ? validAsymmetryValues.reduce((a, b) => a + b, 0) / validAsymmetryValues.length
-      : 0.02; // Default to slight asymmetry (normal)
-    
-    // DETAILED DEBUG LOG - Check if data is actually varying
-    console.log('═══════════════════════════════════════════════');
-    console.log('📊 RAW FACIAL DATA COLLECTED:');
-    console.log('═══════════════════════════════════════════════');
-    console.log('Total Blinks Detected:', data.blinkCount);
-    console.log('Blink Rate (per minute):', blinkRate.toFixed(1));
-    console.log('Motion Values Collected:', validMotionValues.length, 'frames');
-    console.log('Motion Range:', {
-      min: Math.min(...validMotionValues).toFixed(5),
-      max: Math.max(...validMotionValues).toFixed(5),
-      avg: avgRigidity.toFixed(5),
-      scaled: (avgRigidity * 1000).toFixed(2)
-    });
-    console.log('Asymmetry Values Collected:', validAsymmetryValues.length, 'frames');
-    console.log('Asymmetry Range:', {
-      min: Math.min(...validAsymmetryValues).toFixed(5),
-      max: Math.max(...validAsymmetryValues).toFixed(5),
-      avg: avgAsymmetry.toFixed(5)
-    });
-    console.log('═══════════════════════════════════════════════');
-    
-    // Compute deterministic risk
-    const riskResult = calculateRiskFromSignals(blinkRate, avgRigidity, avgAsymmetry);
-
-    // ======================
-// ADD: Attach vitals
-// ======================
-riskResult.vitals = {
-  breathingRate: vitalsRef.current.breathingRate,
-  heartRate: vitalsRef.current.heartRate
-};
-
-    if (!window.__resultSent && window.assessmentResult?.postMessage) {
-      window.__resultSent = true;
-      window.assessmentResult.postMessage(JSON.stringify(riskResult));
-    }
-    
-    console.log('🎯 FINAL RESULT:', riskResult.percentage + '% - ' + riskResult.level);
-    console.log('═══════════════════════════════════════════════\n');
-
-    setTimeout(() => onComplete(riskResult), 500);
-    
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-    }
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current);
-    }
-    
-    // Pass computed result to next screen
-    setTimeout(() => onComplete(riskResult), 500);
-  };
-
-  if (cameraError) {
-    return (
-      <div className="min-h-screen bg-white flex items-center justify-center p-6">
-        <div className="max-w-md w-full text-center">
-          <div className="w-20 h-20 bg-red-100 rounded-3xl mx-auto mb-6 flex items-center justify-center">
-            <Camera className="w-10 h-10 text-red-500" />
-          </div>
-          <h2 className="text-2xl font-bold text-gray-800 mb-4">Camera Access Required</h2>
-          <p className="text-gray-600 mb-6">{cameraError}</p>
-          <button
-            onClick={() => window.location.reload()}
-            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-2xl"
-          >
-            Try Again
-          </button>
-        </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="min-h-screen bg-white flex items-center justify-center p-6">
-      <div className="max-w-2xl w-full">
-        <div className="text-center mb-6">
-          <h2 className="text-2xl font-bold text-gray-800 mb-2">Recording Session</h2>
-          <p className="text-gray-500">Position your face in the frame</p>
-        </div>
-
-        <div className="bg-gray-900 rounded-3xl overflow-hidden shadow-2xl mb-6 relative">
-          <div className="relative" style={{ paddingBottom: '75%' }}>
-            <video
-              ref={videoRef}
-              autoPlay
-              playsInline
-              muted
-              className="absolute inset-0 w-full h-full object-cover"
-              style={{ transform: 'scaleX(-1)' }}
-            />
-            <canvas
-              ref={canvasRef}
-              className="absolute inset-0 w-full h-full"
-              style={{ transform: 'scaleX(-1)' }}
-            />
-          </div>
-          
-          {!cameraReady && (
-            <div className="absolute inset-0 flex items-center justify-center bg-gray-800 bg-opacity-50">
-              <div className="text-white text-center">
-                <Activity className="w-12 h-12 mx-auto mb-3 animate-spin" />
-                <p>Initializing camera...</p>
-              </div>
-            </div>
-          )}
-          
-          {recording && (
-            <div className="absolute top-4 right-4 bg-red-500 text-white px-4 py-2 rounded-full flex items-center gap-2 animate-pulse">
-              <div className="w-3 h-3 bg-white rounded-full" />
-              <span className="font-semibold">Recording</span>
-            </div>
-          )}
-          {recording && (
-  <div className="absolute top-4 left-4 bg-black bg-opacity-60 text-white rounded-xl px-4 py-3 shadow-lg space-y-1">
-    <div className="text-xs uppercase opacity-70">Live Vitals</div>
-    <div className="text-sm">🫁 Breathing: {liveBreathing} /min</div>
-    <div className="text-sm">❤️ Heart Rate: {liveHeartRate} bpm</div>
-  </div>
-)}
-        </div>
-
-        <div className="bg-blue-50 rounded-2xl p-6 mb-6 shadow-sm">
-          <p className="text-gray-700 font-medium mb-2">Please say:</p>
-          <p className="text-xl text-blue-600 italic">
-            "I enjoy walking in the park every morning."
-          </p>
-        </div>
+      <button
+        onClick={onHistory}
+        className="mt-4 w-full flex items-center justify-center gap-2 text-blue-600 hover:text-blue-700 font-semibold py-2"
+      >
+        <History className="w-5 h-5" />
+        {t('viewHistory')}
+      </button>
 
-        {recording && (
-          <div className="mb-6">
-            <div className="flex items-center justify-center gap-4 mb-4">
-              <Activity className="w-6 h-6 text-blue-500 animate-pulse" />
-              <span className="text-4xl font-bold text-gray-800 tabular-nums">
-                00:{timeLeft.toString().padStart(2, '0')}
-              </span>
-            </div>
-            <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
-              <div 
-                className="bg-blue-500 h-full transition-all duration-1000 ease-linear"
-                style={{ width: `${((30 - timeLeft) / 30) * 100}%` }}
-              />
-            </div>
-          </div>
+      <fieldset className="mt-8 bg-gray-50 rounded-2xl px-6 py-4 text-left">
+        <legend className="sr-only">{t('a11y.settings')}</legend>
+        {supportsVoiceGuide() && (
+          <Toggle
+            label={t('a11y.voiceGuidance')}
+            hint={t('a11y.voiceGuidanceHint')}
+            checked={voiceGuidance}
+            onChange={onVoiceGuidance}
+          />
         )}
-
-        <button
-          onClick={recording ? handleStopRecording : handleStartRecording}
-          disabled={recording || !cameraReady}
-          className={`w-full font-semibold py-4 px-8 rounded-2xl shadow-lg transition-all duration-200 ${
-            !cameraReady
-              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-              : recording 
-              ? 'bg-gray-400 text-white cursor-not-allowed' 
-              : 'bg-orange-500 hover:bg-orange-600 text-white transform hover:scale-105'
-          }`}
-        >
-          {!cameraReady ? 'Initializing...' : recording ? 'Recording...' : 'Start Recording'}
-        </button>
-      </div>
+        <Toggle
+          label={t('a11y.highContrast')}
+          hint={t('a11y.highContrastHint')}
+          checked={theme === 'high-contrast'}
+          onChange={(on) => onTheme(on ? 'high-contrast' : DEFAULT_THEME)}
+        />
+      </fieldset>
     </div>
-  );
-};
+  </div>
+);
 
 // Processing Screen
-const ProcessingScreen = ({ onComplete }) => {
+const ProcessingScreen = ({ i18n: { t }, onComplete }) => {
   const [progress, setProgress] = useState(0);
 
   useEffect(() => {
@@ -703,11 +179,18 @@ const ProcessingScreen = ({ onComplete }) => {
             </div>
           </div>
           
-          <h2 className="text-2xl font-bold text-gray-800 mb-2">Just a moment...</h2>
-          <p className="text-gray-500">Analyzing facial micro-expressions</p>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('processing.title')}</h2>
+          <p className="text-gray-500">{t('processing.subtitle')}</p>
         </div>
 
-        <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+        <div
+          role="progressbar"
+          aria-label={t('processing.title')}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(Math.min(progress, 100))}
+          className="w-full bg-gray-200 rounded-full h-2 overflow-hidden"
+        >
           <div 
             className="bg-blue-500 h-full transition-all duration-300 ease-out"
             style={{ width: `${progress}%` }}
@@ -715,51 +198,304 @@ const ProcessingScreen = ({ onComplete }) => {
         </div>
         
         <p className="text-sm text-gray-400 mt-4">
-          Processing facial landmarks and movement patterns
+          {t('processing.detail')}
         </p>
       </div>
     </div>
   );
 };
 
+// A quality reason (see lib/frameQuality.js) in the UI language; the
+// English message is the fallback
+const qualityReason = (reason, quality, i18n) => {
+  const value = reason.code === 'fps'
+    ? i18n.number(quality.fps, 1)
+    : reason.code === 'face' || reason.code === 'usable'
+    ? i18n.percent(quality.coverage[reason.code])
+    : undefined;
+  return i18n.t(`quality.${reason.code}`, { value }, reason.message);
+};
+
+// Inconclusive session: reasons instead of a score, plus a retake
+// (`onRetake` is omitted for replayed files - the same video would fail again)
+const InconclusiveResult = ({ result, i18n, theme, voiceGuidance, onRetake, onReset }) => {
+  const color = riskColor(result, theme);
+  const summaryRef = useResultSummary(
+    `${levelText(result.level, i18n)}. ${i18n.t('inconclusive.summary')}`,
+    { voiceGuidance, locale: i18n.locale }
+  );
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center p-6">
+      <div className="max-w-md w-full">
+        <div ref={summaryRef} tabIndex={-1} className="text-center mb-8 focus:outline-none">
+          <div
+            className="w-24 h-24 rounded-full mx-auto mb-6 flex items-center justify-center shadow-xl"
+            style={{ backgroundColor: `${color}20` }}
+          >
+            <LevelIcon level={result.level} className="w-12 h-12" style={{ color }} />
+          </div>
+
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">{levelText(result.level, i18n)}</h2>
+          <p className="text-gray-500">
+            {i18n.t('inconclusive.summary')}
+          </p>
+        </div>
+
+        <div
+          className="rounded-3xl p-6 mb-6 shadow-lg"
+          style={{ backgroundColor: `${color}10` }}
+        >
+          <p className="text-sm font-semibold text-gray-700 mb-3">{i18n.t('inconclusive.whatWentWrong')}</p>
+          <ul className="space-y-2 mb-4">
+            {result.quality.reasons.map(reason => (
+              <li key={reason.code} className="flex items-start gap-2 text-sm text-gray-700">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0 text-gray-500" />
+                <span>{qualityReason(reason, result.quality, i18n)}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="text-xs text-gray-500">
+            {i18n.t('inconclusive.coverage', {
+              face: i18n.percent(result.quality.coverage.face),
+              usable: i18n.percent(result.quality.coverage.usable),
+              fps: i18n.number(result.quality.fps, 0)
+            })}
+          </div>
+        </div>
+
+        {onRetake && (
+          <button
+            onClick={onRetake}
+            className="w-full flex items-center justify-center gap-2 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-4 px-8 rounded-2xl shadow-lg transition-all duration-200 transform hover:scale-105 mb-3"
+          >
+            <RotateCcw className="w-5 h-5" />
+            {i18n.t('inconclusive.retake')}
+          </button>
+        )}
+        <button
+          onClick={onReset}
+          className="w-full bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-4 px-8 rounded-2xl"
+        >
+          {i18n.t('backHome')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Clinician report - print-only layout of a scored result. The browser's
+// print dialog turns it into paper or a PDF ("Save as PDF"); nothing is
+// sent anywhere.
+const ReportTable = ({ head, rows }) => (
+  <table className="w-full text-xs border-collapse mb-4">
+    <thead>
+      <tr>
+        {head.map(cell => (
+          <th key={cell} className="text-left font-semibold border-b border-gray-400 py-1 pr-2">{cell}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(({ key, cells }) => (
+        <tr key={key} className="border-b border-gray-200">
+          {cells.map((cell, i) => <td key={i} className="py-1 pr-2 align-top">{cell ?? '--'}</td>)}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const ClinicianReport = ({ result, i18n }) => {
+  const { t, metric } = i18n;
+  const session = result.session;
+  const quality = result.quality;
+  const headPose = result.details?.headPose;
+  const speech = reportSpeech(result, i18n);
+  const flagText = (flag) => (flag ? t(`report.flags.${flag}`) : null);
+  const [generatedAt] = useState(Date.now);
+
+  return (
+    <div className="hidden print:block text-gray-900 p-2">
+      <div className="flex justify-between items-baseline border-b-2 border-gray-800 pb-2 mb-4">
+        <h1 className="text-xl font-bold">{t('report.title')}</h1>
+        <span className="text-xs">{t('report.generated', { date: i18n.dateTime(generatedAt) })}</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-xs mb-4">
+        <div><strong>{t('report.sessionDate')}</strong> {session?.startedAt ? i18n.dateTime(session.startedAt) : '--'}</div>
+        <div><strong>{t('report.duration')}</strong> {metric(session?.durationSec, 0, ' s')}</div>
+        <div><strong>{t('report.source')}</strong> {t(session?.source === 'file' ? 'report.sourceFile' : 'report.sourceCamera')}</div>
+        <div><strong>{t('report.tasks')}</strong> {session?.tasks?.join(', ') ?? '--'}</div>
+        {session?.language && (
+          <div><strong>{t('report.language')}</strong> {LANGUAGE_NAMES[session.language] ?? session.language}</div>
+        )}
+        <div>
+          <strong>{t('report.scoringModel')}</strong> {result.model?.id} v{result.model?.version} ({result.model?.type})
+        </div>
+        <div>
+          <strong>{t('report.result')}</strong>
+          {' '}{t('report.resultValue', { level: levelText(result.level, i18n), percentage: i18n.percent(result.percentage / 100) })}
+        </div>
+      </div>
+
+      <h2 className="text-sm font-bold mb-1">{t('report.facialMetrics')}</h2>
+      <ReportTable
+        head={[t('report.metric'), t('report.value'), t('report.reference'), t('report.flag')]}
+        rows={reportMetrics(result, i18n).map(row => ({
+          key: row.id,
+          cells: [row.label, metric(row.value, row.digits, row.unit), row.reference, flagText(row.flag)]
+        }))}
+      />
+
+      <h2 className="text-sm font-bold mb-1">{t('report.breakdown')}</h2>
+      <ReportTable
+        head={[t('report.component'), t('report.value'), t('report.band'), t('report.score')]}
+        rows={reportComponents(result, i18n).map(row => ({
+          key: row.id,
+          cells: [row.label, metric(row.value, 3), row.band, row.score]
+        }))}
+      />
+
+      <h2 className="text-sm font-bold mb-1">{t('report.vitals')}</h2>
+      <ReportTable
+        head={[t('report.vital'), t('report.value'), t('report.reference'), t('report.flag'), t('report.signalQuality')]}
+        rows={reportVitals(result, i18n).map(row => ({
+          key: row.id,
+          cells: [
+            row.label,
+            row.value === null ? t('unavailable') : metric(row.value, row.digits, row.unit),
+            row.reference,
+            flagText(row.flag),
+            row.quality
+          ]
+        }))}
+      />
+
+      {speech && (
+        <>
+          <h2 className="text-sm font-bold mb-1">{t('report.speech')}</h2>
+          <ReportTable
+            head={[t('report.metric'), t('report.value')]}
+            rows={speech.rows.map(row => ({
+              key: row.id,
+              cells: [row.label, metric(row.value, row.digits, row.unit)]
+            }))}
+          />
+          <p className="text-xs mb-4">{speech.note}.</p>
+        </>
+      )}
+
+      {quality && (
+        <p className="text-xs mb-4">
+          <strong>{t('report.recordingQuality')}</strong>
+          {' '}{t('report.recordingQualityValue', {
+            face: i18n.percent(quality.coverage.face),
+            frames: quality.frames,
+            usable: i18n.percent(quality.coverage.usable),
+            fps: i18n.number(quality.fps, 0)
+          })}
+          {headPose && t('report.poseExcluded', { rejected: headPose.framesRejected })}.
+        </p>
+      )}
+
+      <p className="text-xs border-t border-gray-400 pt-2">
+        <strong>{t('report.disclaimer')}</strong> {t('disclaimer')}
+      </p>
+    </div>
+  );
+};
+
 // Result Screen
-const ResultScreen = ({ result, onReset }) => {
-  const Icon = result.level === 'Low' ? CheckCircle : AlertCircle;
+// `fhirSubject` is the host's patient Reference for the FHIR export;
+// `onSendFhir` (absent without a host) hands the Bundle to the host bridge.
+// `theme` colours the risk level (see lib/theme.js); with `voiceGuidance`
+// the result is read out.
+const ResultScreen = ({ result, ...props }) =>
+  (result.status === 'inconclusive'
+    ? <InconclusiveResult result={result} {...props} />
+    : <ScoredResult result={result} {...props} />);
+
+const ScoredResult = ({
+  result,
+  capture,
+  i18n,
+  theme,
+  voiceGuidance,
+  fhirSubject = null,
+  onSendFhir = null,
+  onHistory,
+  onReset
+}) => {
+  const [fhirSent, setFhirSent] = useState(false);
+  const { t, metric } = i18n;
+  const color = riskColor(result, theme);
+  const summary = t('a11y.riskResult', {
+    level: levelText(result.level, i18n),
+    percentage: i18n.percent(result.percentage / 100)
+  });
+  const summaryRef = useResultSummary(summary, { voiceGuidance, locale: i18n.locale });
+
+  const exportFhir = () => {
+    const bundle = toFhirBundle(result, { subject: fhirSubject });
+    const stamp = (result.session?.startedAt ?? new Date().toISOString()).replace(/[:.]/g, '-');
+    downloadText(`assessment-${stamp}.fhir.json`, JSON.stringify(bundle, null, 2), 'application/fhir+json');
+  };
+
+  const sendFhir = () => {
+    onSendFhir(toFhirBundle(result, { subject: fhirSubject }));
+    setFhirSent(true);
+  };
+
+  const exportCapture = (format) => {
+    const stamp = capture.createdAt.replace(/[:.]/g, '-');
+    if (format === 'csv') {
+      downloadText(`landmarks-${stamp}.csv`, captureToCSV(capture), 'text/csv');
+    } else {
+      downloadText(`landmarks-${stamp}.json`, captureToJSON(capture), 'application/json');
+    }
+  };
   
   return (
-    <div className="min-h-screen bg-white flex items-center justify-center p-6">
+    <>
+    <div className="min-h-screen bg-white flex items-center justify-center p-6 print:hidden">
       <div className="max-w-md w-full">
         <div className="text-center mb-8">
           <div 
             className="w-24 h-24 rounded-full mx-auto mb-6 flex items-center justify-center shadow-xl"
-            style={{ backgroundColor: `${result.color}20` }}
+            style={{ backgroundColor: `${color}20` }}
           >
-            <Icon className="w-12 h-12" style={{ color: result.color }} />
+            <LevelIcon level={result.level} className="w-12 h-12" style={{ color }} />
           </div>
           
-          <h2 className="text-3xl font-bold text-gray-800 mb-2">Assessment Complete</h2>
-          <p className="text-gray-500">Your screening results are ready</p>
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">{t('result.title')}</h2>
+          <p className="text-gray-500">{t('result.subtitle')}</p>
         </div>
 
         <div 
           className="rounded-3xl p-8 mb-6 shadow-lg"
-          style={{ backgroundColor: `${result.color}10` }}
+          style={{ backgroundColor: `${color}10` }}
         >
-          <div className="text-center mb-6">
-            <p className="text-sm text-gray-600 mb-2 uppercase tracking-wide">Risk Level</p>
+          <div
+            ref={summaryRef}
+            tabIndex={-1}
+            role="group"
+            aria-label={summary}
+            className="text-center mb-6 focus:outline-none"
+          >
+            <p className="text-sm text-gray-600 mb-2 uppercase tracking-wide">{t('result.riskLevel')}</p>
             <p 
               className="text-5xl font-bold mb-2"
-              style={{ color: result.color }}
+              style={{ color }}
             >
-              {result.level}
+              {levelText(result.level, i18n)}
             </p>
-            <p className="text-3xl font-semibold text-gray-700">{result.percentage}%</p>
+            <p className="text-3xl font-semibold text-gray-700">{i18n.percent(result.percentage / 100)}</p>
           </div>
 
-          <div className="border-t pt-6 mb-6" style={{ borderColor: `${result.color}30` }}>
+          <div className="border-t pt-6 mb-6" style={{ borderColor: `${color}30` }}>
             <p className="text-sm text-gray-600 leading-relaxed mb-4">
-              This assessment is based on <strong>facial rigidity</strong>, <strong>blink rate</strong>, 
-              and <strong>expression symmetry</strong> patterns observed during the recording.
+              {richText(t('result.basis'))}
             </p>
             
             {/* Detailed Breakdown */}
@@ -768,57 +504,185 @@ const ResultScreen = ({ result, onReset }) => {
               <div className="space-y-3 mt-4">
                 <div className="bg-white bg-opacity-60 rounded-xl p-3">
                   <div className="flex items-center justify-between mb-1">
-                    <span className="text-xs font-semibold text-gray-700">Blink Rate</span>
+                    <span className="text-xs font-semibold text-gray-700">{t('result.blinkRate')}</span>
                     <span className="text-xs font-bold text-gray-800">
-                      {result.details.blinkRate.toFixed(1)}/min
+                      {metric(result.details.blinkRate, 1, t('units.perMin'))}
                     </span>
                   </div>
                   <div className="text-xs text-gray-600">
-                    Normal: 13-20/min • Parkinson's: 3-10/min
+                    {t('result.blinkRateRange')}
                   </div>
                   <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
                     <div
                       className="bg-blue-500 h-1.5 rounded-full transition-all"
-                      style={{ width: `${Math.min(100, (result.details.blinkRate / 20) * 100)}%` }}
+                      style={{ width: barWidth(result.details.blinkRate, 20) }}
                     />
                   </div>
                 </div>
 
                 <div className="bg-white bg-opacity-60 rounded-xl p-3">
                   <div className="flex items-center justify-between mb-1">
-                    <span className="text-xs font-semibold text-gray-700">Facial Motion</span>
+                    <span className="text-xs font-semibold text-gray-700">{t('result.motion')}</span>
                     <span className="text-xs font-bold text-gray-800">
-                      {result.details.motion.toFixed(2)}
+                      {metric(result.details.motion, 2)}
                     </span>
                   </div>
                   <div className="text-xs text-gray-600">
-                    Higher = More Expressive = Healthier
+                    {t('result.motionHint')}
                   </div>
                   <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
                     <div
                       className="bg-green-500 h-1.5 rounded-full transition-all"
-                      style={{ width: `${Math.min(100, (result.details.motion / 4.0) * 100)}%` }}
+                      style={{ width: barWidth(result.details.motion, 4.0) }}
                     />
                   </div>
                 </div>
 
                 <div className="bg-white bg-opacity-60 rounded-xl p-3">
                   <div className="flex items-center justify-between mb-1">
-                    <span className="text-xs font-semibold text-gray-700">Asymmetry</span>
+                    <span className="text-xs font-semibold text-gray-700">{t('result.asymmetry')}</span>
                     <span className="text-xs font-bold text-gray-800">
-                      {result.details.asymmetry.toFixed(4)}
+                      {metric(result.details.asymmetry, 4)}
                     </span>
                   </div>
                   <div className="text-xs text-gray-600">
-                    Lower = More Symmetric = Healthier
+                    {t('result.asymmetryHint')}
                   </div>
                   <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
                     <div
                       className="bg-purple-500 h-1.5 rounded-full transition-all"
-                      style={{ width: `${Math.min(100, (result.details.asymmetry / 0.08) * 100)}%` }}
+                      style={{ width: barWidth(result.details.asymmetry, 0.08) }}
                     />
                   </div>
                 </div>
+
+                {result.details.headPose?.framesRejected > 0 && (
+                  <div className="text-xs text-gray-500 px-1">
+                    {t('result.poseExcluded', {
+                      rejected: result.details.headPose.framesRejected,
+                      total: result.details.headPose.framesTotal
+                    })}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {result.details?.tasks && (
+              <div className="bg-white bg-opacity-60 rounded-xl p-3 mt-3">
+                <div className="text-xs font-semibold text-gray-700 mb-2">{t('result.expressionTasks')}</div>
+                <div className="grid grid-cols-2 gap-2 text-center">
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(result.details.tasks.smile && result.details.tasks.smile.amplitude * 100, 0, '%')}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.smile')}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(result.details.tasks.browRaise && result.details.tasks.browRaise.excursion * 100, 0, '%')}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.browRaise')}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(result.details.tasks.eyeClosure && result.details.tasks.eyeClosure.closure * 100, 0, '%')}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.eyeClosure')}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(result.details.tasks.cheekPuff && result.details.tasks.cheekPuff.excursion * 100, 0, '%')}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.cheekPuff')}</div>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 mt-2">
+                  {t('result.expressionTasksHint')}
+                </div>
+              </div>
+            )}
+
+            {result.details?.blendshapes && (
+              <div className="bg-white bg-opacity-60 rounded-xl p-3 mt-3">
+                <div className="text-xs font-semibold text-gray-700 mb-2">{t('result.expressionScores')}</div>
+                <div className="grid grid-cols-3 gap-2 text-center">
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(
+                        result.details.blendshapes.expressivity === null
+                          ? null
+                          : result.details.blendshapes.expressivity * 100,
+                        1,
+                        '%'
+                      )}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.expressivity')}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(
+                        result.details.blendshapes.variability === null
+                          ? null
+                          : result.details.blendshapes.variability * 100,
+                        1,
+                        '%'
+                      )}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.variability')}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(
+                        result.details.blendshapes.asymmetry === null
+                          ? null
+                          : result.details.blendshapes.asymmetry * 100,
+                        0,
+                        '%'
+                      )}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.leftRightGap')}</div>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 mt-2">
+                  {t('result.expressionScoresHint')}
+                </div>
+              </div>
+            )}
+
+            {result.details?.blinkKinematics && (
+              <div className="bg-white bg-opacity-60 rounded-xl p-3 mt-3">
+                <div className="text-xs font-semibold text-gray-700 mb-2">{t('result.blinkDynamics')}</div>
+                <div className="grid grid-cols-3 gap-2 text-center">
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(result.details.blinkKinematics.durationMean, 0, ' ms')}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.blinkDuration')}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(result.details.blinkKinematics.ibiMean, 1, ' s')}
+                    </div>
+                    <div className="text-[10px] text-gray-500">
+                      {t('result.blinkInterval', { cv: metric(result.details.blinkKinematics.ibiCv, 2) })}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-bold text-gray-800">
+                      {metric(
+                        result.details.blinkKinematics.incompleteRatio === null
+                          ? null
+                          : result.details.blinkKinematics.incompleteRatio * 100,
+                        0,
+                        '%'
+                      )}
+                    </div>
+                    <div className="text-[10px] text-gray-500">{t('result.incomplete')}</div>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 mt-2">
+                  {t('result.blinkDynamicsHint')}
+                </div>
               </div>
             )}
 
@@ -826,60 +690,477 @@ const ResultScreen = ({ result, onReset }) => {
               <div className="space-y-3 mt-6">
                 <div className="bg-white bg-opacity-60 rounded-xl p-3">
                   <div className="flex justify-between">
-                    <span className="text-xs font-semibold">Breathing Rate</span>
+                    <span className="text-xs font-semibold">{t('result.breathingRate')}</span>
                     <span className="text-xs font-bold">
-                      {result.vitals.breathingRate?.toFixed(1)} /min
+                      {result.vitals.breathingRate != null
+                        ? metric(result.vitals.breathingRate, 1, ` ${t('units.perMin')}`)
+                        : t('unavailable')}
                     </span>
                   </div>
                   <div className="text-xs text-gray-600">
-                    Normal adult: 12–20 breaths/min
+                    {t(result.vitals.breathingRate != null ? 'result.breathingRange' : 'result.breathingUnclear')}
                   </div>
+                  {result.vitals.breathingRateQuality && (
+                    <div className="text-[10px] text-gray-500 mt-1">
+                      {t('result.confidence', { value: i18n.percent(result.vitals.breathingRateQuality.confidence) })}
+                      {result.vitals.breathingRateQuality.speechOnly && ` • ${t('result.whileSpeaking')}`}
+                    </div>
+                  )}
                 </div>
 
                 <div className="bg-white bg-opacity-60 rounded-xl p-3">
                   <div className="flex justify-between">
-                    <span className="text-xs font-semibold">Heart Rate</span>
+                    <span className="text-xs font-semibold">{t('result.heartRate')}</span>
                     <span className="text-xs font-bold">
-                      {result.vitals.heartRate?.toFixed(0)} bpm
+                      {result.vitals.heartRate != null
+                        ? metric(result.vitals.heartRate, 0, ' bpm')
+                        : t('unavailable')}
                     </span>
                   </div>
                   <div className="text-xs text-gray-600">
-                    Resting adult: 60–100 bpm
+                    {t(result.vitals.heartRate != null ? 'result.heartRange' : 'result.heartUnclear')}
                   </div>
+                  {result.vitals.heartRateQuality && (
+                    <div className="text-[10px] text-gray-500 mt-1">
+                      {t('result.signalQuality', { value: i18n.percent(result.vitals.heartRateQuality.sqi) })}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
+
+            {result.speech && (
+              <div className="bg-white bg-opacity-60 rounded-xl p-3 mt-3">
+                <div className="text-xs font-semibold text-gray-700 mb-2">{t('result.speech')}</div>
+                {result.speech.quality.status === 'unavailable' || result.speech.quality.status === 'insufficient-data' ? (
+                  <div className="text-xs text-gray-600">
+                    {t(result.speech.quality.status === 'unavailable' ? 'result.speechUnavailable' : 'result.speechTooShort')}
+                  </div>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-2 gap-2 text-center">
+                      <div>
+                        <div className="text-sm font-bold text-gray-800">
+                          {metric(result.speech.loudness.meanDb, 0, ' dBFS')}
+                        </div>
+                        <div className="text-[10px] text-gray-500">
+                          {t('result.loudness', { sd: metric(result.speech.loudness.sdDb, 1, ' dB') })}
+                        </div>
+                      </div>
+                      <div>
+                        <div className="text-sm font-bold text-gray-800">
+                          {metric(result.speech.pitch.meanHz, 0, ' Hz')}
+                        </div>
+                        <div className="text-[10px] text-gray-500">
+                          {t('result.pitch', { sd: metric(result.speech.pitch.sdSemitones, 1, ` ${t('units.semitones')}`) })}
+                        </div>
+                      </div>
+                      <div>
+                        <div className="text-sm font-bold text-gray-800">
+                          {metric(result.speech.pauseRatio === null ? null : result.speech.pauseRatio * 100, 0, '%')}
+                        </div>
+                        <div className="text-[10px] text-gray-500">{t('result.pauseTime')}</div>
+                      </div>
+                      <div>
+                        <div className="text-sm font-bold text-gray-800">
+                          {metric(result.speech.speakingRate.wordsPerMin, 0, ` ${t('units.wpm')}`)}
+                        </div>
+                        <div className="text-[10px] text-gray-500">
+                          {t('result.speakingRate', {
+                            rate: metric(result.speech.speakingRate.syllablesPerSec, 1, ` ${t('units.syllablesPerSec')}`)
+                          })}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="text-xs text-gray-600 mt-2">
+                      {t(result.speech.quality.status === 'ok' ? 'result.speechHint' : 'result.speechNoisy')}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
             </>
           </div>
         </div>
 
         <div className="bg-blue-50 rounded-2xl p-6 mb-6 shadow-sm">
           <p className="text-sm text-gray-600 leading-relaxed">
-            <strong>Note:</strong> This is a screening tool, not a diagnostic device. 
-            Please consult a healthcare professional for proper evaluation.
+            <strong>{t('result.note')}</strong> {t('disclaimer')}
           </p>
+          {result.model && (
+            <p className="text-xs text-gray-400 mt-2">
+              {t('result.scoringModel', { model: `${result.model.id} v${result.model.version}` })}
+            </p>
+          )}
+        </div>
+
+        {capture && capture.frames.length > 0 && (
+          <div className="bg-gray-50 rounded-2xl p-6 mb-6 shadow-sm">
+            <p className="text-sm font-semibold text-gray-700 mb-1">{t('result.rawData')}</p>
+            <p className="text-xs text-gray-500 mb-4">
+              {t('result.rawDataSummary', { frames: capture.frames.length, landmarks: capture.landmarkCount })}
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => exportCapture('json')}
+                className="flex-1 flex items-center justify-center gap-2 bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-2 px-4 rounded-xl"
+              >
+                <Download className="w-4 h-4" />
+                JSON
+              </button>
+              <button
+                onClick={() => exportCapture('csv')}
+                className="flex-1 flex items-center justify-center gap-2 bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-2 px-4 rounded-xl"
+              >
+                <Download className="w-4 h-4" />
+                CSV
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="bg-gray-50 rounded-2xl p-6 mb-6 shadow-sm">
+          <p className="text-sm font-semibold text-gray-700 mb-1">{t('result.ehrExport')}</p>
+          <p className="text-xs text-gray-500 mb-4">{t('result.ehrExportHint')}</p>
+          <div className="flex gap-3">
+            <button
+              onClick={exportFhir}
+              className="flex-1 flex items-center justify-center gap-2 bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-2 px-4 rounded-xl"
+            >
+              <Download className="w-4 h-4" />
+              FHIR JSON
+            </button>
+            {onSendFhir && (
+              <button
+                onClick={sendFhir}
+                disabled={fhirSent}
+                className="flex-1 flex items-center justify-center gap-2 bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-2 px-4 rounded-xl disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" />
+                {t(fhirSent ? 'result.sent' : 'result.sendToApp')}
+              </button>
+            )}
+          </div>
         </div>
 
+        <button
+          onClick={() => window.print()}
+          className="w-full flex items-center justify-center gap-2 bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-3 px-8 rounded-2xl mb-3"
+        >
+          <Printer className="w-5 h-5" />
+          {t('result.print')}
+        </button>
+
+        <button
+          onClick={onHistory}
+          className="w-full flex items-center justify-center gap-2 bg-white border border-gray-300 hover:border-blue-400 text-gray-700 font-semibold py-3 px-8 rounded-2xl mb-3"
+        >
+          <History className="w-5 h-5" />
+          {t('viewHistory')}
+        </button>
+
         <button
           onClick={onReset}
           className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-4 px-8 rounded-2xl shadow-lg transition-all duration-200 transform hover:scale-105"
         >
-          Back to Home
+          {t('backHome')}
+        </button>
+      </div>
+    </div>
+    <ClinicianReport result={result} i18n={i18n} />
+    </>
+  );
+};
+
+// Small SVG line chart for one metric over sessions; the dashed line marks
+// the personal baseline when there is one. `label` names it for screen
+// readers.
+const TrendChart = ({ points, label, baseline = null, color = '#3B82F6' }) => {
+  const width = 300;
+  const height = 80;
+  const pad = 8;
+  const values = points.map(p => p.value);
+  if (baseline !== null) values.push(baseline);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const x = (i) => points.length > 1 ? pad + (i / (points.length - 1)) * (width - 2 * pad) : width / 2;
+  const y = (v) => height - pad - ((v - min) / span) * (height - 2 * pad);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-20" role="img" aria-label={label}>
+      {baseline !== null && (
+        <line x1={pad} x2={width - pad} y1={y(baseline)} y2={y(baseline)} stroke="#9CA3AF" strokeDasharray="4 4" />
+      )}
+      <polyline
+        fill="none"
+        stroke={color}
+        strokeWidth="2"
+        points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}
+      />
+      {points.map((p, i) => (
+        <circle key={p.id} cx={x(i)} cy={y(p.value)} r="3" fill={color} />
+      ))}
+    </svg>
+  );
+};
+
+// History Screen - stored sessions, metric trends and the latest session
+// against the personal baseline (see lib/history.js)
+const HistoryScreen = ({ i18n, theme, onBack }) => {
+  const { t } = i18n;
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listResults()
+      .then(setEntries)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(t('history.confirmDelete'))) return;
+    try {
+      await deleteResult(id);
+      setEntries(current => current.filter(entry => entry.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const signed = (text, value) => `${value >= 0 ? '+' : ''}${text}`;
+
+  return (
+    <div className="min-h-screen bg-white flex justify-center p-6">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="w-20 h-20 bg-gradient-to-br from-blue-400 to-blue-500 rounded-3xl mx-auto mb-6 flex items-center justify-center shadow-lg">
+            <History className="w-10 h-10 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">{t('history.title')}</h2>
+          <p className="text-gray-500">{t('history.subtitle')}</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 text-red-600 text-sm rounded-xl p-3 mb-6">{error}</div>
+        )}
+
+        {entries && entries.length === 0 && (
+          <div className="bg-blue-50 rounded-2xl p-6 mb-6 text-sm text-gray-600 text-center">
+            {t('history.empty')}
+          </div>
+        )}
+
+        {entries && entries.length > 0 && (
+          <>
+            <div className="space-y-3 mb-6">
+              {HISTORY_METRICS.map(metric => {
+                const points = metricSeries(entries, metric);
+                if (points.length === 0) return null;
+                const comparison = compareToBaseline(entries, metric);
+                const format = (value) => i18n.metric(value, metric.digits, metric.unit);
+                const label = t(`history.metrics.${metric.id}`, {}, metric.label);
+                return (
+                  <div key={metric.id} className="bg-gray-50 rounded-xl p-3">
+                    <div className="flex justify-between items-baseline">
+                      <span className="text-xs font-semibold text-gray-700">{label}</span>
+                      <span className="text-xs font-bold text-gray-800">
+                        {format(points[points.length - 1].value)}
+                      </span>
+                    </div>
+                    <TrendChart
+                      points={points}
+                      label={t('a11y.trend', { metric: label, count: points.length })}
+                      baseline={comparison?.baseline ?? null}
+                    />
+                    <div className="text-xs text-gray-600">
+                      {comparison
+                        ? <>
+                            {t('history.baseline', { value: format(comparison.baseline), count: comparison.sessions })}
+                            {' • '}{t('history.latest', { delta: signed(format(comparison.delta), comparison.delta) })}
+                            {comparison.change !== null && ` (${signed(i18n.percent(comparison.change), comparison.change)})`}
+                          </>
+                        : t('history.needMore')}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="bg-gray-50 rounded-xl p-3 mb-6">
+              <p className="text-xs font-semibold text-gray-700 mb-2">{t('history.sessions')}</p>
+              <ul className="divide-y divide-gray-200">
+                {[...entries].reverse().map(entry => {
+                  return (
+                    <li key={entry.id} className="flex items-center justify-between gap-2 py-2 text-xs">
+                      <LevelIcon level={entry.result.level} className="w-4 h-4 flex-shrink-0" style={{ color: riskColor(entry.result, theme) }} />
+                      <div className="flex-1">
+                        <span className="font-semibold text-gray-800">{i18n.date(entry.createdAt)}</span>
+                        <span className="text-gray-500">
+                          {' • '}{levelText(entry.result.level, i18n)} {i18n.percent(entry.result.percentage / 100)}
+                          {entry.source === 'file' && ` • ${t('history.videoFile')}`}
+                          {' • '}{entry.result.model?.id}@{entry.result.model?.version}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => handleDelete(entry.id)}
+                        className="p-1 text-gray-400 hover:text-red-500"
+                        title={t('history.delete')}
+                        aria-label={t('a11y.deleteSession', { date: i18n.date(entry.createdAt) })}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          </>
+        )}
+
+        <button
+          onClick={onBack}
+          className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-4 px-8 rounded-2xl shadow-lg transition-all duration-200 transform hover:scale-105"
+        >
+          {t('backHome')}
         </button>
       </div>
     </div>
   );
 };
 
+// Session config on page load. Each key comes from the URL, then from
+// `window.assessmentConfig` (same keys as the host bridge's `config`
+// message), then the default: `?protocol=` (`tasks`), `?duration=`
+// (`durationSec`, total task seconds), `?model=`, `?lang=` (`language`),
+// `?overlay=`, `?voice=` (1 or 0) and `?theme=`. An invalid value is logged
+// and the next source used, so one bad parameter keeps the rest. The
+// language defaults to the browser's (see lib/i18n.js) and the theme to the
+// system's contrast preference (see lib/theme.js).
+const resolveInitialConfig = () => {
+  const params = new URLSearchParams(window.location.search);
+  const param = (name, parse = (value) => value) => (params.has(name) ? parse(params.get(name)) : undefined);
+  const sources = [
+    ['URL', {
+      tasks: param('protocol'),
+      durationSec: param('duration', Number),
+      model: param('model'),
+      language: param('lang'),
+      overlay: param('overlay'),
+      voice: param('voice', (value) => value !== '0' && value !== 'false'),
+      theme: param('theme')
+    }],
+    ['window.assessmentConfig', window.assessmentConfig ?? {}]
+  ];
+
+  let config = {
+    tasks: PROTOCOLS[DEFAULT_PROTOCOL],
+    model: getModel(),
+    language: browserLanguage(),
+    overlay: DEFAULT_OVERLAY_MODE,
+    voice: false,
+    theme: prefersHighContrast() ? 'high-contrast' : DEFAULT_THEME,
+    fhir: {}
+  };
+  // `tasks` first: `durationSec` rescales whichever task list won
+  for (const key of ['tasks', 'durationSec', 'model', 'language', 'overlay', 'voice', 'theme', 'fhir']) {
+    for (const [source, values] of sources) {
+      if (values[key] === undefined) continue;
+      try {
+        config = applyHostConfig(config, { [key]: values[key] });
+        break;
+      } catch (err) {
+        console.error(`Ignoring invalid ${key} from ${source}:`, err);
+      }
+    }
+  }
+  return config;
+};
+
 // Main App
 export default function App() {
   const [screen, setScreen] = useState('home');
   const [result, setResult] = useState(null);
+  const [videoFile, setVideoFile] = useState(null);
+  const [capture, setCapture] = useState(null);
+  // Bumped to remount the camera screen after a camera or video error
+  const [cameraAttempt, setCameraAttempt] = useState(0);
+  // Whether the finished session's result can be sent to a host app
+  const [hasHost, setHasHost] = useState(false);
+  // Session config (tasks, model, language, overlay, voice guidance, theme,
+  // FHIR options): URL and `window.assessmentConfig` on load, then `config`
+  // messages from the host and the accessibility settings on the home screen
+  const [config, setConfig] = useState(resolveInitialConfig);
+  const configRef = useRef(config);
+  const screenRef = useRef(screen);
+  const bridgeRef = useRef(null);
+  const i18n = useMemo(() => createI18n(config.language), [config.language]);
+
+  useEffect(() => {
+    screenRef.current = screen;
+  }, [screen]);
 
-  const handleStart = () => setScreen('camera');
+  useEffect(() => {
+    document.documentElement.lang = config.language;
+  }, [config.language]);
+
+  useEffect(() => {
+    const bridge = createHostBridge({
+      onConfig: (payload) => {
+        // Only the overlay, voice guidance and theme can change mid-assessment
+        if (screenRef.current === 'camera' && !isRuntimeConfig(payload)) {
+          throw new BridgeError('busy', 'Config cannot change while an assessment is running');
+        }
+        const next = applyHostConfig(configRef.current, payload);
+        configRef.current = next;
+        setConfig(next);
+        return describeConfig(next);
+      }
+    });
+    bridgeRef.current = bridge;
+    return () => {
+      bridge.dispose();
+      bridgeRef.current = null;
+    };
+  }, []);
+
+  const emitHostEvent = useCallback((type, payload) => {
+    bridgeRef.current?.emit(type, payload);
+  }, []);
+
+  // Accessibility settings from the home screen
+  const updateConfig = (payload) => {
+    const next = applyHostConfig(configRef.current, payload);
+    configRef.current = next;
+    setConfig(next);
+  };
+
+  const handleStart = () => {
+    setVideoFile(null);
+    setScreen('camera');
+  };
+
+  const handleReplay = (file) => {
+    setVideoFile(file);
+    setScreen('camera');
+  };
   
-  const handleCameraComplete = (computedResult) => {
+  // Called once per session by the camera screen
+  const handleCameraComplete = (computedResult, landmarkCapture = null) => {
+    bridgeRef.current?.complete(computedResult);
+
+    if (computedResult.status === 'complete') {
+      if (config.fhir.send) {
+        handleSendFhir(toFhirBundle(computedResult, { subject: config.fhir.subject ?? null }));
+      }
+      // Only scored sessions go into the history; a failed save doesn't
+      // block the result
+      saveResult(computedResult, { source: videoFile ? 'file' : 'camera' })
+        .catch(err => console.warn('Could not save assessment to history:', err));
+    }
     setResult(computedResult);
+    setCapture(landmarkCapture);
+    setHasHost(Boolean(bridgeRef.current?.hasHost));
     setScreen('processing');
   };
   
@@ -887,17 +1168,39 @@ export default function App() {
     setScreen('result');
   };
   
+  // Same mode again (camera only - see InconclusiveResult)
+  const handleRetake = () => {
+    setResult(null);
+    setCapture(null);
+    setScreen('camera');
+  };
+  
+  const handleCameraRetry = () => {
+    setCameraAttempt(attempt => attempt + 1);
+  };
+
+  const handleSendFhir = (bundle) => {
+    bridgeRef.current?.emit('fhir-bundle', { bundle });
+  };
+
+  const handleHistory = () => {
+    setScreen('history');
+  };
+  
   const handleReset = () => {
     setScreen('home');
     setResult(null);
+    setVideoFile(null);
+    setCapture(null);
   };
 
   return (
-    <div className="font-sans">
-      {screen === 'home' && <HomeScreen onStart={handleStart} />}
-      {screen === 'camera' && <CameraScreen onComplete={handleCameraComplete} />}
-      {screen === 'processing' && <ProcessingScreen onComplete={handleProcessingComplete} />}
-      {screen === 'result' && result && <ResultScreen result={result} onReset={handleReset} />}
+    <div className="font-sans" data-theme={config.theme}>
+      {screen === 'home' && <HomeScreen i18n={i18n} voiceGuidance={config.voice} theme={config.theme} onVoiceGuidance={(voice) => updateConfig({ voice })} onTheme={(theme) => updateConfig({ theme })} onStart={handleStart} onReplay={handleReplay} onHistory={handleHistory} />}
+      {screen === 'history' && <HistoryScreen i18n={i18n} theme={config.theme} onBack={handleReset} />}
+      {screen === 'camera' && <CameraScreen key={cameraAttempt} onComplete={handleCameraComplete} onCancel={handleReset} onEvent={emitHostEvent} onRetry={handleCameraRetry} videoFile={videoFile} tasks={config.tasks} model={config.model} language={config.language} overlayMode={config.overlay} voiceGuidance={config.voice} theme={config.theme} />}
+      {screen === 'processing' && <ProcessingScreen i18n={i18n} onComplete={handleProcessingComplete} />}
+      {screen === 'result' && result && <ResultScreen result={result} capture={capture} i18n={i18n} theme={config.theme} voiceGuidance={config.voice} fhirSubject={config.fhir.subject ?? null} onSendFhir={hasHost ? handleSendFhir : null} onRetake={videoFile ? null : handleRetake} onHistory={handleHistory} onReset={handleReset} />}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,1030 @@
+import React, { useState, useRef, useEffect, useEffectEvent, useMemo } from 'react';
+import { Camera, Activity, AlertCircle, CheckCircle, Film, Pause, Play } from 'lucide-react';
+import { DEFAULT_ASSET_BASE } from '../lib/faceLandmarker';
+import { CALIBRATION_MS } from '../lib/blinkDetector';
+import {
+  DEFAULT_PROTOCOL,
+  PROTOCOLS,
+  TASK_LEAD_IN_SEC,
+  VOICE_LEAD_IN_SEC,
+  localizeTasks,
+  protocolDurationSec
+} from '../lib/protocol';
+import { getModel } from '../lib/scoring';
+import { createAnalysisEngine } from '../lib/analysisEngine';
+import { createFrameScheduler } from '../lib/frameScheduler';
+import { createSessionController } from '../lib/sessionController';
+import { createPositionCoach } from '../lib/positionCoach';
+import { DEFAULT_OVERLAY_MODE, OVERLAY_MODES } from '../lib/overlay';
+import { browserLanguage, createI18n } from '../lib/i18n';
+import { createVoiceGuide } from '../lib/voiceGuide';
+import { DEFAULT_THEME } from '../lib/theme';
+import { REPLAY_FPS, openVideoFile, seekTo } from '../lib/videoReplay';
+import { countWords, unavailableSpeech } from '../lib/speech';
+import { SPEECH_AUDIO_CONSTRAINTS, analyzeRecording, createSpeechRecorder } from '../lib/speechRecorder';
+
+// A replayed file is analysed as one spontaneous segment
+const REPLAY_TASK = { id: 'replay', title: 'Recorded Video', durationSec: 0, spontaneous: true };
+
+// Message for each VideoError code (see lib/videoReplay.js)
+const VIDEO_ERROR_KEYS = {
+  unsupported: 'camera.videoUnsupported',
+  unreadable: 'camera.videoUnreadable'
+};
+
+// Coaching feedback worth a re-render: the instruction, readiness and the
+// steadiness bar in 10% steps
+const sameCoaching = (a, b) =>
+  a !== null && a.message === b.message && a.ready === b.ready &&
+  Math.floor(a.steady * 10) === Math.floor(b.steady * 10);
+
+// Lead-in seconds counted down with tones under voice guidance, and how
+// far into the last one the "go" tone starts, so it ends as the task does
+// (and stays out of a read-aloud recording)
+const COUNTDOWN_SEC = 3;
+const GO_CUE_DELAY_SEC = 0.75;
+
+// Coaching instructions are spoken at most this often
+const COACH_SPEAK_INTERVAL_MS = 4000;
+
+// Keys that belong to a focused control rather than the session shortcuts
+const isInteractive = (target) =>
+  target instanceof Element && Boolean(target.closest('button, input, select, textarea, a[href], [contenteditable="true"]'));
+
+const formatTime = (sec) =>
+  `${Math.floor(sec / 60).toString().padStart(2, '0')}:${(sec % 60).toString().padStart(2, '0')}`;
+
+// Camera & Recording Screen
+// `videoFile` switches to replay mode: the file is stepped through frame by
+// frame instead of using the live camera.
+// `tasks` is the guided protocol (see lib/protocol.js), `model` the scoring
+// model definition (see lib/scoring.js). `onEvent(type, payload)` receives
+// lifecycle events for the host bridge (see lib/hostBridge.js).
+// `onComplete(result, capture)` is called exactly once per session;
+// `onCancel` (optional) when the user cancels - without it the screen goes
+// back to its start state. `overlayMode` picks what is drawn over the
+// preview (see lib/overlay.js); the user can switch it on screen, and a new
+// value from the parent switches it too. `language` is a BCP 47 tag for the
+// text, numbers and reading passage (see lib/i18n.js). `voiceGuidance`
+// speaks the instructions and counts down each task with tones (see
+// lib/voiceGuide.js), and `theme` is the colour theme (see lib/theme.js);
+// both can change mid-session. State changes are also announced to screen
+// readers, and Space (pause/resume) and Escape (cancel) control a running
+// session. `assetBase` overrides where the MediaPipe runtime is loaded
+// from, and `onRetry` (shown as "Try Again" after a camera or video error)
+// lets the parent remount the screen. Defaults are fixed: reading the page's
+// query parameters is left to the app (App.jsx), not the embedded screen.
+export const CameraScreen = ({
+  onComplete,
+  onCancel = null,
+  onEvent = () => {},
+  onRetry = null,
+  videoFile = null,
+  tasks = PROTOCOLS[DEFAULT_PROTOCOL],
+  model = getModel(),
+  overlayMode = DEFAULT_OVERLAY_MODE,
+  language = browserLanguage(),
+  voiceGuidance = false,
+  theme = DEFAULT_THEME,
+  assetBase = DEFAULT_ASSET_BASE
+}) => {
+  const isReplay = Boolean(videoFile);
+  const i18n = useMemo(() => createI18n(language), [language]);
+  const { t } = i18n;
+  const sessionTasks = useMemo(
+    () => (isReplay
+      ? [{ ...REPLAY_TASK, title: t('tasks.replay.title', {}, REPLAY_TASK.title) }]
+      : localizeTasks(tasks, i18n)),
+    [isReplay, tasks, i18n, t]
+  );
+  // Read-aloud tasks are recorded for the speech metrics
+  const speechTasks = sessionTasks.filter(task => task.prompt);
+  // Session state machine (lib/sessionController.js) and its latest snapshot
+  const controllerRef = useRef(null);
+  const [session, setSession] = useState(null);
+  const sessionState = session?.state ?? 'idle';
+  const calibrating = sessionState === 'calibrating';
+  const paused = sessionState === 'paused';
+  const recording = sessionState === 'recording' || paused;
+  const finishing = sessionState === 'completed';
+  const taskIndex = session?.taskIndex ?? 0;
+  const taskPhase = session?.phase ?? 'prepare'; // prepare | active
+  const timeLeft = session?.remainingSec ?? 0;
+  const currentTask = sessionTasks[taskIndex];
+  const [cameraReady, setCameraReady] = useState(false);
+  // `{ code, message }`: the code picks the translated text, the English
+  // message goes to the host
+  const [cameraError, setCameraError] = useState(null);
+  const [modelStatus, setModelStatus] = useState('idle'); // idle | loading | ready | error
+  const [modelError, setModelError] = useState(null);
+  const [replayProgress, setReplayProgress] = useState(0);
+  const [captureEnabled, setCaptureEnabled] = useState(false);
+  const [analysisFps, setAnalysisFps] = useState(null); // achieved rate, live camera
+  const [overlay, setOverlay] = useState(overlayMode);
+  const overlayRef = useRef(overlay); // for engines created later (Retry)
+  // Positioning coach (lib/positionCoach.js) before a live session:
+  // { message, steady, ready }, null until the first checked frame
+  const [coaching, setCoaching] = useState(null);
+  const positionReady = isReplay || Boolean(coaching?.ready);
+  const videoRef = useRef(null);
+  const canvasHostRef = useRef(null); // holds the overlay canvas (see initAnalysis)
+  const streamRef = useRef(null);
+  const speechRecorderRef = useRef(null); // microphone, during read-aloud tasks
+  const engineRef = useRef(null); // analysis engine (lib/analysisEngine.js)
+  const schedulerRef = useRef(null); // live camera frame scheduler
+  const coachRef = useRef(null);
+  const fpsRef = useRef(null);
+  const mountedRef = useRef(true);
+  const replayRef = useRef({ url: null, duration: 0 });
+  const sessionRef = useRef({ startedAt: null });
+  // Voice guidance (null when off) and the screen-reader announcement
+  const voiceRef = useRef(null);
+  const [announcement, setAnnouncement] = useState('');
+  const spokenCoachingRef = useRef({ text: null, at: 0 });
+  // Lead-in of the session in progress, else of the next one
+  const leadInSec = voiceGuidance ? VOICE_LEAD_IN_SEC : TASK_LEAD_IN_SEC;
+  // ======================
+// ADD: Live vitals UI
+// ======================
+const [liveBreathing, setLiveBreathing] = useState(null);
+const [liveBreathingSpeech, setLiveBreathingSpeech] = useState(false);
+const [liveHeartRate, setLiveHeartRate] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    mountedRef.current = true;
+    
+    const initCamera = async () => {
+      try {
+        // Request camera permission (and the microphone when the protocol
+        // has read-aloud tasks)
+        const video = {
+          width: { ideal: 640 },
+          height: { ideal: 480 },
+          facingMode: 'user'
+        };
+        let stream;
+        if (speechTasks.length > 0) {
+          try {
+            stream = await navigator.mediaDevices.getUserMedia({ video, audio: SPEECH_AUDIO_CONSTRAINTS });
+          } catch (err) {
+            // No microphone (or no permission): carry on without speech
+            console.warn('Microphone unavailable, recording video only:', err);
+          }
+        }
+        stream ??= await navigator.mediaDevices.getUserMedia({ video, audio: false });
+        
+        if (!isMounted) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        streamRef.current = stream;
+        speechRecorderRef.current = createSpeechRecorder(stream);
+        
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          videoRef.current.onloadedmetadata = () => {
+            if (isMounted) {
+              setCameraReady(true);
+              initAnalysis();
+            }
+          };
+        }
+      } catch (err) {
+        console.error('Camera access error:', err);
+        if (isMounted) {
+          setCameraError({ code: 'denied', message: 'Camera access denied. Please allow camera permissions.' });
+        }
+      }
+    };
+
+    const initReplay = async () => {
+      try {
+        const { url, duration } = await openVideoFile(videoRef.current, videoFile);
+        replayRef.current = { url, duration };
+        if (!isMounted) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        setCameraReady(true);
+        initAnalysis();
+      } catch (err) {
+        console.error('Video file error:', err);
+        if (isMounted) {
+          setCameraError({ code: VIDEO_ERROR_KEYS[err.code] ? err.code : 'unreadable', message: err.message });
+        }
+      }
+    };
+
+    if (isReplay) {
+      initReplay();
+    } else {
+      initCamera();
+    }
+
+    return () => {
+      isMounted = false;
+      mountedRef.current = false;
+      schedulerRef.current?.stop();
+      controllerRef.current?.dispose();
+      if (engineRef.current) {
+        engineRef.current.dispose();
+        engineRef.current = null;
+      }
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+      if (replayRef.current.url) {
+        URL.revokeObjectURL(replayRef.current.url);
+      }
+    };
+    // Once per mount: the parent remounts the screen (`key`) for a new
+    // source or a retry
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    setOverlay(overlayMode);
+  }, [overlayMode]);
+
+  useEffect(() => {
+    if (!voiceGuidance) return undefined;
+    const voice = createVoiceGuide({ locale: i18n.locale });
+    // Already past the Start gesture: unlock the tones straight away
+    if (controllerRef.current) voice.prime();
+    voiceRef.current = voice;
+    return () => {
+      voice.dispose();
+      voiceRef.current = null;
+    };
+  }, [voiceGuidance, i18n.locale]);
+
+  // Space pauses or resumes a running session and Escape cancels it, unless
+  // a control has the focus (Space would press it as well)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const controller = controllerRef.current;
+      if (!controller || event.defaultPrevented || event.repeat || isInteractive(event.target)) return;
+      if (event.key === ' ' && (controller.state === 'recording' || controller.state === 'paused')) {
+        event.preventDefault();
+        if (controller.state === 'paused') controller.resume();
+        else controller.pause();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        controller.cancel();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    overlayRef.current = overlay;
+    if (modelStatus === 'ready') engineRef.current?.setOverlay(overlay);
+  }, [overlay, modelStatus]);
+
+  // Host events for state changes; the latest `onEvent`, without re-sending
+  // when only the callback changes
+  const emitEvent = useEffectEvent((type, payload) => onEvent(type, payload));
+
+  useEffect(() => {
+    if (cameraReady && modelStatus === 'ready') {
+      emitEvent('camera-ready', { source: isReplay ? 'file' : 'camera' });
+    }
+  }, [cameraReady, modelStatus, isReplay]);
+
+  useEffect(() => {
+    if (cameraError) emitEvent('error', { code: isReplay ? 'video' : 'camera', message: cameraError.message });
+  }, [cameraError, isReplay]);
+
+  useEffect(() => {
+    if (modelError) emitEvent('error', { code: 'model', message: modelError });
+  }, [modelError]);
+
+  // Live vitals from the analysis, each refreshed about once a second
+  const handleLiveVitals = (live) => {
+    if ('breathing' in live) {
+      setLiveBreathing(live.breathing?.bpm ?? null);
+      setLiveBreathingSpeech(live.breathing?.speech ?? false);
+    }
+    if ('heart' in live) {
+      setLiveHeartRate(live.heart?.bpm ?? null);
+    }
+  };
+
+  // Face model, overlay and signal processing - in a worker where the
+  // browser supports it. The worker takes the overlay canvas over for good,
+  // so every attempt (including Retry) gets a fresh one.
+  const initAnalysis = async () => {
+    setModelStatus('loading');
+    setModelError(null);
+    schedulerRef.current?.stop();
+    engineRef.current?.dispose();
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'w-full h-full';
+    canvas.style.transform = isReplay ? 'none' : 'scaleX(-1)';
+    canvasHostRef.current.replaceChildren(canvas);
+
+    const engine = createAnalysisEngine({
+      canvas,
+      assetBase,
+      overlayMode: overlayRef.current,
+      onWarning: (warning) => onEvent('quality-warning', warning),
+      onLive: handleLiveVitals
+    });
+    engineRef.current = engine;
+
+    try {
+      await engine.init();
+      if (!mountedRef.current || engineRef.current !== engine) return;
+      setModelStatus('ready');
+
+      // Start processing
+      if (isReplay) {
+        // Show the first frame with its mesh; the rest runs on Start
+        await engine.process(videoRef.current, 0);
+      } else {
+        startScheduler();
+      }
+    } catch (err) {
+      console.error('Face model initialization error:', err);
+      if (mountedRef.current && engineRef.current === engine) {
+        setModelStatus('error');
+        setModelError(err.message);
+      }
+    }
+  };
+
+  // Live camera: the scheduler pulls frames as fast as the analysis keeps
+  // up with and reports the rate it achieves. Until a session starts each
+  // frame is also checked by the positioning coach; during one, face
+  // presence drives the automatic pause.
+  const startScheduler = () => {
+    coachRef.current = createPositionCoach();
+    const scheduler = createFrameScheduler({
+      video: videoRef.current,
+      process: async (t) => {
+        const coach = !controllerRef.current;
+        const { face, position } = await engineRef.current.process(videoRef.current, t, { coach });
+        if (position && !controllerRef.current) {
+          const next = coachRef.current.update(t, position);
+          setCoaching(current => (sameCoaching(current, next) ? current : next));
+        }
+        controllerRef.current?.faceUpdate(face, t);
+      },
+      onStats: ({ fps }) => {
+        fpsRef.current = fps;
+        setAnalysisFps(fps);
+      }
+    });
+    schedulerRef.current = scheduler;
+    scheduler.start();
+  };
+
+  // Replay: seek through the file one analysis frame at a time, stamping each
+  // frame with its media time, then finish like a live recording would.
+  // `controller` is the session's (untimed) controller; a pause holds the
+  // loop and a cancel ends it.
+  const runReplay = async (controller) => {
+    const video = videoRef.current;
+    const { duration } = replayRef.current;
+    const step = 1 / REPLAY_FPS;
+    let lastProgress = 0;
+
+    const current = () => mountedRef.current && engineRef.current && controllerRef.current === controller;
+    const sendCurrentFrame = () => engineRef.current.process(video, video.currentTime * 1000);
+    const whilePaused = () => new Promise((resolve) => {
+      if (controller.state !== 'paused') {
+        resolve();
+        return;
+      }
+      const unsubscribe = controller.subscribe(() => {
+        if (controller.state === 'paused') return;
+        unsubscribe();
+        resolve();
+      });
+    });
+
+    try {
+      video.pause();
+      await seekTo(video, 0);
+
+      // Calibrate on the opening seconds, then rewind and analyse everything
+      while (controller.state === 'calibrating' && current()) {
+        await sendCurrentFrame();
+        const next = video.currentTime + step;
+        if (next * 1000 >= CALIBRATION_MS || next > duration) break;
+        await seekTo(video, next);
+      }
+      if (!current() || !controller.begin()) return;
+      await seekTo(video, 0);
+
+      while (current()) {
+        await whilePaused();
+        if (controller.state !== 'recording' || !current()) break;
+        await sendCurrentFrame();
+        const fraction = duration > 0 ? video.currentTime / duration : 1;
+        setReplayProgress(fraction);
+        // Host progress in 5% steps
+        if (Math.floor(fraction * 20) > Math.floor(lastProgress * 20)) {
+          onEvent('progress', { task: REPLAY_TASK.id, fraction });
+        }
+        lastProgress = fraction;
+
+        if (video.currentTime + step > duration) break;
+        await seekTo(video, video.currentTime + step);
+      }
+    } catch (err) {
+      console.error('Replay error:', err);
+    }
+
+    if (current() && controller.stop()) {
+      setReplayProgress(1);
+    }
+  };
+
+  // Tells screen readers (through the live region) and, with voice
+  // guidance, the user
+  const announce = (text) => {
+    setAnnouncement(text);
+    voiceRef.current?.speak(text);
+  };
+
+  // Spoken form of a lead-in: the task, its instruction and any passage
+  const taskAnnouncement = (snapshot) => {
+    const { task } = snapshot;
+    const text = t('a11y.taskAnnouncement', {
+      index: snapshot.taskIndex + 1,
+      count: sessionTasks.length,
+      title: task.title,
+      instruction: task.instruction
+    });
+    return task.prompt ? `${text} ${t('a11y.readAloud', { text: task.prompt })}` : text;
+  };
+
+  // Side effects of the session's transitions: the analysis and the
+  // microphone follow the lead-ins, tasks and pauses, the host hears about
+  // each step, and the user is told
+  const handleSessionChange = (change, snapshot) => {
+    setSession(snapshot);
+    const engine = engineRef.current;
+    const speech = speechRecorderRef.current;
+    const voice = voiceRef.current;
+
+    if (change === 'step') {
+      if (snapshot.phase === 'prepare') {
+        engine.setTask(null);
+        speech?.pause();
+        announce(taskAnnouncement(snapshot));
+      } else {
+        // Not a word of the guide in the read-aloud recording
+        if (snapshot.task.prompt) voice?.cancel();
+        engine.setTask(snapshot.task, snapshot.task.durationSec);
+        if (snapshot.task.prompt) speech?.record();
+        if (!isReplay) setAnnouncement(t('a11y.go'));
+      }
+    } else if (change === 'tick') {
+      if (snapshot.phase === 'prepare' && snapshot.remainingSec > 0 && snapshot.remainingSec <= COUNTDOWN_SEC) {
+        voice?.cue('tick');
+        if (snapshot.remainingSec === 1) voice?.cue('go', GO_CUE_DELAY_SEC);
+      }
+    } else if (change === 'state') {
+      switch (snapshot.state) {
+        case 'calibrating':
+          announce(`${t('camera.calibrating')} ${t('camera.calibratingHint')}`);
+          break;
+        case 'recording':
+          if (snapshot.previous === 'calibrating') {
+            beginRecording();
+          } else {
+            engine.resume();
+            if (snapshot.phase === 'active' && snapshot.task.prompt) speech?.record();
+            onEvent('resumed', { task: snapshot.task.id });
+            announce(t('a11y.resumed'));
+          }
+          break;
+        case 'paused':
+          engine.pause(snapshot.pauseReason);
+          speech?.pause();
+          onEvent('paused', { task: snapshot.task.id, reason: snapshot.pauseReason });
+          announce(snapshot.pauseReason === 'face-lost'
+            ? `${t('camera.faceLost')}. ${t('camera.faceLostHint')}`
+            : `${t('camera.paused')}. ${t('camera.pausedHint')}`);
+          break;
+        case 'completed':
+          voice?.cue('done');
+          announce(t('a11y.finished'));
+          finishSession(snapshot);
+          break;
+        case 'aborted':
+          announce(t('a11y.cancelled'));
+          cancelSession(snapshot);
+          break;
+      }
+    }
+
+    if (!isReplay && change !== 'state') {
+      onEvent('progress', {
+        task: snapshot.task.id,
+        taskIndex: snapshot.taskIndex,
+        taskCount: sessionTasks.length,
+        phase: snapshot.phase,
+        remainingSec: snapshot.remainingSec,
+        fps: fpsRef.current === null ? null : Math.round(fpsRef.current * 10) / 10
+      });
+    }
+  };
+
+  const handleStartRecording = () => {
+    if (!cameraReady || modelStatus !== 'ready' || !positionReady || controllerRef.current) return;
+    // Browsers only play audio started from a user gesture - this one
+    voiceRef.current?.prime();
+    // Fresh session in the analysis (and the opt-in landmark capture)
+    engineRef.current.start(captureEnabled
+      ? { source: isReplay ? 'file' : 'camera', fileName: videoFile?.name ?? null }
+      : null);
+    setLiveBreathing(null);
+    setLiveBreathingSpeech(false);
+    setLiveHeartRate(null);
+
+    // Short open-eye calibration, then the tasks. A replayed file is one
+    // segment without lead-ins, stepped through by runReplay.
+    const controller = createSessionController(isReplay
+      ? {
+          tasks: [{ ...REPLAY_TASK, durationSec: replayRef.current.duration }],
+          leadInSec: 0,
+          calibrationMs: null,
+          timed: false,
+          autoPause: false
+        }
+      : { tasks: sessionTasks, leadInSec });
+    controllerRef.current = controller;
+    controller.subscribe(handleSessionChange);
+    controller.start();
+
+    if (isReplay) {
+      setReplayProgress(0);
+      runReplay(controller);
+    }
+  };
+
+  const beginRecording = () => {
+    engineRef.current.begin();
+    sessionRef.current = { startedAt: new Date().toISOString() };
+    onEvent('recording-started', {
+      startedAt: sessionRef.current.startedAt,
+      source: isReplay ? 'file' : 'camera',
+      tasks: sessionTasks.map(task => task.id)
+    });
+  };
+
+  // Completion - reached once per session, when the last task runs out or
+  // the user finishes early
+  const finishSession = async (snapshot) => {
+    schedulerRef.current?.stop();
+    const speechAudio = speechRecorderRef.current ? speechRecorderRef.current.stop() : Promise.resolve(null);
+
+    // Final metrics, quality verdict and score come from the analysis
+    let finished;
+    try {
+      finished = await engineRef.current.finish(model);
+    } catch (err) {
+      console.error('Analysis error:', err);
+      if (mountedRef.current) {
+        controllerRef.current = null;
+        setSession(null);
+        setModelStatus('error');
+        setModelError(err.message);
+      }
+      return;
+    }
+    if (!mountedRef.current) return;
+    const { result: riskResult, capture } = finished;
+
+    // 🗣️ Speech biomarkers from the read-aloud tasks (scored results only,
+    // like the vitals)
+    if (riskResult.status === 'complete' && speechTasks.length > 0) {
+      riskResult.speech = await analyzeSpeechAudio(await speechAudio);
+      if (!mountedRef.current) return;
+    }
+
+    // Session facts for the report and history (a replayed file lasts as
+    // long as the video, however long the analysis took; a live session as
+    // long as it recorded, pauses excluded)
+    riskResult.session = {
+      startedAt: sessionRef.current.startedAt,
+      durationSec: isReplay ? replayRef.current.duration : snapshot.elapsedSec,
+      source: isReplay ? 'file' : 'camera',
+      tasks: sessionTasks.map(task => task.id),
+      language: i18n.language
+    };
+
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+    }
+
+    // Pass computed result to next screen
+    setTimeout(() => onComplete(riskResult, capture), 500);
+  };
+
+  // Cancelled: the recording is dropped without a result
+  const cancelSession = (snapshot) => {
+    engineRef.current.pause();
+    speechRecorderRef.current?.stop();
+    controllerRef.current = null;
+    onEvent('cancelled', {
+      task: snapshot.previous === 'calibrating' ? null : snapshot.task.id,
+      elapsedSec: snapshot.elapsedSec
+    });
+    if (onCancel) {
+      onCancel();
+      return;
+    }
+    // Back to the start, camera still running - and positioning starts over
+    setSession(null);
+    setReplayProgress(0);
+    coachRef.current?.reset();
+    setCoaching(null);
+    spokenCoachingRef.current = { text: null, at: 0 };
+    speechRecorderRef.current = streamRef.current ? createSpeechRecorder(streamRef.current) : null;
+  };
+
+  // Speech metrics of the recorded read-aloud audio; `quality.status` is
+  // 'unavailable' when there was no microphone
+  const analyzeSpeechAudio = async (audio) => {
+    let speech = unavailableSpeech();
+    if (audio) {
+      try {
+        const words = speechTasks.reduce((total, task) => total + countWords(task.prompt), 0);
+        speech = await analyzeRecording(audio, { words });
+      } catch (err) {
+        console.error('Speech analysis error:', err);
+      }
+    }
+    return { tasks: speechTasks.map(task => task.id), ...speech };
+  };
+
+  const coachingText = !coaching
+    ? t('coaching.searching')
+    : coaching.message
+    ? t(`coach.${coaching.issue}`, {}, coaching.message)
+    : t(coaching.ready ? 'coaching.ready' : 'coaching.steadying');
+  const showCoaching = !isReplay && sessionState === 'idle' && cameraReady && modelStatus === 'ready';
+
+  // Coaching is announced too: the latest instruction at most every few
+  // seconds, but "ready" - what the user is waiting for - straight away
+  const hasCoaching = coaching !== null;
+  const coachingReady = Boolean(coaching?.ready);
+  useEffect(() => {
+    const spoken = spokenCoachingRef.current;
+    if (!showCoaching || !hasCoaching || coachingText === spoken.text) return undefined;
+    const wait = coachingReady ? 0 : Math.max(0, spoken.at + COACH_SPEAK_INTERVAL_MS - Date.now());
+    const timer = setTimeout(() => {
+      spokenCoachingRef.current = { text: coachingText, at: Date.now() };
+      announce(coachingText);
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [showCoaching, hasCoaching, coachingReady, coachingText]);
+
+  if (cameraError) {
+    return (
+      <div data-theme={theme} className="min-h-screen bg-white flex items-center justify-center p-6">
+        <div className="max-w-md w-full text-center">
+          <div className="w-20 h-20 bg-red-100 rounded-3xl mx-auto mb-6 flex items-center justify-center">
+            {isReplay
+              ? <Film className="w-10 h-10 text-red-500" />
+              : <Camera className="w-10 h-10 text-red-500" />}
+          </div>
+          <div role="alert">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">
+              {t(isReplay ? 'camera.videoFailed' : 'camera.cameraRequired')}
+            </h2>
+            <p className="text-gray-600 mb-6">
+              {isReplay ? t(VIDEO_ERROR_KEYS[cameraError.code], { name: videoFile.name }) : t('camera.cameraDenied')}
+            </p>
+          </div>
+          {onRetry && (
+            <button
+              onClick={onRetry}
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-2xl"
+            >
+              {t('camera.tryAgain')}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div data-theme={theme} className="min-h-screen bg-white flex items-center justify-center p-6">
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+      <div className="max-w-2xl w-full">
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">
+            {t(isReplay ? 'camera.titleReplay' : 'camera.titleLive')}
+          </h2>
+          <p className="text-gray-500">
+            {isReplay ? videoFile.name : sessionState === 'idle' ? coachingText : t('camera.keepInFrame')}
+          </p>
+        </div>
+
+        <div className="bg-gray-900 rounded-3xl overflow-hidden shadow-2xl mb-6 relative">
+          <div className="relative" style={{ paddingBottom: '75%' }}>
+            <video
+              ref={videoRef}
+              autoPlay={!isReplay}
+              playsInline
+              muted
+              aria-label={t(isReplay ? 'a11y.videoPreview' : 'a11y.cameraPreview')}
+              className="absolute inset-0 w-full h-full object-cover"
+              style={{ transform: isReplay ? 'none' : 'scaleX(-1)' }}
+            />
+            <div ref={canvasHostRef} className="absolute inset-0" aria-hidden="true" />
+          </div>
+
+          {showCoaching && (
+            <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+              <div className={`w-2/5 h-3/4 rounded-full border-4 transition-colors duration-300 ${
+                coaching && !coaching.message ? 'border-green-400' : 'border-amber-400 border-dashed'
+              }`} />
+            </div>
+          )}
+
+          {showCoaching && (
+            <div className="absolute inset-x-0 bottom-4 flex justify-center px-4">
+              <div className="bg-black bg-opacity-60 text-white rounded-xl px-4 py-3 text-center shadow-lg w-72 max-w-full">
+                <div className="flex items-center justify-center gap-2 text-sm font-semibold">
+                  {coaching?.ready
+                    ? <CheckCircle className="w-4 h-4 text-green-400" />
+                    : <AlertCircle className={`w-4 h-4 ${coaching?.message ? 'text-amber-400' : 'text-green-400'}`} />}
+                  <span>{coachingText}</span>
+                </div>
+                <div className="mt-2 w-full bg-white bg-opacity-20 rounded-full h-1.5 overflow-hidden">
+                  <div
+                    className="bg-green-400 h-full transition-all duration-200 ease-out"
+                    style={{ width: `${(coaching?.steady ?? 0) * 100}%` }}
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+          
+          {(!cameraReady || modelStatus === 'loading') && (
+            <div className="absolute inset-0 flex items-center justify-center bg-gray-800 bg-opacity-50">
+              <div className="text-white text-center">
+                <Activity className="w-12 h-12 mx-auto mb-3 animate-spin" />
+                <p>
+                  {t(cameraReady
+                    ? 'camera.loadingModel'
+                    : isReplay ? 'camera.openingVideo' : 'camera.initializingCamera')}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {cameraReady && modelStatus === 'error' && (
+            <div className="absolute inset-0 flex items-center justify-center bg-gray-800 bg-opacity-80 p-6">
+              <div className="text-white text-center max-w-sm">
+                <AlertCircle className="w-12 h-12 mx-auto mb-3 text-red-400" />
+                <div role="alert">
+                  <p className="font-semibold mb-2">{t('camera.modelFailed')}</p>
+                  <p className="text-sm opacity-80 mb-4">{modelError}</p>
+                </div>
+                <button
+                  onClick={initAnalysis}
+                  className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-5 rounded-xl"
+                >
+                  {t('camera.retry')}
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {calibrating && (
+            <div className="absolute inset-x-0 bottom-4 flex justify-center px-4">
+              <div className="bg-black bg-opacity-60 text-white rounded-xl px-4 py-3 text-center shadow-lg">
+                <div className="text-sm font-semibold">{t('camera.calibrating')}</div>
+                <div className="text-xs opacity-80">{t('camera.calibratingHint')}</div>
+              </div>
+            </div>
+          )}
+
+          {!isReplay && analysisFps !== null && (
+            <div className="absolute bottom-4 right-4 bg-black bg-opacity-60 text-white text-xs rounded-lg px-2 py-1 tabular-nums">
+              {t('camera.fps', { value: i18n.number(analysisFps, 0) })}
+            </div>
+          )}
+
+          {paused && (
+            <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 p-6">
+              <div className="text-white text-center max-w-sm">
+                <Pause className="w-12 h-12 mx-auto mb-3" />
+                <p className="font-semibold mb-1">
+                  {t(session.pauseReason === 'face-lost' ? 'camera.faceLost' : 'camera.paused')}
+                </p>
+                <p className="text-sm opacity-80">
+                  {t(session.pauseReason === 'face-lost' ? 'camera.faceLostHint' : 'camera.pausedHint')}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {recording && (
+            <div className={`absolute top-4 right-4 text-white px-4 py-2 rounded-full flex items-center gap-2 ${
+              paused ? 'bg-gray-500' : 'bg-red-500 animate-pulse'
+            }`}>
+              <div className="w-3 h-3 bg-white rounded-full" />
+              <span className="font-semibold">{t(paused ? 'camera.paused' : isReplay ? 'camera.analyzing' : 'camera.recording')}</span>
+            </div>
+          )}
+          {recording && (
+  <div className="absolute top-4 left-4 bg-black bg-opacity-60 text-white rounded-xl px-4 py-3 shadow-lg space-y-1">
+    <div className="text-xs uppercase opacity-70">{t('camera.liveVitals')}</div>
+    <div className="text-sm">
+      🫁 {t('camera.breathing', { value: i18n.metric(liveBreathing, 1) })}
+      {liveBreathingSpeech && <span className="text-xs opacity-75"> {t('camera.speaking')}</span>}
+    </div>
+    <div className="text-sm">❤️ {t('camera.heartRate', { value: i18n.metric(liveHeartRate, 0) })}</div>
+  </div>
+)}
+        </div>
+
+        {cameraReady && modelStatus === 'ready' && (
+          <div className="flex items-center justify-center gap-2 mb-6 text-sm">
+            <span className="text-gray-500">{t('camera.overlay')}</span>
+            <div className="inline-flex rounded-xl bg-gray-100 p-1">
+              {OVERLAY_MODES.map(mode => (
+                <button
+                  key={mode}
+                  onClick={() => setOverlay(mode)}
+                  aria-pressed={overlay === mode}
+                  className={`px-3 py-1 rounded-lg font-medium transition-colors ${
+                    overlay === mode ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  {t(`overlay.${mode}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!isReplay && (
+          <div className="bg-blue-50 rounded-2xl p-6 mb-6 shadow-sm">
+            {recording || sessionTasks.length === 1 ? (
+              <>
+                {sessionTasks.length > 1 && (
+                  <p className="text-xs uppercase tracking-wide text-blue-500 font-semibold mb-2">
+                    {taskPhase === 'prepare'
+                      ? t('camera.getReady')
+                      : t('camera.taskOf', { index: taskIndex + 1, count: sessionTasks.length })}
+                    {' • '}{currentTask.title}
+                  </p>
+                )}
+                <p className="text-gray-700 font-medium mb-2">{currentTask.instruction}</p>
+                {currentTask.prompt && (
+                  <p className="text-xl text-blue-600 italic" lang={i18n.language}>
+                    {t('camera.quoted', { text: currentTask.prompt })}
+                  </p>
+                )}
+              </>
+            ) : (
+              <>
+                <p className="text-gray-700 font-medium mb-2">
+                  {t('camera.sessionPlan', { count: sessionTasks.length, seconds: protocolDurationSec(sessionTasks, leadInSec) })}
+                </p>
+                <ol className="text-sm text-gray-600 list-decimal list-inside space-y-1">
+                  {sessionTasks.map(task => (
+                    <li key={task.id}>{task.title}</li>
+                  ))}
+                </ol>
+              </>
+            )}
+          </div>
+        )}
+
+        {recording && isReplay && (
+          <div className="mb-6">
+            <div className="flex items-center justify-center gap-4 mb-4">
+              <Activity className="w-6 h-6 text-blue-500 animate-pulse" />
+              <span className="text-4xl font-bold text-gray-800 tabular-nums">
+                {i18n.percent(replayProgress)}
+              </span>
+            </div>
+            <div
+              role="progressbar"
+              aria-label={t('a11y.progress')}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={Math.round(replayProgress * 100)}
+              className="w-full bg-gray-200 rounded-full h-2 overflow-hidden"
+            >
+              <div
+                className="bg-blue-500 h-full transition-all duration-300 ease-out"
+                style={{ width: `${replayProgress * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {recording && !isReplay && (
+          <div className="mb-6">
+            <div className="flex items-center justify-center gap-4 mb-4">
+              <Activity className="w-6 h-6 text-blue-500 animate-pulse" />
+              <span className="text-4xl font-bold text-gray-800 tabular-nums">
+                {taskPhase === 'prepare' ? t('camera.startingIn', { seconds: timeLeft }) : formatTime(timeLeft)}
+              </span>
+            </div>
+            {taskPhase === 'active' && (
+              <div
+                role="progressbar"
+                aria-label={currentTask.title}
+                aria-valuemin={0}
+                aria-valuemax={currentTask.durationSec}
+                aria-valuenow={currentTask.durationSec - timeLeft}
+                aria-valuetext={formatTime(timeLeft)}
+                className="w-full bg-gray-200 rounded-full h-2 overflow-hidden"
+              >
+                <div 
+                  className="bg-blue-500 h-full transition-all duration-1000 ease-linear"
+                  style={{ width: `${((currentTask.durationSec - timeLeft) / currentTask.durationSec) * 100}%` }}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {sessionState === 'idle' && (
+          <label className="flex items-center gap-3 mb-4 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={captureEnabled}
+              onChange={(e) => setCaptureEnabled(e.target.checked)}
+              className="w-4 h-4 accent-blue-500"
+            />
+            {t('camera.captureOptIn')}
+          </label>
+        )}
+
+        {recording || calibrating ? (
+          <div className="flex gap-3">
+            {recording && (
+              <button
+                onClick={() => (paused ? controllerRef.current?.resume() : controllerRef.current?.pause())}
+                className="flex-1 flex items-center justify-center gap-2 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-4 px-6 rounded-2xl shadow-lg"
+              >
+                {paused ? <Play className="w-5 h-5" /> : <Pause className="w-5 h-5" />}
+                {t(paused ? 'camera.resume' : 'camera.pause')}
+              </button>
+            )}
+            {recording && (
+              <button
+                onClick={() => controllerRef.current?.stop()}
+                className="flex-1 bg-orange-500 hover:bg-orange-600 text-white font-semibold py-4 px-6 rounded-2xl shadow-lg"
+              >
+                {t('camera.finishNow')}
+              </button>
+            )}
+            <button
+              onClick={() => controllerRef.current?.cancel()}
+              className={`${recording ? '' : 'flex-1 '}bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-4 px-6 rounded-2xl`}
+            >
+              {t(calibrating ? 'camera.cancelCalibration' : 'camera.cancel')}
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleStartRecording}
+            disabled={finishing || !cameraReady || modelStatus !== 'ready' || !positionReady}
+            className={`w-full font-semibold py-4 px-8 rounded-2xl shadow-lg transition-all duration-200 ${
+              !cameraReady || modelStatus !== 'ready' || !positionReady
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : finishing
+                ? 'bg-gray-400 text-white cursor-not-allowed'
+                : 'bg-orange-500 hover:bg-orange-600 text-white transform hover:scale-105'
+            }`}
+          >
+            {t(!cameraReady || modelStatus === 'loading'
+              ? 'camera.initializing'
+              : modelStatus === 'error'
+              ? 'camera.modelUnavailable'
+              : finishing
+              ? 'camera.finishing'
+              : !positionReady
+              ? (coaching && !coaching.message ? 'camera.holdStill' : 'camera.adjustPosition')
+              : (isReplay ? 'camera.startAnalysis' : 'camera.startRecording'))}
+          </button>
+        )}
+
+        {(recording || calibrating) && (
+          <p className="mt-3 text-center text-xs text-gray-500">{t('a11y.keyboardHint')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CameraScreen;
@@ -0,0 +1,161 @@
+// <facial-assessment> custom element: the recording screen for pages that
+// don't use React. React is bundled in; the screen renders into a shadow
+// root with its own styles, so nothing leaks into or out of the host page.
+//
+//   <facial-assessment tasks="smile,reading" duration="60"></facial-assessment>
+//
+// Attributes:
+//   tasks       protocol name or comma-separated task ids (lib/protocol.js)
+//   duration    total task time in seconds, rescaling the tasks
+//   model       scoring model `id` or `id@version` (lib/scoring.js)
+//   overlay     none, contours (default), mesh or analysis (lib/overlay.js)
+//   lang        BCP 47 language tag for the text and reading passage
+//               (lib/i18n.js; defaults to the browser's language)
+//   voice       (boolean) speak the instructions, with countdown tones
+//               (lib/voiceGuide.js)
+//   theme       standard (default) or high-contrast (lib/theme.js)
+//   asset-base  where the MediaPipe wasm and face model are served from
+//               (defaults to `mediapipe/tasks-vision/` next to this script)
+//
+// Set the `videoFile` property to a File to analyse a recording instead of
+// the camera. Changing any of these except `overlay`, `voice` and `theme`,
+// which switch in place, starts the session over. The page's URL is never
+// read, so the host's own query parameters can't reconfigure the element.
+//
+// Events (bubbling, composed): `assessment-complete` with `{ result,
+// capture }`, and `assessment-<type>` for each lifecycle event of the host
+// bridge (camera-ready, recording-started, progress, paused, resumed,
+// cancelled, quality-warning, error) with the same payload. A cancelled
+// session goes back to the start button. An invalid configuration raises
+// `assessment-error` with code `invalid-config` and renders nothing.
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import CameraScreen from './components/CameraScreen';
+import { DEFAULT_PROTOCOL, PROTOCOLS, buildProtocol } from './lib/protocol';
+import { getModel } from './lib/scoring';
+import { DEFAULT_OVERLAY_MODE, OVERLAY_MODES, isOverlayMode } from './lib/overlay';
+import { browserLanguage } from './lib/i18n';
+import { DEFAULT_THEME, THEMES, isTheme } from './lib/theme';
+import styles from './element.css?inline';
+
+export const ELEMENT_NAME = 'facial-assessment';
+
+// Attributes that apply to a running session instead of restarting it
+const IN_PLACE_ATTRIBUTES = ['overlay', 'voice', 'theme'];
+
+const DEFAULT_ELEMENT_ASSET_BASE = new URL(/* @vite-ignore */ 'mediapipe/tasks-vision/', import.meta.url).href;
+
+// Session config from the element's attributes. Throws ProtocolError,
+// ModelError or Error (overlay, theme) for invalid values.
+const configFromAttributes = (element) => {
+  const tasksAttr = element.getAttribute('tasks')?.trim() || DEFAULT_PROTOCOL;
+  const durationAttr = element.getAttribute('duration');
+  const overlay = element.getAttribute('overlay')?.trim() || DEFAULT_OVERLAY_MODE;
+  if (!isOverlayMode(overlay)) {
+    throw new Error(`Unknown overlay "${overlay}" (one of ${OVERLAY_MODES.join(', ')})`);
+  }
+  const theme = element.getAttribute('theme')?.trim() || DEFAULT_THEME;
+  if (!isTheme(theme)) {
+    throw new Error(`Unknown theme "${theme}" (one of ${THEMES.join(', ')})`);
+  }
+  return {
+    tasks: buildProtocol({
+      tasks: PROTOCOLS[tasksAttr] ? tasksAttr : tasksAttr.split(',').map((id) => id.trim()).filter(Boolean),
+      durationSec: durationAttr === null ? null : Number(durationAttr)
+    }),
+    model: getModel(element.getAttribute('model') ?? undefined),
+    assetBase: element.getAttribute('asset-base') || DEFAULT_ELEMENT_ASSET_BASE,
+    language: element.getAttribute('lang')?.trim() || browserLanguage(),
+    overlay,
+    voice: element.hasAttribute('voice'),
+    theme
+  };
+};
+
+export class FacialAssessmentElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['tasks', 'duration', 'model', 'asset-base', 'overlay', 'lang', 'voice', 'theme'];
+  }
+
+  #root = null;
+  #videoFile = null;
+  #session = 0;
+
+  get videoFile() {
+    return this.#videoFile;
+  }
+
+  set videoFile(file) {
+    this.#videoFile = file ?? null;
+    this.restart();
+  }
+
+  connectedCallback() {
+    if (!this.#root) {
+      const shadow = this.shadowRoot ?? this.attachShadow({ mode: 'open' });
+      const style = document.createElement('style');
+      style.textContent = styles;
+      const container = document.createElement('div');
+      shadow.replaceChildren(style, container);
+      this.#root = createRoot(container);
+    }
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    // Unmounting stops the camera and releases the face model
+    this.#root?.unmount();
+    this.#root = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (IN_PLACE_ATTRIBUTES.includes(name)) this.#render();
+    else this.restart();
+  }
+
+  // Start over with a fresh session (camera, calibration and recording)
+  restart() {
+    this.#session++;
+    this.#render();
+  }
+
+  #dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(`assessment-${type}`, { detail, bubbles: true, composed: true }));
+  }
+
+  #render() {
+    if (!this.#root) return;
+
+    let config;
+    try {
+      config = configFromAttributes(this);
+    } catch (err) {
+      this.#root.render(null);
+      this.#dispatch('error', { code: 'invalid-config', message: err.message });
+      return;
+    }
+
+    this.#root.render(
+      <CameraScreen
+        key={this.#session}
+        tasks={config.tasks}
+        model={config.model}
+        assetBase={config.assetBase}
+        language={config.language}
+        overlayMode={config.overlay}
+        voiceGuidance={config.voice}
+        theme={config.theme}
+        videoFile={this.#videoFile}
+        onEvent={(type, payload) => this.#dispatch(type, payload)}
+        onRetry={() => this.restart()}
+        onComplete={(result, capture) => this.#dispatch('complete', { result, capture })}
+      />
+    );
+  }
+}
+
+if (!customElements.get(ELEMENT_NAME)) {
+  customElements.define(ELEMENT_NAME, FacialAssessmentElement);
+}
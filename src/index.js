@@ -0,0 +1,163 @@
+// Library entry: the recording screen as a React component plus the
+// analysis pipeline it runs, for apps that embed the assessment directly.
+// Styles ship separately (`facial-mvp/style.css`); the custom element lives
+// in element.jsx.
+
+import './library.css';
+
+export { CameraScreen } from './components/CameraScreen';
+
+// Face model
+export {
+  DEFAULT_ASSET_BASE,
+  DEFAULT_INIT_TIMEOUT_MS,
+  FACE_LANDMARKER_MODEL,
+  loadFaceLandmarker
+} from './lib/faceLandmarker';
+
+// Protocol and scoring
+export {
+  TASKS,
+  PROTOCOLS,
+  DEFAULT_PROTOCOL,
+  TASK_LEAD_IN_SEC,
+  VOICE_LEAD_IN_SEC,
+  MIN_TASK_SEC,
+  MAX_SESSION_SEC,
+  ProtocolError,
+  buildProtocol,
+  READING_PROMPT,
+  READING_PASSAGES,
+  resolveProtocol,
+  localizeTasks,
+  protocolDurationSec
+} from './lib/protocol';
+export {
+  SESSION_STATES,
+  FACE_LOSS_PAUSE_MS,
+  FACE_RETURN_MS,
+  createSessionController
+} from './lib/sessionController';
+export {
+  COACH_LIMITS,
+  COACH_STEADY_MS,
+  COACH_INSTRUCTIONS,
+  createPositionAnalyzer,
+  assessPosition,
+  createPositionCoach
+} from './lib/positionCoach';
+export {
+  DEFAULT_MODEL_ID,
+  BUNDLED_MODELS,
+  ModelError,
+  validateModel,
+  getModel,
+  scoreAssessment
+} from './lib/scoring';
+
+// Locales
+export {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  matchLanguage,
+  browserLanguage,
+  resolveLanguage,
+  createI18n
+} from './lib/i18n';
+
+// Accessibility
+export { VOICE_RATE, supportsVoiceGuide, createVoiceGuide } from './lib/voiceGuide';
+export {
+  THEMES,
+  DEFAULT_THEME,
+  HIGH_CONTRAST_RISK_COLORS,
+  isTheme,
+  riskColor,
+  prefersHighContrast,
+  resolveTheme
+} from './lib/theme';
+
+// Per-frame analysis: the whole session (sessionAnalysis), the engine that
+// runs it in a worker, and its building blocks
+export { createSessionAnalysis } from './lib/sessionAnalysis';
+export { createAnalysisEngine, supportsWorkerAnalysis } from './lib/analysisEngine';
+export { SCHEDULER_DEFAULTS, createFrameScheduler } from './lib/frameScheduler';
+export {
+  OVERLAY_MODES,
+  DEFAULT_OVERLAY_MODE,
+  isOverlayMode,
+  createOverlayRenderer,
+  drawFaceContours,
+  drawFaceMesh
+} from './lib/overlay';
+export { CALIBRATION_MS, eyeAspectRatio, createBlinkDetector } from './lib/blinkDetector';
+export { computeBlinkMetrics } from './lib/blinkMetrics';
+export { POSE_LIMITS, estimatePose, poseWithinLimits, createFaceAligner } from './lib/headPose';
+export { extractExpressionFeatures, computeTaskMetrics } from './lib/taskMetrics';
+export {
+  BLENDSHAPE_NAMES,
+  ASYMMETRY_PAIRS,
+  blendshapeScores,
+  frameExpressivity,
+  computeBlendshapeMetrics
+} from './lib/blendshapeMetrics';
+export {
+  FRAME_LIMITS,
+  SESSION_RULES,
+  landmarkConfidence,
+  createFrameAnalyzer,
+  assessFrame,
+  createQualityTracker,
+  createQualityMonitor,
+  evaluateSessionQuality
+} from './lib/frameQuality';
+
+// Vitals
+export {
+  breathingSample,
+  estimateLiveBreathingRate,
+  estimateBreathingRate
+} from './lib/breathing';
+export {
+  createSkinSampler,
+  estimateLiveHeartRate,
+  estimateHeartRate
+} from './lib/rppg';
+
+// Speech
+export {
+  SPEECH_SAMPLE_RATE,
+  SPEECH_LIMITS,
+  analyzeSpeech,
+  countWords
+} from './lib/speech';
+export {
+  SPEECH_AUDIO_CONSTRAINTS,
+  supportsSpeechRecording,
+  createSpeechRecorder,
+  decodeAudio,
+  analyzeRecording
+} from './lib/speechRecorder';
+export { decodeWav } from './lib/wav';
+
+// Results
+export {
+  CAPTURE_FORMAT,
+  CAPTURE_VERSION,
+  createCapture,
+  captureFrame,
+  captureToJSON,
+  captureToCSV,
+  parseCapture
+} from './lib/landmarkCapture';
+export { FHIR_UNKNOWN_SUBJECT, toFhirBundle } from './lib/fhir';
+export {
+  SCREENING_DISCLAIMER,
+  REFERENCE_RANGES,
+  referenceText,
+  reportMetrics,
+  reportVitals,
+  reportSpeech,
+  reportComponents
+} from './lib/report';
@@ -0,0 +1,162 @@
+// Runs the analysis pipeline for the recording screen: in a Web Worker
+// (workers/analysis.worker.js) where the browser supports WebGL on an
+// OffscreenCanvas in workers, otherwise on the main thread. Both variants share
+// one promise-based interface:
+//
+//   init()                    load the face model
+//   process(source, t, opts)  analyse the current frame of a <video> → { face }
+//                             (`opts.coach` adds `position`, see frameProcessor.js)
+//   start(captureOptions)     new session (see sessionAnalysis.js)
+//   begin()                   → { calibrated, baseline }
+//   setTask(task, durationSec)
+//   pause(reason) / resume()  suspend the recording (frames are ignored;
+//                             reason 'user' or 'face-lost')
+//   setOverlay(mode)          switch the overlay (see overlay.js)
+//   finish(model)             → { result, capture }
+//   dispose()
+//
+// The overlay goes to `canvas`, which the worker variant takes over with
+// transferControlToOffscreen - pass a fresh canvas to every engine.
+
+import { loadFaceLandmarker } from './faceLandmarker';
+import { createFrameProcessor } from './frameProcessor';
+import { DEFAULT_OVERLAY_MODE, createOverlayRenderer } from './overlay';
+import { createSessionAnalysis } from './sessionAnalysis';
+
+// The landmarker's GPU delegate needs WebGL on an OffscreenCanvas inside
+// the worker, and the overlay a canvas that can be handed over
+export const supportsWorkerAnalysis = () => {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+      typeof createImageBitmap === 'undefined' ||
+      !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) {
+    return false;
+  }
+  try {
+    const probe = new OffscreenCanvas(1, 1);
+    return Boolean(probe.getContext('webgl2') ?? probe.getContext('webgl'));
+  } catch {
+    return false;
+  }
+};
+
+// Snapshot of the frame the video is showing, for transfer to the worker.
+// A VideoFrame wraps the decoded frame without a copy; ImageBitmap is the
+// fallback.
+const grabFrame = async (video, t) => {
+  if (typeof VideoFrame !== 'undefined') {
+    try {
+      return new VideoFrame(video, { timestamp: Math.round(t * 1000) });
+    } catch {
+      // e.g. no frame decoded yet, or a browser that can't wrap <video>
+    }
+  }
+  return createImageBitmap(video);
+};
+
+const createWorkerEngine = ({ canvas, assetBase, overlayMode, onWarning, onLive }) => {
+  const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // request id → { resolve, reject }
+  let nextId = 0;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'event') {
+      if (data.event === 'quality-warning') onWarning(data.payload);
+      else if (data.event === 'live') onLive(data.payload);
+      return;
+    }
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+
+  // The worker script itself failed (load or syntax error)
+  worker.onerror = (event) => {
+    const err = new Error(event.message || 'Analysis worker failed to start');
+    for (const request of pending.values()) request.reject(err);
+    pending.clear();
+  };
+
+  const call = (type, payload = {}, transfer = []) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ type, id, ...payload }, transfer);
+  });
+
+  return {
+    mode: 'worker',
+    init() {
+      const offscreen = canvas.transferControlToOffscreen();
+      // Worker URLs resolve against the worker script, not the page
+      const base = new URL(assetBase, document.baseURI).href;
+      return call('init', { assetBase: base, canvas: offscreen, overlay: overlayMode }, [offscreen]);
+    },
+    async process(video, t, { coach = false } = {}) {
+      const image = await grabFrame(video, t);
+      return call('frame', { t, image, coach }, [image]);
+    },
+    start: (capture) => call('start', { capture }),
+    begin: () => call('begin'),
+    setTask: (task, durationSec) => call('task', { task, durationSec }),
+    pause: (reason) => call('pause', { reason }),
+    resume: () => call('resume'),
+    setOverlay: (mode) => call('overlay', { mode }),
+    finish: (model) => call('finish', { model }),
+    dispose() {
+      // Outstanding requests are dropped, not rejected: their callers are
+      // being torn down too
+      worker.terminate();
+      pending.clear();
+    }
+  };
+};
+
+const createMainThreadEngine = ({ canvas, assetBase, overlayMode, onWarning, onLive }) => {
+  const analysis = createSessionAnalysis({ onWarning, onLive });
+  const overlay = createOverlayRenderer({ mode: overlayMode });
+  let landmarker = null;
+  let processFrame = null;
+  let disposed = false;
+
+  return {
+    mode: 'main-thread',
+    async init() {
+      const loaded = await loadFaceLandmarker({ assetBase });
+      if (disposed) {
+        loaded.close();
+        return;
+      }
+      landmarker = loaded;
+      processFrame = createFrameProcessor({ landmarker, canvas, overlay, analysis });
+    },
+    process: (video, t, options) => processFrame(video, t, options),
+    start: async (capture) => analysis.start(capture),
+    begin: async () => analysis.begin(),
+    setTask: async (task, durationSec) => analysis.setTask(task, durationSec),
+    pause: async (reason) => analysis.pause(reason),
+    resume: async () => analysis.resume(),
+    setOverlay: async (mode) => overlay.setMode(mode),
+    finish: async (model) => analysis.finish(model),
+    dispose() {
+      disposed = true;
+      landmarker?.close();
+      landmarker = null;
+    }
+  };
+};
+
+// `onWarning({ code, message })` and `onLive({ breathing } | { heart })`
+// as in createSessionAnalysis. `overlayMode` is the overlay's starting mode
+// (see overlay.js). `worker: false` forces the main thread.
+export const createAnalysisEngine = ({
+  canvas,
+  assetBase,
+  overlayMode = DEFAULT_OVERLAY_MODE,
+  onWarning = () => {},
+  onLive = () => {},
+  worker = supportsWorkerAnalysis()
+}) => {
+  const options = { canvas, assetBase, overlayMode, onWarning, onLive };
+  return worker ? createWorkerEngine(options) : createMainThreadEngine(options);
+};
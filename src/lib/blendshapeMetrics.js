@@ -0,0 +1,137 @@
+// Expression metrics from the FaceLandmarker's blendshape scores.
+//
+// Every frame carries 52 blendshape activations (0-1, ARKit naming) - how
+// far the face has moved into each elementary expression. Reduced
+// expressivity (hypomimia) shows up as lower and less variable activations,
+// and unilateral involvement as a gap between the Left/Right members of a
+// pair. Left/Right follow the model's labels.
+
+import { mean, std } from './dsp';
+
+// Model output order (categories come back sorted by index)
+export const BLENDSHAPE_NAMES = [
+  '_neutral',
+  'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+  'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight',
+  'eyeBlinkLeft', 'eyeBlinkRight',
+  'eyeLookDownLeft', 'eyeLookDownRight', 'eyeLookInLeft', 'eyeLookInRight',
+  'eyeLookOutLeft', 'eyeLookOutRight', 'eyeLookUpLeft', 'eyeLookUpRight',
+  'eyeSquintLeft', 'eyeSquintRight', 'eyeWideLeft', 'eyeWideRight',
+  'jawForward', 'jawLeft', 'jawOpen', 'jawRight',
+  'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight', 'mouthFrownLeft', 'mouthFrownRight',
+  'mouthFunnel', 'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+  'mouthPressLeft', 'mouthPressRight', 'mouthPucker', 'mouthRight',
+  'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+  'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft', 'mouthStretchRight',
+  'mouthUpperUpLeft', 'mouthUpperUpRight', 'noseSneerLeft', 'noseSneerRight'
+];
+
+// Bilateral blendshapes compared for asymmetry. jaw/mouth Left/Right are
+// sideways shifts rather than sides, and blinks have their own metrics.
+export const ASYMMETRY_PAIRS = [
+  'browDown', 'browOuterUp', 'cheekSquint', 'eyeSquint', 'eyeWide', 'mouthDimple',
+  'mouthFrown', 'mouthLowerDown', 'mouthPress', 'mouthSmile', 'mouthStretch',
+  'mouthUpperUp', 'noseSneer'
+];
+
+// Gaze, blinks and the neutral score say nothing about expressivity
+const EXPRESSIVE = BLENDSHAPE_NAMES
+  .map((name, i) => [name, i])
+  .filter(([name]) => name !== '_neutral' && !name.startsWith('eyeLook') && !name.startsWith('eyeBlink'))
+  .map(([, i]) => i);
+
+const INDEX = Object.fromEntries(BLENDSHAPE_NAMES.map((name, i) => [name, i]));
+
+// A pair only counts towards asymmetry while the expression is actually
+// made - at rest both sides sit near zero and their ratio is noise
+const MIN_PAIR_ACTIVATION = 0.1;
+const MIN_SEC = 1;
+const MIN_TASK_SEC = 0.2;
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Scores of one frame in BLENDSHAPE_NAMES order, from the landmarker's
+// `faceBlendshapes[0].categories`; null when the model returned none
+export const blendshapeScores = (categories) => {
+  if (!categories?.length) return null;
+  const scores = new Array(BLENDSHAPE_NAMES.length).fill(0);
+  for (const { categoryName, score } of categories) {
+    const i = INDEX[categoryName];
+    if (i !== undefined) scores[i] = score;
+  }
+  return scores;
+};
+
+// Mean activation of the expressive blendshapes in one frame
+export const frameExpressivity = (scores) => mean(EXPRESSIVE.map((i) => scores[i]));
+
+// Activation-weighted left/right imbalance over `frames`: 0 = symmetric,
+// 1 = one side only. `laterality` is signed (positive = Left stronger).
+const asymmetryOf = (frames) => {
+  const pairs = {};
+  let diff = 0;
+  let signed = 0;
+  let total = 0;
+  for (const pair of ASYMMETRY_PAIRS) {
+    const left = INDEX[`${pair}Left`];
+    const right = INDEX[`${pair}Right`];
+    let pairDiff = 0;
+    let pairTotal = 0;
+    for (const scores of frames) {
+      const sum = scores[left] + scores[right];
+      if (sum < MIN_PAIR_ACTIVATION) continue;
+      pairDiff += Math.abs(scores[left] - scores[right]);
+      pairTotal += sum;
+      signed += scores[left] - scores[right];
+    }
+    pairs[pair] = pairTotal > 0 ? pairDiff / pairTotal : null;
+    diff += pairDiff;
+    total += pairTotal;
+  }
+  return {
+    asymmetry: total > 0 ? diff / total : null,
+    laterality: total > 0 ? signed / total : null,
+    pairs
+  };
+};
+
+// `segments` maps task id → { spontaneous, blendshapes: [scores, ...],
+// analysedMs } (usable frames only; analysedMs is the time they cover). Expressivity (mean activation) and variability
+// (mean per-blendshape SD) come from the spontaneous tasks; asymmetry pools
+// every task, so deliberate expressions - where one-sided weakness shows
+// most - dominate it. Returns null without blendshape frames.
+export const computeBlendshapeMetrics = (segments) => {
+  const all = Object.values(segments);
+  const frames = all.flatMap((segment) => segment.blendshapes);
+  if (frames.length === 0) return null;
+
+  const spontaneousSegments = all.filter((segment) => segment.spontaneous);
+  const spontaneous = spontaneousSegments.flatMap((segment) => segment.blendshapes);
+  const spontaneousSec = spontaneousSegments.reduce((total, segment) => total + segment.analysedMs / 1000, 0);
+  const enough = spontaneous.length > 1 && spontaneousSec >= MIN_SEC;
+
+  const tasks = {};
+  for (const segment of all) {
+    if (segment.blendshapes.length === 0 || segment.analysedMs < MIN_TASK_SEC * 1000) {
+      tasks[segment.task] = null;
+      continue;
+    }
+    const { asymmetry } = asymmetryOf(segment.blendshapes);
+    tasks[segment.task] = {
+      // Height of the expression rather than its average
+      peakExpressivity: percentile(segment.blendshapes.map(frameExpressivity), 0.9),
+      asymmetry
+    };
+  }
+
+  return {
+    frames: frames.length,
+    expressivity: enough ? mean(spontaneous.map(frameExpressivity)) : null,
+    variability: enough ? mean(EXPRESSIVE.map((i) => std(spontaneous.map((scores) => scores[i])))) : null,
+    ...asymmetryOf(frames),
+    tasks
+  };
+};
@@ -0,0 +1,127 @@
+// Eye-aspect-ratio (EAR) blink detector with per-user calibration.
+//
+// EAR = (|p2-p6| + |p3-p5|) / (2 * |p1-p4|) over the six-point eye contour
+// (Soukupová & Čech, 2016). It is scale-invariant and, unlike a single
+// lid-to-lid distance, stays stable across eye shapes once it is normalised
+// against the user's own open-eye baseline.
+
+// Six-point contours [p1 (outer corner), p2, p3, p4 (inner corner), p5, p6].
+// "Left"/"right" follow the image side, as elsewhere in the pipeline.
+export const LEFT_EYE_EAR = [33, 160, 158, 133, 153, 144];
+export const RIGHT_EYE_EAR = [362, 385, 387, 263, 373, 380];
+
+// Used when calibration did not see enough open-eye frames
+export const DEFAULT_OPEN_EAR = 0.28;
+
+export const CALIBRATION_MS = 3000;
+
+const DEFAULTS = {
+  closeRatio: 0.65,   // EAR below baseline * closeRatio → eye closing
+  openRatio: 0.8,     // EAR above baseline * openRatio → eye open again (hysteresis)
+  completeRatio: 0.4, // blinks whose lowest EAR stays above this are incomplete
+  minBlinkMs: 50,     // shorter closures are tracking noise
+  maxBlinkMs: 500,    // longer closures are squints / deliberate closures
+  maxFrameGapMs: 250, // a gap this long mid-closure means frames were lost
+  minCalibrationSamples: 15
+};
+
+// `aspect` is video width / height: landmarks are normalised per axis, so x
+// must be rescaled before measuring distances.
+const distance = (a, b, aspect) => {
+  const dx = (a.x - b.x) * aspect;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+export const eyeAspectRatio = (landmarks, indices, aspect = 1) => {
+  const [p1, p2, p3, p4, p5, p6] = indices.map((i) => landmarks[i]);
+  const horizontal = distance(p1, p4, aspect);
+  if (horizontal === 0) return 0;
+  return (distance(p2, p6, aspect) + distance(p3, p5, aspect)) / (2 * horizontal);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const createBlinkDetector = (options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+  const calibrationSamples = [];
+  let baseline = null;
+  let closedAt = null;
+  let lastFrameAt = null;
+
+  const detector = {
+    config,
+
+    // Feed open-eye samples before recording; blinks in the window are
+    // harmless because the baseline is the median.
+    calibrate(landmarks, aspect) {
+      const ear = (eyeAspectRatio(landmarks, LEFT_EYE_EAR, aspect) +
+        eyeAspectRatio(landmarks, RIGHT_EYE_EAR, aspect)) / 2;
+      calibrationSamples.push(ear);
+      return ear;
+    },
+
+    // Lock in the open-eye baseline. Returns false (and uses the population
+    // default) when too few samples were collected.
+    finishCalibration() {
+      const ok = calibrationSamples.length >= config.minCalibrationSamples;
+      baseline = ok ? median(calibrationSamples) : DEFAULT_OPEN_EAR;
+      return ok;
+    },
+
+    get baseline() {
+      return baseline ?? DEFAULT_OPEN_EAR;
+    },
+
+    get calibrated() {
+      return baseline !== null;
+    },
+
+    // Process one frame at time `t` (ms). Returns the per-eye and mean EAR
+    // and, when a closure has just ended as a valid blink, the blink event
+    // `{ start, end, duration, minEar, amplitude, complete }`. `amplitude` is
+    // the fraction of the open-eye EAR the lids closed (1 = fully shut).
+    update(t, landmarks, aspect) {
+      const left = eyeAspectRatio(landmarks, LEFT_EYE_EAR, aspect);
+      const right = eyeAspectRatio(landmarks, RIGHT_EYE_EAR, aspect);
+      const ear = (left + right) / 2;
+      const open = detector.baseline;
+      let blink = null;
+
+      // Lost frames mid-closure: we can't tell how long the eye was shut
+      if (closedAt && lastFrameAt !== null && t - lastFrameAt > config.maxFrameGapMs) {
+        closedAt = null;
+      }
+      lastFrameAt = t;
+
+      if (!closedAt) {
+        if (ear < open * config.closeRatio) {
+          closedAt = { start: t, minEar: ear };
+        }
+      } else if (ear > open * config.openRatio) {
+        const duration = t - closedAt.start;
+        if (duration >= config.minBlinkMs && duration <= config.maxBlinkMs) {
+          blink = {
+            start: closedAt.start,
+            end: t,
+            duration,
+            minEar: closedAt.minEar,
+            amplitude: Math.max(0, 1 - closedAt.minEar / open),
+            complete: closedAt.minEar < open * config.completeRatio
+          };
+        }
+        closedAt = null;
+      } else {
+        closedAt.minEar = Math.min(closedAt.minEar, ear);
+      }
+
+      return { left, right, ear, blink };
+    }
+  };
+
+  return detector;
+};
@@ -0,0 +1,53 @@
+// Blink kinematics from timestamped blink events (see blinkDetector.js).
+//
+// Beyond the rate, reduced blink rate in Parkinson's comes with longer
+// blinks, more irregular inter-blink intervals and a higher share of
+// incomplete blinks (lids not closing fully).
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const sd = (values) => {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// `events` are `{ start, end, duration, complete, segment?, task?, epoch? }`
+// with times in ms; `segment` is the index of the protocol task run, `task`
+// its id and `epoch` the number of pauses before the blink. Statistics that
+// need more blinks than were seen come back as null.
+export const computeBlinkMetrics = (events) => {
+  const durations = events.map((e) => e.duration);
+  // Inter-blink interval: onset to onset, in seconds. Events from different
+  // `segment`s (protocol task runs) or `epoch`s (either side of a pause)
+  // aren't contiguous, so no interval spans a lead-in or a pause.
+  const intervals = [];
+  for (let i = 1; i < events.length; i++) {
+    if (events[i].segment === events[i - 1].segment && events[i].epoch === events[i - 1].epoch) {
+      intervals.push((events[i].start - events[i - 1].start) / 1000);
+    }
+  }
+  const ibiMean = intervals.length > 0 ? mean(intervals) : null;
+  const ibiSd = sd(intervals);
+
+  return {
+    count: events.length,
+    durationMean: durations.length > 0 ? mean(durations) : null,
+    durationMedian: durations.length > 0 ? median(durations) : null,
+    durationSd: sd(durations),
+    ibiMean,
+    ibiCv: ibiMean && ibiSd !== null ? ibiSd / ibiMean : null,
+    incompleteRatio: events.length > 0
+      ? events.filter((e) => !e.complete).length / events.length
+      : null,
+    events: events.map(({ start, end, duration, amplitude, complete, segment, task }) => ({
+      start, end, duration, amplitude, complete, segment, task
+    }))
+  };
+};
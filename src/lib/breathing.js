@@ -0,0 +1,144 @@
+// Breathing rate from the slow vertical bob of the head.
+//
+// Chest and shoulder movement while breathing carries the head up and down
+// by a fraction of a millimetre. The face mesh tracks no torso points, so
+// the torso shows up through the rigid nose-bridge landmarks, whose mean
+// height (in eye-distance units, so framing doesn't matter) forms the
+// signal. Windows are detrended, band-passed to 0.1-0.7 Hz (6-42 breaths
+// per minute) and the spectral peak is taken as the rate.
+//
+// Talking moves the jaw and the head at breathing-like rates and speech
+// itself reshapes the breathing pattern, so each sample records whether the
+// user was speaking. Windows dominated by speech are only used when nothing
+// else is available, and then at reduced confidence.
+
+import {
+  bandpass,
+  detrendLinear,
+  dominantFrequency,
+  maxGap,
+  mean,
+  median,
+  powerSpectrum,
+  resampleUniform,
+  std
+} from './dsp';
+
+// Nose bridge and tip - rigid and clear of the jaw and brows
+export const BREATH_LANDMARKS = [168, 6, 197, 195, 5, 4, 1];
+const LEFT_EYE_OUTER = 33;
+const RIGHT_EYE_OUTER = 263;
+const UPPER_LIP = 13;
+const LOWER_LIP = 14;
+
+export const BREATH_BAND_HZ = [0.1, 0.7]; // 6-42 breaths/min
+export const BREATH_FS = 10;              // resampling rate (Hz)
+export const BREATH_WINDOW_SEC = 20;      // long enough for ~2 cycles at the slowest rate
+export const BREATH_MIN_QUALITY = 0.6;    // spectral concentration a window needs (noise reaches ~0.55)
+export const BREATH_MIN_ACCEPTED = 0.5;   // share of windows that must pass for a session reading
+
+const WINDOW_HOP_SEC = 2;
+const MAX_SAMPLE_GAP_MS = 1000;
+// Head displacement (eye distances, SD) beyond which a window holds nods or
+// repositioning rather than breathing
+const MAX_MOTION_SD = 0.08;
+// Lip aperture variability (eye distances, SD) that marks active speech
+const SPEECH_APERTURE_SD = 0.02;
+// Share of speaking samples that makes a window a speech window
+const SPEECH_WINDOW_SHARE = 0.3;
+// Confidence multiplier for readings that rely on speech windows only
+const SPEECH_CONFIDENCE = 0.5;
+// Window estimates within this many breaths/min of the median agree
+const AGREEMENT_BPM = 3;
+
+// One breathing sample from raw landmarks: `{ t, y, aperture, speaking }`.
+// `speaking` is the caller's hint (e.g. a reading task is running); lip
+// movement is checked per window on top of it.
+export const breathingSample = (t, landmarks, aspect, speaking = false) => {
+  const dx = (landmarks[RIGHT_EYE_OUTER].x - landmarks[LEFT_EYE_OUTER].x) * aspect;
+  const dy = landmarks[RIGHT_EYE_OUTER].y - landmarks[LEFT_EYE_OUTER].y;
+  const eyeDistance = Math.sqrt(dx * dx + dy * dy);
+  if (eyeDistance === 0) return null;
+
+  const y = mean(BREATH_LANDMARKS.map((i) => landmarks[i].y));
+  const aperture = Math.abs(landmarks[LOWER_LIP].y - landmarks[UPPER_LIP].y);
+  return { t, y: y / eyeDistance, aperture: aperture / eyeDistance, speaking };
+};
+
+// Breathing rate from one window of samples. Returns
+// `{ bpm, quality, speech }` or null if the window can't be analysed.
+export const estimateWindow = (samples) => {
+  if (samples.length < 2) return null;
+  const times = samples.map((s) => s.t);
+  if (maxGap(times) > MAX_SAMPLE_GAP_MS) return null;
+
+  const signal = detrendLinear(resampleUniform(times, samples.map((s) => s.y), BREATH_FS));
+  if (signal.length < BREATH_WINDOW_SEC * BREATH_FS * 0.75) return null;
+  if (std(signal) > MAX_MOTION_SD) return null;
+
+  const filtered = bandpass(signal, BREATH_FS, BREATH_BAND_HZ[0], BREATH_BAND_HZ[1]);
+  const spectrum = powerSpectrum(filtered, BREATH_FS, BREATH_BAND_HZ[0], BREATH_BAND_HZ[1], 0.005);
+  const { frequency, quality } = dominantFrequency(spectrum, 0.05);
+
+  const speakingShare = samples.filter((s) => s.speaking).length / samples.length;
+  const speech = speakingShare >= SPEECH_WINDOW_SHARE ||
+    std(samples.map((s) => s.aperture)) > SPEECH_APERTURE_SD;
+
+  return { bpm: frequency * 60, quality, speech };
+};
+
+const samplesBetween = (samples, from, to) => samples.filter((s) => s.t >= from && s.t <= to);
+
+// Live reading over the most recent window; null until enough signal or
+// while it's too noisy. `speech` flags a reading taken while talking.
+export const estimateLiveBreathingRate = (samples) => {
+  if (samples.length === 0) return null;
+  const end = samples[samples.length - 1].t;
+  if (end - samples[0].t < BREATH_WINDOW_SEC * 800) return null;
+  const estimate = estimateWindow(samplesBetween(samples, end - BREATH_WINDOW_SEC * 1000, end));
+  return estimate && estimate.quality >= BREATH_MIN_QUALITY ? estimate : null;
+};
+
+// Session breathing rate from sliding windows. Quiet windows are preferred;
+// speech windows are only used when there are no usable quiet ones. The
+// confidence (0-1) combines spectral concentration with how well the
+// windows agree, and is halved for speech-only readings.
+export const estimateBreathingRate = (samples) => {
+  const windows = [];
+  if (samples.length > 0) {
+    const first = samples[0].t;
+    const last = samples[samples.length - 1].t;
+    for (let start = first; start + BREATH_WINDOW_SEC * 1000 <= last + 1; start += WINDOW_HOP_SEC * 1000) {
+      const estimate = estimateWindow(samplesBetween(samples, start, start + BREATH_WINDOW_SEC * 1000));
+      if (estimate) windows.push(estimate);
+    }
+  }
+
+  const accepted = windows.filter((w) => w.quality >= BREATH_MIN_QUALITY);
+  const quiet = accepted.filter((w) => !w.speech);
+  const speechOnly = quiet.length === 0 && accepted.length > 0;
+  const used = speechOnly ? accepted : quiet;
+  const reliable = used.length > 0 && accepted.length >= windows.length * BREATH_MIN_ACCEPTED;
+
+  let breathingRate = null;
+  let confidence = 0;
+  if (reliable) {
+    breathingRate = median(used.map((w) => w.bpm));
+    const agreement = used.filter((w) => Math.abs(w.bpm - breathingRate) <= AGREEMENT_BPM).length / used.length;
+    confidence = mean(used.map((w) => w.quality)) * agreement * (speechOnly ? SPEECH_CONFIDENCE : 1);
+  }
+
+  return {
+    breathingRate,
+    quality: {
+      confidence,
+      windowsUsed: reliable ? used.length : 0,
+      windowsTotal: windows.length,
+      speechWindows: windows.filter((w) => w.speech).length,
+      speechOnly,
+      status: windows.length === 0
+        ? 'insufficient-data'
+        : breathingRate === null ? 'low-quality' : 'ok'
+    }
+  };
+};
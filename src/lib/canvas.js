@@ -0,0 +1,12 @@
+// Scratch canvases that work on the main thread and in the analysis worker,
+// which has no DOM: OffscreenCanvas where available, else a detached
+// <canvas> element.
+export const createCanvas = (width = 1, height = 1) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
@@ -0,0 +1,150 @@
+// Small signal-processing toolkit shared by the vitals estimators.
+//
+// Camera frames arrive at irregular times, so signals are first resampled to
+// a uniform rate; filters are zero-phase (forward-backward) biquads and
+// spectra are evaluated directly on the frequency band of interest.
+
+export const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+export const std = (values) => {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / values.length);
+};
+
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Largest gap (ms) between consecutive timestamps
+export const maxGap = (times) => {
+  let gap = 0;
+  for (let i = 1; i < times.length; i++) gap = Math.max(gap, times[i] - times[i - 1]);
+  return gap;
+};
+
+// Linear interpolation of (times in ms, values) onto a uniform grid at `fs` Hz
+export const resampleUniform = (times, values, fs) => {
+  if (times.length < 2) return [];
+  const step = 1000 / fs;
+  const out = [];
+  let j = 0;
+  for (let t = times[0]; t <= times[times.length - 1]; t += step) {
+    while (j < times.length - 2 && times[j + 1] < t) j++;
+    const span = times[j + 1] - times[j];
+    const f = span > 0 ? (t - times[j]) / span : 0;
+    out.push(values[j] + (values[j + 1] - values[j]) * f);
+  }
+  return out;
+};
+
+// Remove the least-squares straight line
+export const detrendLinear = (values) => {
+  const n = values.length;
+  if (n < 2) return [...values];
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - xMean) * (values[i] - yMean);
+    den += (i - xMean) ** 2;
+  }
+  const slope = num / den;
+  return values.map((v, i) => v - (yMean + slope * (i - xMean)));
+};
+
+// RBJ cookbook biquad coefficients (normalised so a0 = 1)
+const biquad = (type, cutoff, fs, q = Math.SQRT1_2) => {
+  const w0 = (2 * Math.PI * cutoff) / fs;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+  const b = type === 'lowpass'
+    ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+    : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  return {
+    b: b.map((v) => v / a0),
+    a: [1, (-2 * cos) / a0, (1 - alpha) / a0]
+  };
+};
+
+const applyBiquad = ({ b, a }, x) => {
+  const y = new Array(x.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const v = b[0] * x[i] + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    x2 = x1;
+    x1 = x[i];
+    y2 = y1;
+    y1 = v;
+    y[i] = v;
+  }
+  return y;
+};
+
+// Zero-phase band-pass (2nd-order Butterworth high-pass + low-pass, run
+// forwards and backwards). Edges are reflection-padded to tame transients.
+export const bandpass = (values, fs, low, high) => {
+  if (values.length < 4) return [...values];
+  const pad = Math.min(values.length - 1, Math.round(fs * 2));
+  const head = values.slice(1, pad + 1).reverse();
+  const tail = values.slice(-pad - 1, -1).reverse();
+  let x = [...head, ...values, ...tail];
+
+  const filters = [biquad('highpass', low, fs), biquad('lowpass', high, fs)];
+  for (const filter of filters) {
+    x = applyBiquad(filter, x);
+    x = applyBiquad(filter, x.reverse()).reverse();
+  }
+  return x.slice(pad, pad + values.length);
+};
+
+// Hann-windowed power spectrum evaluated from `fMin` to `fMax` Hz
+export const powerSpectrum = (values, fs, fMin, fMax, df = 0.01) => {
+  const n = values.length;
+  const windowed = values.map((v, i) => v * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1))));
+  const freqs = [];
+  const power = [];
+  for (let f = fMin; f <= fMax + 1e-9; f += df) {
+    const w = (2 * Math.PI * f) / fs;
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < n; i++) {
+      re += windowed[i] * Math.cos(w * i);
+      im -= windowed[i] * Math.sin(w * i);
+    }
+    freqs.push(f);
+    power.push(re * re + im * im);
+  }
+  return { freqs, power };
+};
+
+// Dominant frequency in a spectrum plus the share of in-band power within
+// `halfWidth` Hz of it (0-1, a simple signal-quality index).
+export const dominantFrequency = ({ freqs, power }, halfWidth) => {
+  let peak = 0;
+  for (let i = 1; i < power.length; i++) {
+    if (power[i] > power[peak]) peak = i;
+  }
+
+  // Parabolic interpolation around the peak bin
+  let frequency = freqs[peak];
+  if (peak > 0 && peak < power.length - 1) {
+    const [l, c, r] = [power[peak - 1], power[peak], power[peak + 1]];
+    const denom = l - 2 * c + r;
+    if (denom !== 0) {
+      frequency += (0.5 * (l - r) / denom) * (freqs[1] - freqs[0]);
+    }
+  }
+
+  let total = 0;
+  let near = 0;
+  for (let i = 0; i < power.length; i++) {
+    total += power[i];
+    if (Math.abs(freqs[i] - freqs[peak]) <= halfWidth) near += power[i];
+  }
+
+  return { frequency, quality: total > 0 ? near / total : 0 };
+};
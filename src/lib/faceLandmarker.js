@@ -0,0 +1,85 @@
+// MediaPipe FaceLandmarker loader (MediaPipe Tasks vision API)
+//
+// The Tasks runtime is imported as an ES module from @mediapipe/tasks-vision.
+// Its wasm files and the face_landmarker.task model are shipped with the app
+// by the `mediapipe-assets` plugin in vite.config.ts, so the assessment works
+// without any network access beyond the app itself. Set
+// VITE_MEDIAPIPE_ASSET_BASE to serve the files from somewhere else (e.g. a
+// sub-path or an internal static host).
+//
+// The loader works on a page and in the analysis worker
+// (workers/analysis.worker.js).
+
+import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+
+export const DEFAULT_ASSET_BASE =
+  import.meta.env.VITE_MEDIAPIPE_ASSET_BASE ||
+  `${import.meta.env.BASE_URL}mediapipe/tasks-vision/`;
+
+// Model bundle file name, looked up next to the wasm files
+export const FACE_LANDMARKER_MODEL = 'face_landmarker.task';
+
+// Model download + wasm compile can be slow on clinic hardware, but it should
+// never take this long when the files are reachable.
+export const DEFAULT_INIT_TIMEOUT_MS = 20000;
+
+const withTrailingSlash = (path) => (path.endsWith('/') ? path : `${path}/`);
+
+// Module workers (how Vite builds the analysis worker) have no
+// importScripts, so they load the ES module build of the wasm loader
+const inWorker = typeof document === 'undefined';
+
+// Rejects with `message` after `ms`. The work itself can't be cancelled, so
+// whatever it resolves to after that goes to `disposeLate` instead of
+// leaking.
+const withTimeout = (promise, ms, message, disposeLate) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      promise.then(disposeLate, () => {});
+      reject(new Error(message));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Create a FaceLandmarker in video mode with blendshape output and wait
+// until the wasm and model are ready. Tries the GPU delegate first and
+// falls back to the CPU. Rejects on network failure or when `timeoutMs`
+// elapses; a landmarker that finishes loading after the timeout is closed,
+// so retries don't pile up wasm instances and GPU contexts.
+export const loadFaceLandmarker = async ({
+  assetBase = DEFAULT_ASSET_BASE,
+  timeoutMs = DEFAULT_INIT_TIMEOUT_MS,
+  options = {}
+} = {}) => {
+  const base = withTrailingSlash(assetBase);
+
+  const init = async () => {
+    const fileset = await FilesetResolver.forVisionTasks(base.slice(0, -1), inWorker);
+    const create = (delegate) => FaceLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: `${base}${FACE_LANDMARKER_MODEL}`, delegate },
+      runningMode: 'VIDEO',
+      numFaces: 1,
+      minFaceDetectionConfidence: 0.5,
+      minFacePresenceConfidence: 0.5,
+      minTrackingConfidence: 0.5,
+      outputFaceBlendshapes: true,
+      ...options
+    });
+
+    try {
+      return await create('GPU');
+    } catch (err) {
+      console.warn('FaceLandmarker: GPU delegate unavailable, using CPU:', err);
+      return create('CPU');
+    }
+  };
+
+  return withTimeout(
+    init(),
+    timeoutMs,
+    `Face model did not load within ${Math.round(timeoutMs / 1000)} seconds`,
+    (landmarker) => landmarker.close()
+  );
+};
@@ -0,0 +1,198 @@
+// HL7 FHIR R4 export of a completed result.
+//
+// The Bundle (type `collection`) holds one Observation per metric, a
+// RiskAssessment for the overall score, a Device for the scoring model and
+// a Provenance tying them together. Vitals use LOINC vital-sign codes; the
+// facial metrics have no standard codes yet and use this app's own code
+// system. Entries reference each other through `urn:uuid:` full URLs, so
+// the Bundle can be posted as-is or turned into a transaction by the host.
+
+export const FHIR_CODE_SYSTEM = 'urn:facial-assessment:metric';
+export const FHIR_MODEL_SYSTEM = 'urn:facial-assessment:model';
+
+// Subject when the host hasn't configured one. RiskAssessment requires a
+// subject, so an unidentified export points at this placeholder for the
+// receiving system to replace.
+export const FHIR_UNKNOWN_SUBJECT = Object.freeze({ reference: 'Patient/unknown', display: 'Unidentified patient' });
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const DATA_ABSENT_REASON = 'http://terminology.hl7.org/CodeSystem/data-absent-reason';
+const RISK_PROBABILITY = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+
+// Result level → risk-probability code
+const RISK_CODES = { Low: 'low', Medium: 'moderate', High: 'high' };
+
+// Observations in export order. `unit` is the display unit, `ucum` its UCUM
+// code; dimensionless scores use `1`.
+export const FHIR_OBSERVATIONS = [
+  {
+    id: 'blinkRate',
+    coding: { system: FHIR_CODE_SYSTEM, code: 'blink-rate', display: 'Spontaneous blink rate' },
+    category: 'exam',
+    unit: '/min',
+    ucum: '/min',
+    get: (r) => r.details?.blinkRate
+  },
+  {
+    id: 'motion',
+    coding: { system: FHIR_CODE_SYSTEM, code: 'facial-motion', display: 'Facial motion score (x1000)' },
+    category: 'exam',
+    unit: 'score',
+    ucum: '1',
+    get: (r) => r.details?.motion
+  },
+  {
+    id: 'asymmetry',
+    coding: { system: FHIR_CODE_SYSTEM, code: 'facial-asymmetry', display: 'Facial asymmetry index' },
+    category: 'exam',
+    unit: 'index',
+    ucum: '1',
+    get: (r) => r.details?.asymmetry
+  },
+  {
+    id: 'expressivity',
+    coding: { system: FHIR_CODE_SYSTEM, code: 'facial-expressivity', display: 'Facial expressivity (mean blendshape activation)' },
+    category: 'exam',
+    unit: 'index',
+    ucum: '1',
+    get: (r) => r.details?.blendshapes?.expressivity
+  },
+  {
+    id: 'blendshapeAsymmetry',
+    coding: { system: FHIR_CODE_SYSTEM, code: 'expression-asymmetry', display: 'Left/right expression asymmetry (blendshapes)' },
+    category: 'exam',
+    unit: 'index',
+    ucum: '1',
+    get: (r) => r.details?.blendshapes?.asymmetry
+  },
+  {
+    id: 'breathingRate',
+    coding: { system: LOINC, code: '9279-1', display: 'Respiratory rate' },
+    category: 'vital-signs',
+    unit: 'breaths/min',
+    ucum: '/min',
+    get: (r) => r.vitals?.breathingRate,
+    quality: (r) => r.vitals?.breathingRateQuality
+  },
+  {
+    id: 'heartRate',
+    coding: { system: LOINC, code: '8867-4', display: 'Heart rate' },
+    category: 'vital-signs',
+    unit: 'beats/min',
+    ucum: '/min',
+    get: (r) => r.vitals?.heartRate,
+    quality: (r) => r.vitals?.heartRateQuality
+  }
+];
+
+const uuid = () => crypto.randomUUID();
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const qualityNote = (quality) => {
+  if (!quality) return null;
+  const score = quality.confidence ?? quality.sqi;
+  return `Signal quality: ${quality.status}` +
+    (isNumber(score) ? ` (${Math.round(score * 100)}%)` : '') +
+    (quality.speechOnly ? ', measured while speaking' : '');
+};
+
+const observation = (definition, result, { effective, subject, device }) => {
+  const value = definition.get(result);
+  const note = qualityNote(definition.quality?.(result));
+  return {
+    resourceType: 'Observation',
+    status: 'final',
+    category: [{
+      coding: [{ system: OBSERVATION_CATEGORY, code: definition.category }]
+    }],
+    code: { coding: [definition.coding], text: definition.coding.display },
+    subject,
+    effectiveDateTime: effective,
+    device,
+    ...(isNumber(value)
+      ? { valueQuantity: { value: Number(value.toFixed(4)), unit: definition.unit, system: UCUM, code: definition.ucum } }
+      : { dataAbsentReason: { coding: [{ system: DATA_ABSENT_REASON, code: 'error' }], text: 'Signal too weak for a reliable value' } }),
+    ...(note && { note: [{ text: note }] })
+  };
+};
+
+// Maps a completed (scored) result to a FHIR R4 Bundle. `subject` is a
+// Reference to the patient, e.g. `{ reference: 'Patient/123' }`; without
+// one the resources point at FHIR_UNKNOWN_SUBJECT.
+export const toFhirBundle = (result, { subject = null } = {}) => {
+  if (result.status !== 'complete') {
+    throw new Error('Only completed assessments can be exported to FHIR');
+  }
+  subject ??= { ...FHIR_UNKNOWN_SUBJECT };
+
+  const now = new Date().toISOString();
+  const effective = result.session?.startedAt ?? now;
+  const deviceUrl = `urn:uuid:${uuid()}`;
+  const device = { reference: deviceUrl };
+
+  const observations = FHIR_OBSERVATIONS.map((definition) => ({
+    fullUrl: `urn:uuid:${uuid()}`,
+    resource: observation(definition, result, { effective, subject, device })
+  }));
+
+  const riskUrl = `urn:uuid:${uuid()}`;
+  const riskLevel = RISK_CODES[result.level];
+  const riskAssessment = {
+    resourceType: 'RiskAssessment',
+    status: 'final',
+    method: {
+      coding: [{ system: FHIR_MODEL_SYSTEM, code: result.model.id, version: result.model.version }],
+      text: `${result.model.id} v${result.model.version} (${result.model.type})`
+    },
+    code: { text: 'Facial screening for Parkinson\'s disease' },
+    subject,
+    occurrenceDateTime: effective,
+    performer: device,
+    basis: observations.map((entry) => ({ reference: entry.fullUrl })),
+    prediction: [{
+      outcome: { text: 'Parkinson\'s disease' },
+      probabilityDecimal: result.percentage / 100,
+      qualitativeRisk: {
+        ...(riskLevel && { coding: [{ system: RISK_PROBABILITY, code: riskLevel }] }),
+        text: result.level
+      }
+    }],
+    note: [{ text: 'Screening result, not a diagnosis.' }]
+  };
+
+  const deviceResource = {
+    resourceType: 'Device',
+    identifier: [{ system: FHIR_MODEL_SYSTEM, value: `${result.model.id}@${result.model.version}` }],
+    deviceName: [{ name: result.model.id, type: 'model-name' }],
+    type: { text: 'Facial assessment risk scoring model' },
+    version: [{ value: result.model.version }]
+  };
+
+  const targets = [...observations.map((entry) => entry.fullUrl), riskUrl];
+  const provenance = {
+    resourceType: 'Provenance',
+    target: targets.map((reference) => ({ reference })),
+    recorded: now,
+    agent: [{
+      type: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'assembler' }]
+      },
+      who: device
+    }]
+  };
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: now,
+    entry: [
+      ...observations,
+      { fullUrl: riskUrl, resource: riskAssessment },
+      { fullUrl: deviceUrl, resource: deviceResource },
+      { fullUrl: `urn:uuid:${uuid()}`, resource: provenance }
+    ]
+  };
+};
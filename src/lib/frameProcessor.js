@@ -0,0 +1,50 @@
+// One step of the pipeline shared by the analysis worker and the
+// main-thread fallback: landmarks and blendshapes from the FaceLandmarker,
+// the overlay, then the session analysis.
+
+import { blendshapeScores } from './blendshapeMetrics';
+import { assessPosition, createPositionAnalyzer } from './positionCoach';
+
+const frameSize = (image) => ({
+  width: image.videoWidth || image.width,
+  height: image.videoHeight || image.height
+});
+
+// `landmarker` is a FaceLandmarker in video mode (see faceLandmarker.js),
+// `canvas` the overlay (HTMLCanvasElement or OffscreenCanvas), `overlay` the
+// renderer drawing on it (see overlay.js) and `analysis` a session analysis
+// (see sessionAnalysis.js). The returned
+// function processes one frame at time `t` (ms) and resolves to `{ face }`;
+// with `{ coach: true }` it also checks the user's position (see
+// positionCoach.js) and adds `position: { ok, issues }`.
+export const createFrameProcessor = ({ landmarker, canvas, overlay, analysis }) => {
+  const ctx = canvas.getContext('2d');
+  let positionAnalyzer = null;
+  // Video mode needs strictly increasing timestamps; a replay seek or
+  // clock hiccup must not repeat one
+  let lastTimestamp = -Infinity;
+
+  return async (image, t, { coach = false } = {}) => {
+    const timestamp = Math.max(Math.round(t), lastTimestamp + 1);
+    lastTimestamp = timestamp;
+    const results = landmarker.detectForVideo(image, timestamp);
+
+    const { width, height } = frameSize(image);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+
+    const landmarks = results.faceLandmarks[0] ?? null;
+    const aspect = width / height || 1;
+    overlay.draw(ctx, landmarks, width, height, t, aspect);
+    const blendshapes = landmarks ? blendshapeScores(results.faceBlendshapes[0]?.categories) : null;
+    analysis.addFrame(t, landmarks, image, aspect, blendshapes);
+
+    if (!coach) return { face: landmarks !== null };
+    positionAnalyzer ??= createPositionAnalyzer();
+    const stats = landmarks ? positionAnalyzer(image, landmarks) : null;
+    return { face: landmarks !== null, position: assessPosition(landmarks, stats, aspect) };
+  };
+};
@@ -0,0 +1,265 @@
+// Per-frame signal quality and session coverage rules.
+//
+// Every recorded frame is checked for a detected face, landmark confidence,
+// lighting (brightness and contrast over the face), motion blur and head
+// pose. Metrics only use frames passing all checks, and a session that
+// doesn't cover enough of the recording with usable frames - or ran at too
+// low a frame rate - is reported as inconclusive instead of scored.
+
+import { createCanvas } from './canvas';
+
+// Per-frame limits. Image statistics are 8-bit luma over the face box,
+// rescaled to ANALYSIS_SIZE square.
+export const FRAME_LIMITS = {
+  minConfidence: 0.9,   // landmark confidence (see landmarkConfidence)
+  minBrightness: 50,    // mean luma - darker faces lose landmark precision
+  maxBrightness: 220,   // mean luma - washed out / overexposed
+  minContrast: 18,      // luma SD - flat, backlit or foggy image
+  minSharpness: 20      // variance of the Laplacian - motion or focus blur
+};
+
+// Session coverage rules
+export const SESSION_RULES = {
+  minFaceCoverage: 0.8,   // share of frames with a face
+  minUsableCoverage: 0.6, // share of frames passing every check
+  minCheckCoverage: 0.7,  // a single check failing more often is named as a reason
+  minFps: 10,             // effective frame rate (frames / second of recording)
+  minAnalysedSec: 1       // usable spontaneous video behind motion and asymmetry
+};
+
+const ANALYSIS_SIZE = 96;
+
+const CHECKS = ['confidence', 'brightness', 'contrast', 'sharpness', 'pose'];
+
+const CHECK_REASONS = {
+  confidence: 'Face tracking was unreliable - keep your whole face inside the frame',
+  brightness: 'Lighting was too dark or too bright on your face',
+  contrast: 'The image was too flat - avoid strong light behind you',
+  sharpness: 'The image was blurry - hold the device steady and keep still',
+  pose: 'Your head was turned too far from the camera'
+};
+
+// Landmark confidence (0-1). The face landmarker reports no per-landmark
+// score (`visibility` comes back as 0 and tracking simply stops below its
+// confidence threshold), so the share of landmarks inside the image stands
+// in; `presence`/`visibility` are used when a model provides them.
+export const landmarkConfidence = (landmarks) => {
+  let total = 0;
+  for (const l of landmarks) {
+    const score = l.presence ?? l.visibility;
+    if (typeof score === 'number' && score > 0) {
+      total += score;
+    } else {
+      total += l.x >= 0 && l.x <= 1 && l.y >= 0 && l.y <= 1 ? 1 : 0;
+    }
+  }
+  return landmarks.length > 0 ? total / landmarks.length : 0;
+};
+
+// Luma statistics of a square grayscale buffer
+export const imageStats = (luma, size) => {
+  let sum = 0;
+  for (let i = 0; i < luma.length; i++) sum += luma[i];
+  const brightness = sum / luma.length;
+
+  let variance = 0;
+  for (let i = 0; i < luma.length; i++) variance += (luma[i] - brightness) ** 2;
+  const contrast = Math.sqrt(variance / luma.length);
+
+  // Variance of the 4-neighbour Laplacian (interior pixels)
+  const laplacian = [];
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      laplacian.push(luma[i - 1] + luma[i + 1] + luma[i - size] + luma[i + size] - 4 * luma[i]);
+    }
+  }
+  const lapMean = laplacian.reduce((a, b) => a + b, 0) / laplacian.length;
+  const sharpness = laplacian.reduce((a, v) => a + (v - lapMean) ** 2, 0) / laplacian.length;
+
+  return { brightness, contrast, sharpness };
+};
+
+// Frame analyser with its own small canvas. Call with the frame image
+// (video, canvas or ImageBitmap) and its landmarks; returns image stats over
+// the face bounding box, or null if the box is empty.
+export const createFrameAnalyzer = () => {
+  const canvas = createCanvas(ANALYSIS_SIZE, ANALYSIS_SIZE);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const luma = new Float32Array(ANALYSIS_SIZE * ANALYSIS_SIZE);
+
+  return (image, landmarks) => {
+    const width = image.videoWidth || image.width;
+    const height = image.videoHeight || image.height;
+    if (!width || !height) return null;
+
+    let x0 = 1, y0 = 1, x1 = 0, y1 = 0;
+    for (const l of landmarks) {
+      x0 = Math.min(x0, l.x);
+      y0 = Math.min(y0, l.y);
+      x1 = Math.max(x1, l.x);
+      y1 = Math.max(y1, l.y);
+    }
+    x0 = Math.max(0, x0) * width;
+    y0 = Math.max(0, y0) * height;
+    x1 = Math.min(1, x1) * width;
+    y1 = Math.min(1, y1) * height;
+    if (x1 - x0 < 1 || y1 - y0 < 1) return null;
+
+    ctx.drawImage(image, x0, y0, x1 - x0, y1 - y0, 0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    const { data } = ctx.getImageData(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    for (let i = 0; i < luma.length; i++) {
+      luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return imageStats(luma, ANALYSIS_SIZE);
+  };
+};
+
+// Quality of one frame. `landmarks` is null when no face was found; `stats`
+// comes from the frame analyser and `poseOk` from the face aligner.
+export const assessFrame = (landmarks, stats, poseOk, limits = FRAME_LIMITS) => {
+  if (!landmarks) {
+    return { face: false, ok: false, checks: null };
+  }
+  const checks = {
+    confidence: landmarkConfidence(landmarks) >= limits.minConfidence,
+    brightness: stats !== null &&
+      stats.brightness >= limits.minBrightness && stats.brightness <= limits.maxBrightness,
+    contrast: stats !== null && stats.contrast >= limits.minContrast,
+    sharpness: stats !== null && stats.sharpness >= limits.minSharpness,
+    pose: poseOk
+  };
+  return { face: true, ok: CHECKS.every((check) => checks[check]), checks };
+};
+
+// Accumulates frame quality over a recording. pause() marks a break in
+// the recording, which the frame rate leaves out.
+export const createQualityTracker = () => {
+  let frames = 0;
+  let faceFrames = 0;
+  let usableFrames = 0;
+  let intervals = 0;
+  let elapsedMs = 0;
+  let lastTime = null;
+  const passed = Object.fromEntries(CHECKS.map((check) => [check, 0]));
+
+  return {
+    add(t, quality) {
+      frames++;
+      if (lastTime !== null) {
+        intervals++;
+        elapsedMs += t - lastTime;
+      }
+      lastTime = t;
+      if (!quality.face) return;
+      faceFrames++;
+      if (quality.ok) usableFrames++;
+      for (const check of CHECKS) {
+        if (quality.checks[check]) passed[check]++;
+      }
+    },
+
+    pause() {
+      lastTime = null;
+    },
+
+    // Coverage shares: `face` and `usable` over all frames, individual
+    // checks over frames with a face
+    summary() {
+      const seconds = elapsedMs / 1000;
+      return {
+        frames,
+        fps: seconds > 0 ? intervals / seconds : 0,
+        coverage: {
+          face: frames > 0 ? faceFrames / frames : 0,
+          usable: frames > 0 ? usableFrames / frames : 0,
+          ...Object.fromEntries(CHECKS.map((check) => [
+            check,
+            faceFrames > 0 ? passed[check] / faceFrames : 0
+          ]))
+        }
+      };
+    }
+  };
+};
+
+// Applies the session rules. `analysedSec` is the time covered by the
+// consecutive usable spontaneous frames that fed motion and asymmetry.
+// Returns the summary plus `conclusive` and a list of `{ code, message }`
+// reasons.
+export const evaluateSessionQuality = (summary, analysedSec, rules = SESSION_RULES) => {
+  const reasons = [];
+  const percent = (share) => `${Math.round(share * 100)}%`;
+
+  if (summary.frames === 0) {
+    reasons.push({ code: 'no-frames', message: 'No video frames were recorded' });
+  } else if (summary.coverage.face < rules.minFaceCoverage) {
+    reasons.push({
+      code: 'face',
+      message: `Your face was only detected in ${percent(summary.coverage.face)} of the recording`
+    });
+  }
+
+  if (summary.frames > 0 && summary.coverage.usable < rules.minUsableCoverage) {
+    const failing = CHECKS.filter((check) => summary.coverage[check] < rules.minCheckCoverage);
+    for (const check of failing) {
+      reasons.push({ code: check, message: CHECK_REASONS[check] });
+    }
+    if (failing.length === 0 && summary.coverage.face >= rules.minFaceCoverage) {
+      reasons.push({
+        code: 'usable',
+        message: `Only ${percent(summary.coverage.usable)} of frames met all quality checks`
+      });
+    }
+  }
+
+  if (summary.frames > 1 && summary.fps < rules.minFps) {
+    reasons.push({
+      code: 'fps',
+      message: `The camera delivered only ${summary.fps.toFixed(1)} frames per second - close other apps and try again`
+    });
+  }
+
+  if (reasons.length === 0 && analysedSec < rules.minAnalysedSec) {
+    reasons.push({
+      code: 'insufficient-data',
+      message: 'Not enough usable video was captured during the resting and reading tasks'
+    });
+  }
+
+  return { ...summary, conclusive: reasons.length === 0, reasons };
+};
+
+// Live warnings while recording: a check failing on more than `threshold`
+// of the frames in the last `windowMs` raises `{ code, message }`, at most
+// once per `cooldownMs` for each code.
+export const createQualityMonitor = ({ windowMs = 2000, threshold = 0.5, cooldownMs = 5000 } = {}) => {
+  const recent = [];
+  const lastWarned = {};
+
+  const failingShare = (check) => {
+    const withFace = recent.filter((frame) => frame.face);
+    if (check === 'face') return 1 - withFace.length / recent.length;
+    if (withFace.length === 0) return 0;
+    return withFace.filter((frame) => !frame.checks[check]).length / withFace.length;
+  };
+
+  return {
+    update(t, quality) {
+      recent.push({ t, ...quality });
+      while (recent[0].t < t - windowMs) recent.shift();
+      if (t - recent[0].t < windowMs * 0.75) return null;
+
+      for (const code of ['face', ...CHECKS]) {
+        if (failingShare(code) <= threshold) continue;
+        if (lastWarned[code] !== undefined && t - lastWarned[code] < cooldownMs) continue;
+        lastWarned[code] = t;
+        return {
+          code,
+          message: code === 'face' ? 'Your face is not visible to the camera' : CHECK_REASONS[code]
+        };
+      }
+      return null;
+    }
+  };
+};
@@ -0,0 +1,98 @@
+// Adaptive frame scheduler for the live camera.
+//
+// Frames are pulled as the video presents them (requestVideoFrameCallback,
+// else animation frames), at most one is being analysed at a time, and the
+// pull interval follows the measured processing time. A slow device then
+// analyses fewer, evenly spaced frames instead of piling up stale ones, and
+// the countdown and UI keep their share of the main thread.
+
+export const SCHEDULER_DEFAULTS = {
+  maxFps: 30,          // never pull faster than this
+  headroom: 1.2,       // interval = processing time × headroom
+  smoothing: 0.1,      // weight of the newest processing time in the average
+  statsIntervalMs: 1000
+};
+
+// Frames arriving this much early still count as due
+const JITTER_MS = 4;
+
+// `process(t)` analyses the current video frame at time `t` (ms, from
+// performance.now()) and returns a promise. `onStats({ fps, processingMs,
+// targetFps })` reports the achieved analysis rate once a second.
+export const createFrameScheduler = ({
+  video,
+  process,
+  onStats = () => {},
+  options = SCHEDULER_DEFAULTS
+}) => {
+  const { maxFps, headroom, smoothing, statsIntervalMs } = { ...SCHEDULER_DEFAULTS, ...options };
+  const useVideoCallback = typeof video.requestVideoFrameCallback === 'function';
+  let running = false;
+  let busy = false;
+  let handle = null;
+  let processingMs = null; // moving average
+  let lastStart = -Infinity;
+  let statsStart = null;
+  let statsFrames = 0;
+
+  const interval = () => Math.max(1000 / maxFps, (processingMs ?? 0) * headroom);
+
+  const reportStats = (now) => {
+    if (statsStart === null) statsStart = now;
+    const elapsed = now - statsStart;
+    if (elapsed < statsIntervalMs) return;
+    onStats({
+      fps: (statsFrames * 1000) / elapsed,
+      processingMs,
+      targetFps: 1000 / interval()
+    });
+    statsStart = now;
+    statsFrames = 0;
+  };
+
+  const runFrame = async (t) => {
+    busy = true;
+    lastStart = t;
+    try {
+      await process(t);
+    } catch (err) {
+      console.error('Frame analysis failed:', err);
+    }
+    const now = performance.now();
+    const ms = now - t;
+    processingMs = processingMs === null ? ms : processingMs + smoothing * (ms - processingMs);
+    statsFrames++;
+    busy = false;
+    if (running) reportStats(now);
+  };
+
+  const tick = () => {
+    if (!running) return;
+    const now = performance.now();
+    if (!busy && video.readyState >= 2 && now - lastStart >= interval() - JITTER_MS) {
+      runFrame(now);
+    }
+    handle = useVideoCallback ? video.requestVideoFrameCallback(tick) : requestAnimationFrame(tick);
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      statsStart = null;
+      statsFrames = 0;
+      tick();
+    },
+    stop() {
+      running = false;
+      if (handle !== null) {
+        if (useVideoCallback) video.cancelVideoFrameCallback(handle);
+        else cancelAnimationFrame(handle);
+        handle = null;
+      }
+    },
+    get running() {
+      return running;
+    }
+  };
+};
@@ -0,0 +1,208 @@
+// Head-pose estimation and rigid alignment to a canonical face frame.
+//
+// Raw normalised landmarks mix facial expression with whole-head movement:
+// a rolled head makes the mouth corners differ in y, and a nod moves every
+// landmark. Each frame is aligned (similarity Procrustes: translation,
+// rotation and scale) onto a session template built in face-intrinsic
+// coordinates, so motion and asymmetry only see expression.
+
+// Landmarks that barely move with expression: eye corners, nose bridge and
+// tip, forehead. Used for alignment and pose, never for expression metrics.
+export const RIGID_LANDMARKS = [33, 133, 362, 263, 168, 6, 197, 195, 5, 4, 1, 10, 151, 9, 8];
+
+// Degrees beyond which a frame is too oblique for reliable metrics
+export const POSE_LIMITS = { yaw: 30, pitch: 25, roll: 25 };
+
+// Aligned coordinates are scaled so the outer eye corners sit this far apart.
+// It matches a face at typical framing in raw normalised coordinates, which
+// keeps motion and asymmetry in the ranges the scoring bands were set on.
+export const CANONICAL_EYE_DISTANCE = 0.2;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const normalize = (a) => {
+  const n = Math.sqrt(dot(a, a)) || 1;
+  return [a[0] / n, a[1] / n, a[2] / n];
+};
+const clamp1 = (v) => Math.max(-1, Math.min(1, v));
+
+// Normalised landmark → right-handed camera space (x right, y up, z towards
+// the viewer) with square units. MediaPipe's z shares the x scale.
+const toCamera = (l, aspect) => [l.x * aspect, -l.y, -l.z * aspect];
+
+const centroid = (points) => {
+  const c = [0, 0, 0];
+  for (const p of points) {
+    c[0] += p[0];
+    c[1] += p[1];
+    c[2] += p[2];
+  }
+  return [c[0] / points.length, c[1] / points.length, c[2] / points.length];
+};
+
+// Face-intrinsic axes in camera space: x across the outer eye corners,
+// y from mid-eyes to forehead, z out of the face.
+const faceAxes = (landmarks, aspect) => {
+  const rightCorner = toCamera(landmarks[33], aspect);
+  const leftCorner = toCamera(landmarks[263], aspect);
+  const forehead = toCamera(landmarks[10], aspect);
+  const midEyes = rightCorner.map((v, i) => (v + leftCorner[i]) / 2);
+
+  const x = normalize(sub(leftCorner, rightCorner));
+  const up = sub(forehead, midEyes);
+  const y = normalize(sub(up, x.map((v) => v * dot(up, x))));
+  const z = cross(x, y);
+  const eyeDistance = Math.sqrt(dot(sub(leftCorner, rightCorner), sub(leftCorner, rightCorner)));
+  return { x, y, z, eyeDistance };
+};
+
+// Yaw (+ = face turned towards image right), pitch (+ = looking up) and roll
+// (+ = counter-clockwise in the image), in degrees, from the face axes.
+const anglesFromAxes = ({ x, z }) => ({
+  yaw: Math.asin(clamp1(z[0])) * RAD_TO_DEG,
+  pitch: Math.asin(clamp1(z[1])) * RAD_TO_DEG,
+  roll: Math.atan2(x[1], x[0]) * RAD_TO_DEG
+});
+
+export const estimatePose = (landmarks, aspect = 1) => anglesFromAxes(faceAxes(landmarks, aspect));
+
+export const poseWithinLimits = (pose, limits = POSE_LIMITS) =>
+  Math.abs(pose.yaw) <= limits.yaw &&
+  Math.abs(pose.pitch) <= limits.pitch &&
+  Math.abs(pose.roll) <= limits.roll;
+
+// Eigen-decomposition of a small symmetric matrix (cyclic Jacobi).
+// Returns eigenvalues and eigenvectors as columns of `vectors`.
+const jacobiEigen = (matrix) => {
+  const n = matrix.length;
+  const a = matrix.map((row) => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-24) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: a.map((row, i) => row[i]), vectors: v };
+};
+
+// Horn's closed-form absolute orientation: the rotation R minimising
+// Σ|b_i - R a_i|² for centred point sets `a` (source) and `b` (target).
+export const absoluteOrientation = (a, b) => {
+  const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < a.length; i++) {
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) S[r][c] += a[i][r] * b[i][c];
+    }
+  }
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  const N = [
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+  ];
+
+  const { values, vectors } = jacobiEigen(N);
+  const best = values.indexOf(Math.max(...values));
+  const [w, x, y, z] = vectors.map((row) => row[best]);
+
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+  ];
+};
+
+const rotate = (R, p) => [dot(R[0], p), dot(R[1], p), dot(R[2], p)];
+
+// Per-session aligner. The first frame within pose limits becomes the
+// template (expressed in its own face axes, so a tilted start doesn't bake
+// the tilt in); every frame is then Procrustes-aligned onto it.
+export const createFaceAligner = ({ limits = POSE_LIMITS } = {}) => {
+  let template = null;
+
+  const buildTemplate = (landmarks, aspect) => {
+    const axes = faceAxes(landmarks, aspect);
+    const points = RIGID_LANDMARKS.map((i) => toCamera(landmarks[i], aspect));
+    const c = centroid(points);
+    const scale = CANONICAL_EYE_DISTANCE / axes.eyeDistance;
+    return points.map((p) => {
+      const d = sub(p, c);
+      return [dot(d, axes.x) * scale, dot(d, axes.y) * scale, dot(d, axes.z) * scale];
+    });
+  };
+
+  return {
+    get ready() {
+      return template !== null;
+    },
+
+    // Returns `{ pose, withinLimits, aligned }`. `aligned` holds every
+    // landmark in the canonical frame ({x, y, z}, y pointing down like image
+    // coordinates) or null when no template could be established yet.
+    align(landmarks, aspect = 1) {
+      const pose = estimatePose(landmarks, aspect);
+      const withinLimits = poseWithinLimits(pose, limits);
+
+      if (!template) {
+        if (!withinLimits) return { pose, withinLimits, aligned: null };
+        template = buildTemplate(landmarks, aspect);
+      }
+
+      const points = RIGID_LANDMARKS.map((i) => toCamera(landmarks[i], aspect));
+      const c = centroid(points);
+      const source = points.map((p) => sub(p, c));
+      const R = absoluteOrientation(source, template);
+
+      const sourceNorm = source.reduce((acc, p) => acc + dot(p, p), 0);
+      const templateNorm = template.reduce((acc, p) => acc + dot(p, p), 0);
+      const scale = Math.sqrt(templateNorm / sourceNorm);
+
+      const aligned = landmarks.map((l) => {
+        const [x, y, z] = rotate(R, sub(toCamera(l, aspect), c));
+        return { x: x * scale, y: -y * scale, z: -z * scale };
+      });
+
+      return { pose, withinLimits, aligned };
+    }
+  };
+};
@@ -0,0 +1,120 @@
+// Local assessment history (IndexedDB) and trend helpers.
+//
+// Completed results are stored whole - details, vitals and model version -
+// so later views can chart any metric. Nothing leaves the device.
+
+import { median } from './dsp';
+
+export const HISTORY_DB = 'facial-assessment';
+const DB_VERSION = 1;
+const STORE = 'results';
+
+// Sessions (oldest first, excluding the latest) that form the personal
+// baseline
+export const BASELINE_SESSIONS = 3;
+
+// Metrics charted over time. `sameModel` metrics depend on the scoring
+// model, so only sessions scored by the same model id@version are compared.
+export const HISTORY_METRICS = [
+  { id: 'risk', label: 'Risk Score', unit: '%', digits: 0, sameModel: true, get: (r) => r.percentage },
+  { id: 'blinkRate', label: 'Blink Rate', unit: '/min', digits: 1, get: (r) => r.details?.blinkRate },
+  { id: 'motion', label: 'Facial Motion', unit: '', digits: 2, get: (r) => r.details?.motion },
+  { id: 'asymmetry', label: 'Asymmetry', unit: '', digits: 4, get: (r) => r.details?.asymmetry },
+  { id: 'blinkDuration', label: 'Blink Duration', unit: ' ms', digits: 0, get: (r) => r.details?.blinkKinematics?.durationMean },
+  { id: 'smile', label: 'Smile Amplitude', unit: '', digits: 3, get: (r) => r.details?.tasks?.smile?.amplitude },
+  { id: 'browRaise', label: 'Brow Excursion', unit: '', digits: 3, get: (r) => r.details?.tasks?.browRaise?.excursion },
+  { id: 'expressivity', label: 'Expressivity', unit: '', digits: 3, get: (r) => r.details?.blendshapes?.expressivity },
+  { id: 'blendshapeAsymmetry', label: 'Expression Asymmetry', unit: '', digits: 3, get: (r) => r.details?.blendshapes?.asymmetry },
+  { id: 'pitchVariability', label: 'Pitch Variability', unit: ' st', digits: 2, get: (r) => r.speech?.pitch?.sdSemitones },
+  { id: 'speakingRate', label: 'Speaking Rate', unit: ' wpm', digits: 0, get: (r) => r.speech?.speakingRate?.wordsPerMin },
+  { id: 'breathingRate', label: 'Breathing Rate', unit: '/min', digits: 1, get: (r) => r.vitals?.breathingRate },
+  { id: 'heartRate', label: 'Heart Rate', unit: ' bpm', digits: 0, get: (r) => r.vitals?.heartRate }
+];
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    const request = indexedDB.open(HISTORY_DB, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    dbPromise = requestToPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, mode);
+  // Writes only count once the transaction has committed
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([requestToPromise(action(tx.objectStore(STORE))), committed]);
+  return result;
+};
+
+// Stores a completed result; resolves to the new entry id.
+// `source` is 'camera' or 'file'.
+export const saveResult = (result, { source = 'camera' } = {}) =>
+  withStore('readwrite', (store) => store.add({
+    createdAt: new Date().toISOString(),
+    source,
+    result
+  }));
+
+// All entries, oldest first
+export const listResults = () =>
+  withStore('readonly', (store) => store.index('createdAt').getAll());
+
+export const deleteResult = (id) =>
+  withStore('readwrite', (store) => store.delete(id));
+
+const modelKey = (result) => `${result.model?.id}@${result.model?.version}`;
+
+// `{ t, value, id }` points for one metric (entries without it skipped)
+export const metricSeries = (entries, metric) =>
+  entries
+    .map((entry) => ({ t: new Date(entry.createdAt).getTime(), value: metric.get(entry.result), id: entry.id }))
+    .filter((point) => typeof point.value === 'number' && Number.isFinite(point.value));
+
+// Latest session against the personal baseline: the median of the first
+// BASELINE_SESSIONS earlier sessions that have the metric. Returns null
+// when there's no earlier session to compare with.
+export const compareToBaseline = (entries, metric) => {
+  if (entries.length < 2) return null;
+  const latest = entries[entries.length - 1];
+  const value = metric.get(latest.result);
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+
+  const earlier = entries.slice(0, -1).filter((entry) =>
+    !metric.sameModel || modelKey(entry.result) === modelKey(latest.result));
+  const baselineValues = metricSeries(earlier, metric)
+    .slice(0, BASELINE_SESSIONS)
+    .map((point) => point.value);
+  if (baselineValues.length === 0) return null;
+
+  const baseline = median(baselineValues);
+  return {
+    value,
+    baseline,
+    sessions: baselineValues.length,
+    delta: value - baseline,
+    change: baseline !== 0 ? (value - baseline) / Math.abs(baseline) : null
+  };
+};
@@ -0,0 +1,349 @@
+// Host bridge: versioned two-way messaging with the page or app embedding
+// the assessment.
+//
+// Every message is an envelope
+//
+//   { protocol: 'facial-assessment', version: BRIDGE_VERSION, id, type, payload, replyTo? }
+//
+// Outgoing envelopes go to every transport present: `window.parent`
+// (iframe, only for an allowed host origin - see resolveHostOrigin),
+// `window.ReactNativeWebView` (React Native WebView, as a JSON string).
+// Hosts built on the original `window.assessmentResult` channel keep
+// receiving the bare result JSON on completion. Incoming envelopes are read
+// from `message` events on window and document (React Native on Android
+// dispatches on document).
+//
+// Host → app:  config, ack
+// App → host:  ready, config-applied, camera-ready, recording-started,
+//              progress, paused, resumed, cancelled, quality-warning,
+//              completed, fhir-bundle, error
+//
+// `completed` is re-sent until the host acknowledges it with
+// `{ type: 'ack', replyTo: <id> }`; `config` is answered with
+// `config-applied` (or `error`) carrying `replyTo`.
+
+import { PROTOCOLS, TASKS, buildProtocol } from './protocol';
+import { BUNDLED_MODELS, getModel } from './scoring';
+import { OVERLAY_MODES, isOverlayMode } from './overlay';
+import { THEMES, isTheme } from './theme';
+
+export const BRIDGE_PROTOCOL = 'facial-assessment';
+export const BRIDGE_VERSION = '1.1'; // major.minor - majors must match
+
+const ACK_RETRY_MS = 2000;
+const ACK_MAX_ATTEMPTS = 5;
+
+export class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+// Origins allowed to frame the app and receive its results, fixed at build
+// time: VITE_HOST_ORIGINS, comma-separated. Nothing the framing page
+// controls (such as the iframe's URL) can add to it.
+export const HOST_ORIGINS = (import.meta.env.VITE_HOST_ORIGINS ?? '')
+  .split(',')
+  .map((value) => value.trim())
+  .filter(Boolean);
+
+// Normalised origin, or null (with a warning) for `*` and non-origins
+const toOrigin = (value) => {
+  try {
+    const { origin } = new URL(value);
+    if (origin !== 'null') return origin;
+  } catch {
+    // falls through to the warning
+  }
+  console.warn(`Ignoring host origin "${value}": not an origin such as https://portal.example.org`);
+  return null;
+};
+
+// The framing page's origin as the browser reports it: the nearest
+// ancestor origin, else the referrer's; null when neither is known
+const parentOrigin = (win) => {
+  const ancestor = win.location?.ancestorOrigins?.[0];
+  if (ancestor) return ancestor;
+  try {
+    return new URL(win.document?.referrer).origin;
+  } catch {
+    return null;
+  }
+};
+
+// Origin of the framing page the bridge talks to. Results are health data,
+// so it must be on the `allowed` list: the parent's actual origin when the
+// browser reports it, or the only allowed origin when it doesn't (the
+// browser then drops messages to any other parent). Otherwise - no list, a
+// parent that isn't on it, or several candidates - it is null and the
+// iframe transport stays off; only React Native is trusted.
+export const resolveHostOrigin = (allowed = HOST_ORIGINS, win = window) => {
+  const origins = allowed.map(toOrigin).filter(Boolean);
+  if (origins.length === 0 || !win.parent || win.parent === win) return null;
+  const parent = parentOrigin(win);
+  if (parent) {
+    if (origins.includes(parent)) return parent;
+    console.warn(`Host bridge off: ${parent} is not an allowed host origin`);
+    return null;
+  }
+  return origins.length === 1 ? origins[0] : null;
+};
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// `fhir: { subject, send }` - `subject` a FHIR Reference object (or null to
+// clear it), `send` a boolean; throws BridgeError otherwise
+const validFhirConfig = (fhir) => {
+  if (!isPlainObject(fhir)) {
+    throw new BridgeError('invalid-config', 'fhir must be an object { subject, send }');
+  }
+  const unknown = Object.keys(fhir).filter((key) => key !== 'subject' && key !== 'send');
+  if (unknown.length > 0) {
+    throw new BridgeError('invalid-config', `Unknown fhir option "${unknown[0]}" (subject, send)`);
+  }
+  if (fhir.send !== undefined && typeof fhir.send !== 'boolean') {
+    throw new BridgeError('invalid-config', 'fhir.send must be true or false');
+  }
+  if (fhir.subject !== undefined && fhir.subject !== null && !isPlainObject(fhir.subject)) {
+    throw new BridgeError('invalid-config', 'fhir.subject must be a FHIR Reference object, e.g. { reference: "Patient/123" }');
+  }
+  return fhir;
+};
+
+// Applies a host config payload `{ durationSec, tasks, language, model,
+// overlay, voice, theme, fhir }` to the current session config `{ tasks,
+// model, language, overlay, voice, theme, fhir }`. A new overlay, voice
+// guidance or theme applies to a running session too. Missing keys keep
+// their current value; invalid ones throw BridgeError.
+export const applyHostConfig = (current, payload = {}) => {
+  if (payload === null || typeof payload !== 'object') {
+    throw new BridgeError('invalid-config', 'config payload must be an object');
+  }
+  const next = { ...current };
+
+  if (payload.tasks !== undefined || payload.durationSec !== undefined) {
+    try {
+      next.tasks = buildProtocol({
+        tasks: payload.tasks ?? current.tasks.map((task) => ({ id: task.id, durationSec: task.durationSec })),
+        durationSec: payload.durationSec ?? null
+      });
+    } catch (err) {
+      throw new BridgeError('invalid-config', err.message);
+    }
+  }
+
+  if (payload.model !== undefined) {
+    try {
+      next.model = getModel(payload.model);
+    } catch (err) {
+      throw new BridgeError('invalid-config', err.message);
+    }
+  }
+
+  if (payload.language !== undefined) {
+    if (typeof payload.language !== 'string' || !LANGUAGE_TAG.test(payload.language)) {
+      throw new BridgeError('invalid-config', `Invalid language tag "${payload.language}"`);
+    }
+    next.language = payload.language;
+  }
+
+  if (payload.overlay !== undefined) {
+    if (!isOverlayMode(payload.overlay)) {
+      throw new BridgeError('invalid-config', `Unknown overlay "${payload.overlay}" (one of ${OVERLAY_MODES.join(', ')})`);
+    }
+    next.overlay = payload.overlay;
+  }
+
+  if (payload.voice !== undefined) {
+    if (typeof payload.voice !== 'boolean') {
+      throw new BridgeError('invalid-config', 'voice must be true or false');
+    }
+    next.voice = payload.voice;
+  }
+
+  if (payload.theme !== undefined) {
+    if (!isTheme(payload.theme)) {
+      throw new BridgeError('invalid-config', `Unknown theme "${payload.theme}" (one of ${THEMES.join(', ')})`);
+    }
+    next.theme = payload.theme;
+  }
+
+  if (payload.fhir !== undefined) {
+    next.fhir = { ...current.fhir, ...validFhirConfig(payload.fhir) };
+  }
+  return next;
+};
+
+// Config keys a host may change while an assessment is running
+const RUNTIME_CONFIG_KEYS = ['overlay', 'voice', 'theme'];
+
+export const isRuntimeConfig = (payload) =>
+  payload !== null && typeof payload === 'object' &&
+  Object.keys(payload).every((key) => RUNTIME_CONFIG_KEYS.includes(key));
+
+// Plain summary of a session config, as echoed in `config-applied`
+export const describeConfig = (config) => ({
+  tasks: config.tasks.map((task) => ({ id: task.id, durationSec: task.durationSec })),
+  durationSec: config.tasks.reduce((total, task) => total + task.durationSec, 0),
+  model: { id: config.model.id, version: config.model.version },
+  language: config.language,
+  overlay: config.overlay,
+  voice: config.voice,
+  theme: config.theme
+});
+
+const parseEnvelope = (data) => {
+  let message = data;
+  if (typeof data === 'string') {
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+  if (!message || message.protocol !== BRIDGE_PROTOCOL || typeof message.type !== 'string') {
+    return null;
+  }
+  return message;
+};
+
+const sameMajor = (version) =>
+  String(version ?? '').split('.')[0] === BRIDGE_VERSION.split('.')[0];
+
+// Creates the bridge and starts listening. `onConfig(payload)` applies a
+// host config and returns the effective config summary (or throws);
+// `targetOrigin` is the framing page's origin, null to leave the parent
+// out. Returns `{ emit, complete, hasHost, pendingCount, dispose }`.
+export const createHostBridge = ({ onConfig, win = window, targetOrigin = resolveHostOrigin(HOST_ORIGINS, win) } = {}) => {
+  const pending = new Map(); // completed-message id → retry timer
+  const completedResults = new WeakSet();
+
+  const envelope = (type, payload, replyTo) => ({
+    protocol: BRIDGE_PROTOCOL,
+    version: BRIDGE_VERSION,
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    ...(replyTo && { replyTo })
+  });
+
+  const framed = Boolean(targetOrigin) && Boolean(win.parent) && win.parent !== win;
+
+  const post = (message) => {
+    if (win.ReactNativeWebView?.postMessage) {
+      win.ReactNativeWebView.postMessage(JSON.stringify(message));
+    }
+    if (framed) {
+      win.parent.postMessage(message, targetOrigin);
+    }
+  };
+
+  // Bare payloads for hosts on the original channel
+  const postLegacy = (data) => {
+    if (win.assessmentResult?.postMessage) {
+      win.assessmentResult.postMessage(JSON.stringify(data));
+    }
+  };
+
+  const emit = (type, payload = {}, { replyTo } = {}) => {
+    const message = envelope(type, payload, replyTo);
+    post(message);
+    if (type === 'fhir-bundle') postLegacy(payload.bundle);
+    return message.id;
+  };
+
+  // Emits `completed` once per result object and re-sends it until the
+  // host acknowledges (or attempts run out)
+  const complete = (result, extras = {}) => {
+    if (completedResults.has(result)) return;
+    completedResults.add(result);
+    postLegacy(result);
+
+    const message = envelope('completed', { result, ...extras });
+    let attempts = 0;
+    const send = () => {
+      attempts++;
+      post(message);
+      if (attempts < ACK_MAX_ATTEMPTS) pending.set(message.id, setTimeout(send, ACK_RETRY_MS));
+      else pending.delete(message.id);
+    };
+    send();
+  };
+
+  const originAllowed = (event) =>
+    (Boolean(targetOrigin) && event.origin === targetOrigin) ||
+    // React Native messages carry no origin
+    (Boolean(win.ReactNativeWebView) && !event.origin);
+
+  const handleMessage = (event) => {
+    const message = parseEnvelope(event.data);
+    if (!message || !originAllowed(event)) return;
+
+    if (!sameMajor(message.version)) {
+      emit('error', {
+        code: 'unsupported-version',
+        message: `Protocol version ${message.version} is not supported (app speaks ${BRIDGE_VERSION})`
+      }, { replyTo: message.id });
+      return;
+    }
+
+    switch (message.type) {
+      case 'config':
+        try {
+          emit('config-applied', { config: onConfig(message.payload) }, { replyTo: message.id });
+        } catch (err) {
+          emit('error', { code: err.code ?? 'invalid-config', message: err.message }, { replyTo: message.id });
+        }
+        break;
+      case 'ack':
+        if (pending.has(message.replyTo)) {
+          clearTimeout(pending.get(message.replyTo));
+          pending.delete(message.replyTo);
+        }
+        break;
+      default:
+        emit('error', {
+          code: 'unknown-message',
+          message: `Unknown message type "${message.type}"`
+        }, { replyTo: message.id });
+    }
+  };
+
+  win.addEventListener('message', handleMessage);
+  win.document?.addEventListener('message', handleMessage);
+
+  emit('ready', {
+    capabilities: {
+      tasks: Object.keys(TASKS),
+      protocols: Object.keys(PROTOCOLS),
+      models: BUNDLED_MODELS.map((model) => `${model.id}@${model.version}`)
+    }
+  });
+
+  return {
+    emit,
+    complete,
+    // `completed` messages still waiting for an ack
+    get pendingCount() {
+      return pending.size;
+    },
+    get hasHost() {
+      return Boolean(
+        win.ReactNativeWebView?.postMessage ||
+        framed ||
+        win.assessmentResult?.postMessage
+      );
+    },
+    dispose() {
+      win.removeEventListener('message', handleMessage);
+      win.document?.removeEventListener('message', handleMessage);
+      for (const timer of pending.values()) clearTimeout(timer);
+      pending.clear();
+    }
+  };
+};
@@ -0,0 +1,114 @@
+// Locales: message catalogs, number and date formatting, and picking the
+// language.
+//
+// Catalogs are JSON files in src/locales/, one per language, nested by
+// screen. English text that belongs to a module (task instructions in
+// protocol.js, coaching in positionCoach.js, quality reasons in
+// frameQuality.js, report labels in report.js, history labels in
+// history.js, model levels and components) stays there and is the
+// fallback; the other catalogs translate it under `tasks`, `coach`,
+// `quality`, `report.metrics`, `history.metrics`, `levels` and
+// `components`. A lookup tries the language, then English, then
+// the fallback given, then the key itself.
+//
+// Messages take `{name}` placeholders. A message written as an object of
+// plural categories (`{ "one": …, "other": … }`) is chosen by the `count`
+// parameter under the locale's plural rules.
+
+const catalogs = Object.fromEntries(
+  Object.entries(import.meta.glob('../locales/*.json', { eager: true, import: 'default' }))
+    .map(([path, catalog]) => [path.match(/([\w-]+)\.json$/)[1], catalog])
+);
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Languages with a catalog, in the order they are offered
+export const LANGUAGES = ['en', 'hi', 'es', 'de'].filter((language) => catalogs[language]);
+
+// Each language's own name, for language pickers
+export const LANGUAGE_NAMES = { en: 'English', hi: 'हिन्दी', es: 'Español', de: 'Deutsch' };
+
+// Supported language of a BCP 47 tag (`de-AT` → `de`), or null
+export const matchLanguage = (tag) => {
+  if (typeof tag !== 'string') return null;
+  const base = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(base) ? base : null;
+};
+
+// First of the browser's preferred language tags that has a catalog
+export const browserLanguage = () => {
+  const preferred = typeof navigator === 'undefined'
+    ? []
+    : navigator.languages?.length ? navigator.languages : [navigator.language];
+  return preferred.find((tag) => matchLanguage(tag)) ?? DEFAULT_LANGUAGE;
+};
+
+// The first of `tags` (e.g. the page's `?lang=`, then the host's configured
+// language) that has a catalog, else the browser's
+export const resolveLanguage = (...tags) =>
+  tags.find((tag) => matchLanguage(tag)) ?? browserLanguage();
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+// Locale-bound helpers for `tag` (any BCP 47 tag; unsupported languages
+// fall back to English, though numbers and dates keep the tag's region):
+//   t(key, params, fallback)   message
+//   number(value, digits)      fixed decimals
+//   percent(share, digits)     0.42 → "42%"
+//   metric(value, digits, unit) number or "--" for a missing value
+//   date(value) / dateTime(value)
+export const createI18n = (tag = DEFAULT_LANGUAGE) => {
+  const language = matchLanguage(tag) ?? DEFAULT_LANGUAGE;
+  let locale = matchLanguage(tag) ? tag : language;
+  try {
+    Intl.getCanonicalLocales(locale);
+  } catch {
+    locale = language;
+  }
+  const catalog = catalogs[language];
+  const english = catalogs[DEFAULT_LANGUAGE];
+  const plurals = new Intl.PluralRules(locale);
+  const numberFormats = new Map();
+
+  const number = (value, digits = 0) => {
+    if (!numberFormats.has(digits)) {
+      numberFormats.set(digits, new Intl.NumberFormat(locale, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+      }));
+    }
+    return numberFormats.get(digits).format(value);
+  };
+
+  const t = (key, params = {}, fallback = undefined) => {
+    let message = lookup(catalog, key) ?? lookup(english, key) ?? fallback ?? key;
+    if (message && typeof message === 'object') {
+      message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? number(value, Number.isInteger(value) ? 0 : 1) : value;
+    });
+  };
+
+  const dateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+  return {
+    language,
+    locale,
+    t,
+    number,
+    percent: (share, digits = 0) => new Intl.NumberFormat(locale, {
+      style: 'percent',
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(share),
+    metric: (value, digits, unit = '') =>
+      value === null || value === undefined || Number.isNaN(value) ? '--' : `${number(value, digits)}${unit}`,
+    date: (value) => dateFormat.format(new Date(value)),
+    dateTime: (value) => dateTimeFormat.format(new Date(value))
+  };
+};
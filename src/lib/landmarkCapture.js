@@ -0,0 +1,175 @@
+// Per-frame landmark capture for research export.
+//
+// When enabled, every analysed frame is stored with its timestamp, the full
+// landmark set and the derived values the pipeline computed from it. The
+// capture can be downloaded as JSON or CSV and parsed back with
+// `parseCapture` (both formats round-trip to the same structure).
+
+import { BLENDSHAPE_NAMES } from './blendshapeMetrics';
+
+export const CAPTURE_FORMAT = 'facial-assessment-landmarks';
+export const CAPTURE_VERSION = 5;
+
+// Derived per-frame values, in CSV column order. v2 added head pose angles;
+// since v5 `motion` is landmark speed (canonical units / s) rather than the
+// displacement since the previous frame.
+export const DERIVED_FIELDS = [
+  'leftEye', 'rightEye', 'motion', 'asymmetry', 'noseY', 'yaw', 'pitch', 'roll'
+];
+
+// Normalized coordinates don't carry meaningful precision past 1e-5
+const PRECISION = 1e5;
+const round = (v) => (v == null ? null : Math.round(v * PRECISION) / PRECISION);
+
+// Blendshape scores are model probabilities; 1e-4 is plenty
+const BLENDSHAPE_PRECISION = 1e4;
+const BLENDSHAPE_PREFIX = 'bs_';
+
+export const createCapture = ({ source = 'camera', fileName = null } = {}) => ({
+  format: CAPTURE_FORMAT,
+  version: CAPTURE_VERSION,
+  createdAt: new Date().toISOString(),
+  source,
+  fileName,
+  landmarkCount: 0,
+  blendshapeNames: BLENDSHAPE_NAMES,
+  frames: []
+});
+
+// `t` is the frame timestamp in ms, `derived` holds DERIVED_FIELDS values
+// (null where the pipeline had nothing for that frame, e.g. first-frame
+// motion), `task` the protocol task the frame belongs to (v3) and
+// `blendshapes` the frame's scores in BLENDSHAPE_NAMES order (v4)
+export const captureFrame = (capture, t, landmarks, derived, task = null, blendshapes = null) => {
+  const lm = new Array(landmarks.length * 3);
+  for (let i = 0; i < landmarks.length; i++) {
+    lm[i * 3] = round(landmarks[i].x);
+    lm[i * 3 + 1] = round(landmarks[i].y);
+    lm[i * 3 + 2] = round(landmarks[i].z);
+  }
+
+  const frame = { t: Math.round(t * 10) / 10, task, lm };
+  for (const field of DERIVED_FIELDS) {
+    frame[field] = derived[field] == null ? null : Number(derived[field].toPrecision(6));
+  }
+  frame.bs = blendshapes
+    ? blendshapes.map((score) => Math.round(score * BLENDSHAPE_PRECISION) / BLENDSHAPE_PRECISION)
+    : null;
+
+  capture.landmarkCount = landmarks.length;
+  capture.frames.push(frame);
+};
+
+export const captureToJSON = (capture) => JSON.stringify(capture);
+
+export const captureToCSV = (capture) => {
+  const blendshapeNames = capture.blendshapeNames ?? [];
+  const header = [
+    't_ms', 'task', ...DERIVED_FIELDS,
+    ...blendshapeNames.map((name) => `${BLENDSHAPE_PREFIX}${name}`)
+  ];
+  for (let i = 0; i < capture.landmarkCount; i++) {
+    header.push(`x${i}`, `y${i}`, `z${i}`);
+  }
+
+  const rows = capture.frames.map((frame) => [
+    frame.t,
+    frame.task ?? '',
+    ...DERIVED_FIELDS.map((field) => frame[field] ?? ''),
+    ...blendshapeNames.map((_, i) => frame.bs?.[i] ?? ''),
+    ...frame.lm
+  ].join(','));
+
+  // Session metadata travels in a leading comment line so CSV imports keep it
+  const meta = `# ${JSON.stringify({
+    format: capture.format,
+    version: capture.version,
+    createdAt: capture.createdAt,
+    source: capture.source,
+    fileName: capture.fileName
+  })}`;
+
+  return [meta, header.join(','), ...rows].join('\n');
+};
+
+const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  let meta = {};
+  if (lines[0]?.startsWith('#')) {
+    meta = JSON.parse(lines.shift().slice(1));
+  }
+
+  const header = lines.shift()?.split(',') ?? [];
+  if (header[0] !== 't_ms') {
+    throw new Error('Not a landmark capture CSV (missing t_ms column)');
+  }
+  // Derived and blendshape columns sit between t_ms and x0; reading them by
+  // name keeps older captures (fewer derived fields, no blendshapes)
+  // loadable
+  const landmarkStart = header.indexOf('x0') === -1 ? header.length : header.indexOf('x0');
+  const columns = header.slice(1, landmarkStart);
+  const blendshapeStart = columns.findIndex((column) => column.startsWith(BLENDSHAPE_PREFIX));
+  const derivedFields = blendshapeStart === -1 ? columns : columns.slice(0, blendshapeStart);
+  const blendshapeNames = blendshapeStart === -1
+    ? []
+    : columns.slice(blendshapeStart).map((column) => column.slice(BLENDSHAPE_PREFIX.length));
+  const landmarkCount = (header.length - landmarkStart) / 3;
+
+  const frames = lines.map((line) => {
+    const cells = line.split(',');
+    const frame = { t: Number(cells[0]), lm: cells.slice(landmarkStart).map(Number) };
+    derivedFields.forEach((field, i) => {
+      const cell = cells[1 + i];
+      if (cell === '') frame[field] = null;
+      else frame[field] = field === 'task' ? cell : Number(cell);
+    });
+    if (blendshapeNames.length > 0) {
+      const bs = cells.slice(1 + derivedFields.length, 1 + derivedFields.length + blendshapeNames.length);
+      frame.bs = bs[0] === '' ? null : bs.map(Number);
+    }
+    return frame;
+  });
+
+  return {
+    ...createCapture(),
+    ...meta,
+    format: CAPTURE_FORMAT,
+    landmarkCount,
+    blendshapeNames: blendshapeNames.length > 0 ? blendshapeNames : null,
+    frames
+  };
+};
+
+// Parse an exported JSON or CSV capture back into the in-memory structure
+export const parseCapture = (text) => {
+  const trimmed = text.trimStart();
+  const capture = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseCSV(trimmed);
+
+  if (capture.format !== CAPTURE_FORMAT) {
+    throw new Error('Not a landmark capture file');
+  }
+  if (capture.version > CAPTURE_VERSION) {
+    throw new Error(`Capture version ${capture.version} is newer than supported (${CAPTURE_VERSION})`);
+  }
+  return capture;
+};
+
+// Expand a stored frame back to the [{x, y, z}] shape the landmarker produces
+export const frameLandmarks = (frame) => {
+  const landmarks = [];
+  for (let i = 0; i < frame.lm.length; i += 3) {
+    landmarks.push({ x: frame.lm[i], y: frame.lm[i + 1], z: frame.lm[i + 2] });
+  }
+  return landmarks;
+};
+
+export const downloadText = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,191 @@
+// Face overlay drawn over the preview. Works on any 2D context, so the
+// analysis worker can draw into the preview's OffscreenCanvas.
+//
+// Modes:
+//   none      nothing drawn
+//   contours  eyes, brows, lips and face oval (default)
+//   mesh      the full tesselation plus a dot on every landmark
+//   analysis  regions coloured by how fast they are moving, with the
+//             motion landmarks as heat dots and the left/right pairs
+//             compared for asymmetry linked across the face
+
+import { FaceLandmarker } from '@mediapipe/tasks-vision';
+import { createFaceAligner } from './headPose';
+import { ASYMMETRY_LANDMARK_PAIRS, MOTION_LANDMARKS } from './sessionAnalysis';
+
+export const OVERLAY_MODES = ['none', 'contours', 'mesh', 'analysis'];
+export const DEFAULT_OVERLAY_MODE = 'contours';
+
+export const isOverlayMode = (mode) => OVERLAY_MODES.includes(mode);
+
+const REGIONS = {
+  leftEye: FaceLandmarker.FACE_LANDMARKS_LEFT_EYE,
+  rightEye: FaceLandmarker.FACE_LANDMARKS_RIGHT_EYE,
+  leftBrow: FaceLandmarker.FACE_LANDMARKS_LEFT_EYEBROW,
+  rightBrow: FaceLandmarker.FACE_LANDMARKS_RIGHT_EYEBROW,
+  lips: FaceLandmarker.FACE_LANDMARKS_LIPS,
+  faceOval: FaceLandmarker.FACE_LANDMARKS_FACE_OVAL
+};
+
+const REGION_POINTS = Object.fromEntries(
+  Object.entries(REGIONS).map(([name, connections]) => [
+    name,
+    [...new Set(connections.flatMap(({ start, end }) => [start, end]))]
+  ])
+);
+
+// Landmarks whose speed the analysis view follows
+const TRACKED_POINTS = [...new Set([...Object.values(REGION_POINTS).flat(), ...MOTION_LANDMARKS])];
+
+const HEAT_FULL_SPEED = 0.15;  // canonical face units per second shown as red
+const HEAT_SMOOTHING_MS = 300; // time constant of the speed smoothing
+const HEAT_MAX_GAP_MS = 250;   // longer gaps start the speeds over
+
+const strokeConnections = (ctx, landmarks, connections, width, height) => {
+  ctx.beginPath();
+  for (const { start, end } of connections) {
+    ctx.moveTo(landmarks[start].x * width, landmarks[start].y * height);
+    ctx.lineTo(landmarks[end].x * width, landmarks[end].y * height);
+  }
+  ctx.stroke();
+};
+
+export const drawFaceMesh = (ctx, landmarks, width, height) => {
+  // Draw face mesh
+  ctx.strokeStyle = '#5BB8E5';
+  ctx.lineWidth = 1;
+  strokeConnections(ctx, landmarks, FaceLandmarker.FACE_LANDMARKS_TESSELATION, width, height);
+
+  // Draw landmark points
+  ctx.fillStyle = '#F28C38';
+  ctx.beginPath();
+  for (const landmark of landmarks) {
+    const x = landmark.x * width;
+    const y = landmark.y * height;
+    ctx.moveTo(x + 2, y);
+    ctx.arc(x, y, 2, 0, 2 * Math.PI);
+  }
+  ctx.fill();
+};
+
+export const drawFaceContours = (ctx, landmarks, width, height) => {
+  ctx.strokeStyle = '#5BB8E5';
+  ctx.lineWidth = 2;
+  strokeConnections(ctx, landmarks, FaceLandmarker.FACE_LANDMARKS_CONTOURS, width, height);
+};
+
+// Blue (still) through green and yellow to red (HEAT_FULL_SPEED or faster)
+const heatColour = (speed) => {
+  const level = Math.min(1, speed / HEAT_FULL_SPEED);
+  return `hsl(${Math.round(220 * (1 - level))}, 90%, 55%)`;
+};
+
+// Draws the overlay in the current mode. `draw(ctx, landmarks, width,
+// height, t, aspect)` takes the frame time `t` (ms) and aspect ratio for the
+// analysis view, which tracks landmark speeds in the canonical face frame
+// (see headPose.js) so head movement doesn't colour the whole face.
+export const createOverlayRenderer = ({ mode = DEFAULT_OVERLAY_MODE } = {}) => {
+  let current = mode;
+  let aligner = null;
+  let previous = null; // { t, aligned } of the last analysis frame
+  let speeds = new Map(); // landmark index → smoothed speed
+
+  const resetHeat = () => {
+    previous = null;
+    speeds = new Map();
+  };
+
+  // Smoothed speed of each tracked landmark, from the frame before
+  const updateSpeeds = (aligned, t) => {
+    if (!aligned) {
+      resetHeat();
+      return;
+    }
+    const dt = previous ? t - previous.t : 0;
+    if (dt > HEAT_MAX_GAP_MS) speeds = new Map();
+    if (dt > 0 && dt <= HEAT_MAX_GAP_MS) {
+      const weight = 1 - Math.exp(-dt / HEAT_SMOOTHING_MS);
+      for (const i of TRACKED_POINTS) {
+        const dx = aligned[i].x - previous.aligned[i].x;
+        const dy = aligned[i].y - previous.aligned[i].y;
+        const speed = Math.sqrt(dx * dx + dy * dy) / (dt / 1000);
+        const last = speeds.get(i);
+        speeds.set(i, last === undefined ? speed : last + weight * (speed - last));
+      }
+    }
+    previous = { t, aligned };
+  };
+
+  const regionSpeed = (points) =>
+    points.reduce((total, i) => total + (speeds.get(i) ?? 0), 0) / points.length;
+
+  const drawAnalysis = (ctx, landmarks, width, height, t, aspect) => {
+    aligner ??= createFaceAligner();
+    updateSpeeds(aligner.align(landmarks, aspect).aligned, t);
+
+    ctx.lineWidth = 3;
+    for (const [name, connections] of Object.entries(REGIONS)) {
+      ctx.strokeStyle = heatColour(regionSpeed(REGION_POINTS[name]));
+      strokeConnections(ctx, landmarks, connections, width, height);
+    }
+
+    // Asymmetry pairs: ringed and linked
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    for (const [left, right] of ASYMMETRY_LANDMARK_PAIRS) {
+      ctx.moveTo(landmarks[left].x * width, landmarks[left].y * height);
+      ctx.lineTo(landmarks[right].x * width, landmarks[right].y * height);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    for (const i of ASYMMETRY_LANDMARK_PAIRS.flat()) {
+      const x = landmarks[i].x * width;
+      const y = landmarks[i].y * height;
+      ctx.moveTo(x + 6, y);
+      ctx.arc(x, y, 6, 0, 2 * Math.PI);
+    }
+    ctx.stroke();
+
+    // Motion landmarks as heat dots
+    for (const i of MOTION_LANDMARKS) {
+      ctx.fillStyle = heatColour(speeds.get(i) ?? 0);
+      ctx.beginPath();
+      ctx.arc(landmarks[i].x * width, landmarks[i].y * height, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  };
+
+  return {
+    get mode() {
+      return current;
+    },
+
+    setMode(next) {
+      if (!isOverlayMode(next)) throw new Error(`Unknown overlay mode "${next}"`);
+      if (next !== current) resetHeat();
+      current = next;
+    },
+
+    // `landmarks` null when no face was found
+    draw(ctx, landmarks, width, height, t, aspect) {
+      if (!landmarks) {
+        if (current === 'analysis') resetHeat();
+        return;
+      }
+      switch (current) {
+        case 'contours':
+          drawFaceContours(ctx, landmarks, width, height);
+          break;
+        case 'mesh':
+          drawFaceMesh(ctx, landmarks, width, height);
+          break;
+        case 'analysis':
+          drawAnalysis(ctx, landmarks, width, height, t, aspect);
+          break;
+      }
+    }
+  };
+};
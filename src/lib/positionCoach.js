@@ -0,0 +1,184 @@
+// Positioning coach: live feedback before a recording starts.
+//
+// Each frame is checked for face size, centring, head pose, lighting on the
+// face, backlight (a bright scene behind a dark face) and glare from glasses
+// over the eyes. The first failing check becomes the instruction shown, and
+// recording is offered once every check has held for COACH_STEADY_MS.
+// Directions are the user's own (the live preview is mirrored).
+
+import { createCanvas } from './canvas';
+import { createFrameAnalyzer } from './frameQuality';
+import { estimatePose } from './headPose';
+import { LEFT_EYE_EAR, RIGHT_EYE_EAR } from './blinkDetector';
+
+// Stricter than the recording's FRAME_LIMITS and POSE_LIMITS, so a session
+// starts with room to spare
+export const COACH_LIMITS = {
+  minFaceWidth: 0.3,   // face width / frame width - smaller is too far away
+  maxFaceWidth: 0.7,   // larger crops chin and forehead
+  maxOffset: 0.12,     // face centre from frame centre (fraction of the frame)
+  maxYaw: 12,          // degrees
+  maxPitch: 12,
+  maxRoll: 10,
+  minBrightness: 70,   // mean face luma
+  maxBrightness: 200,
+  maxBacklight: 40,    // scene luma above face luma
+  maxGlare: 0.04       // share of near-white pixels around the eyes
+};
+
+export const COACH_STEADY_MS = 2000;
+
+const SCENE_SIZE = 32;
+const EYE_SIZE = 24;
+const GLARE_LUMA = 240;
+
+// In order of priority: the first failing check is the one shown
+export const COACH_INSTRUCTIONS = {
+  'no-face': 'Look at the camera so your face can be found',
+  'too-far': 'Move closer to the camera',
+  'too-close': 'Move back a little from the camera',
+  cropped: 'Keep your whole face inside the frame',
+  'move-left': 'Move a little to your left',
+  'move-right': 'Move a little to your right',
+  'move-up': 'Move up a little, or raise the camera',
+  'move-down': 'Move down a little, or lower the camera',
+  'turn-left': 'Turn your head slightly to your left',
+  'turn-right': 'Turn your head slightly to your right',
+  'chin-down': 'Lower your chin a little',
+  'chin-up': 'Raise your chin a little',
+  level: 'Hold your head level, without tilting it',
+  backlight: 'There is bright light behind you - turn so the light falls on your face',
+  dark: 'Your face is too dark - turn on a light or face a window',
+  bright: 'Your face is too bright - move away from direct light',
+  glare: 'Light is reflecting on your glasses - tilt them slightly or move the light'
+};
+
+const luma = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+// Frame image statistics the checks need: brightness over the face box and
+// the whole scene, and the glare share over both eyes
+export const createPositionAnalyzer = () => {
+  const faceStats = createFrameAnalyzer();
+  const scene = createCanvas(SCENE_SIZE, SCENE_SIZE);
+  const sceneCtx = scene.getContext('2d', { willReadFrequently: true });
+  const eye = createCanvas(EYE_SIZE, EYE_SIZE);
+  const eyeCtx = eye.getContext('2d', { willReadFrequently: true });
+
+  const meanLuma = (ctx, size) => {
+    const { data } = ctx.getImageData(0, 0, size, size);
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) sum += luma(data, i);
+    return sum / (size * size);
+  };
+
+  // Box around the eye's lid and corner landmarks, widened to the lens
+  const glareShare = (image, landmarks, indices, width, height) => {
+    const xs = indices.map((i) => landmarks[i].x * width);
+    const ys = indices.map((i) => landmarks[i].y * height);
+    const eyeWidth = Math.max(...xs) - Math.min(...xs);
+    const cx = (Math.max(...xs) + Math.min(...xs)) / 2;
+    const cy = (Math.max(...ys) + Math.min(...ys)) / 2;
+    const x0 = Math.max(0, cx - eyeWidth * 0.8);
+    const y0 = Math.max(0, cy - eyeWidth * 0.6);
+    const x1 = Math.min(width, cx + eyeWidth * 0.8);
+    const y1 = Math.min(height, cy + eyeWidth * 0.6);
+    if (x1 - x0 < 1 || y1 - y0 < 1) return 0;
+
+    eyeCtx.drawImage(image, x0, y0, x1 - x0, y1 - y0, 0, 0, EYE_SIZE, EYE_SIZE);
+    const { data } = eyeCtx.getImageData(0, 0, EYE_SIZE, EYE_SIZE);
+    let bright = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      if (luma(data, i) >= GLARE_LUMA) bright++;
+    }
+    return bright / (EYE_SIZE * EYE_SIZE);
+  };
+
+  // `{ faceBrightness, sceneBrightness, glare }`, or null without a frame
+  return (image, landmarks) => {
+    const width = image.videoWidth || image.width;
+    const height = image.videoHeight || image.height;
+    const face = faceStats(image, landmarks);
+    if (!width || !height || !face) return null;
+
+    sceneCtx.drawImage(image, 0, 0, SCENE_SIZE, SCENE_SIZE);
+    return {
+      faceBrightness: face.brightness,
+      sceneBrightness: meanLuma(sceneCtx, SCENE_SIZE),
+      glare: Math.max(
+        glareShare(image, landmarks, LEFT_EYE_EAR, width, height),
+        glareShare(image, landmarks, RIGHT_EYE_EAR, width, height)
+      )
+    };
+  };
+};
+
+// Checks one frame. `landmarks` is null when no face was found, `stats`
+// comes from a position analyser and `aspect` is width / height. Returns
+// `{ ok, issues }`, `issues` being COACH_INSTRUCTIONS codes in priority order.
+export const assessPosition = (landmarks, stats, aspect, limits = COACH_LIMITS) => {
+  if (!landmarks) return { ok: false, issues: ['no-face'] };
+  const issues = [];
+
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const l of landmarks) {
+    x0 = Math.min(x0, l.x);
+    y0 = Math.min(y0, l.y);
+    x1 = Math.max(x1, l.x);
+    y1 = Math.max(y1, l.y);
+  }
+  const faceWidth = x1 - x0;
+  const cx = (x0 + x1) / 2;
+  const cy = (y0 + y1) / 2;
+
+  if (faceWidth < limits.minFaceWidth) issues.push('too-far');
+  else if (faceWidth > limits.maxFaceWidth) issues.push('too-close');
+  if (x0 < 0 || y0 < 0 || x1 > 1 || y1 > 1) issues.push('cropped');
+
+  // Image left is the user's right
+  if (cx < 0.5 - limits.maxOffset) issues.push('move-left');
+  else if (cx > 0.5 + limits.maxOffset) issues.push('move-right');
+  if (cy < 0.5 - limits.maxOffset) issues.push('move-down');
+  else if (cy > 0.5 + limits.maxOffset) issues.push('move-up');
+
+  // Yaw is positive towards image right, the user's left
+  const pose = estimatePose(landmarks, aspect);
+  if (pose.yaw > limits.maxYaw) issues.push('turn-right');
+  else if (pose.yaw < -limits.maxYaw) issues.push('turn-left');
+  if (pose.pitch > limits.maxPitch) issues.push('chin-down');
+  else if (pose.pitch < -limits.maxPitch) issues.push('chin-up');
+  if (Math.abs(pose.roll) > limits.maxRoll) issues.push('level');
+
+  if (stats) {
+    if (stats.sceneBrightness - stats.faceBrightness > limits.maxBacklight) issues.push('backlight');
+    else if (stats.faceBrightness < limits.minBrightness) issues.push('dark');
+    else if (stats.faceBrightness > limits.maxBrightness) issues.push('bright');
+    if (stats.glare > limits.maxGlare) issues.push('glare');
+  }
+
+  return { ok: issues.length === 0, issues };
+};
+
+// Steadiness over time: `update(t, assessment)` returns `{ issue, message,
+// steady, ready }` where `steady` (0-1) is how far through COACH_STEADY_MS
+// of passing frames the user is, and `ready` whether it's been reached.
+// A failing frame starts the count over.
+export const createPositionCoach = ({ steadyMs = COACH_STEADY_MS } = {}) => {
+  let passingSince = null;
+
+  return {
+    update(t, { ok, issues }) {
+      if (!ok) {
+        passingSince = null;
+        const [issue] = issues;
+        return { issue, message: COACH_INSTRUCTIONS[issue], steady: 0, ready: false };
+      }
+      passingSince ??= t;
+      const steady = Math.min(1, (t - passingSince) / steadyMs);
+      return { issue: null, message: null, steady, ready: steady >= 1 };
+    },
+
+    reset() {
+      passingSince = null;
+    }
+  };
+};
@@ -0,0 +1,173 @@
+// Facial exam task protocols.
+//
+// A protocol is an ordered list of tasks. Each task gets its own
+// instructions, countdown and data segment. `spontaneous` tasks (rest,
+// reading) feed the blink / motion / asymmetry metrics; the deliberate
+// expression tasks feed the per-task metrics in taskMetrics.js.
+
+export const READING_PROMPT = 'I enjoy walking in the park every morning.';
+
+// The read-aloud sentence per language (see i18n.js): the same everyday
+// content at 12-15 syllables, with plosives, nasals and open vowels in
+// each, so pitch, loudness and rate compare across languages
+export const READING_PASSAGES = {
+  en: READING_PROMPT,
+  hi: 'मुझे हर सुबह पार्क में टहलना अच्छा लगता है।',
+  es: 'Me gusta caminar por el parque cada mañana.',
+  de: 'Ich gehe jeden Morgen gern im Park spazieren.'
+};
+
+// Seconds shown before each task so the user can read the instruction;
+// frames in the lead-in belong to no segment.
+export const TASK_LEAD_IN_SEC = 2;
+
+// Lead-in with voice guidance: long enough to hear the instruction before
+// the countdown tones of its last three seconds.
+export const VOICE_LEAD_IN_SEC = 8;
+
+export const TASKS = {
+  rest: {
+    id: 'rest',
+    title: 'Rest',
+    instruction: 'Relax your face and look at the camera.',
+    durationSec: 5,
+    spontaneous: true
+  },
+  smile: {
+    id: 'smile',
+    title: 'Big Smile',
+    instruction: 'Smile as widely as you can, showing your teeth.',
+    durationSec: 4,
+    spontaneous: false
+  },
+  browRaise: {
+    id: 'browRaise',
+    title: 'Raise Eyebrows',
+    instruction: 'Raise your eyebrows as high as you can.',
+    durationSec: 4,
+    spontaneous: false
+  },
+  eyeClosure: {
+    id: 'eyeClosure',
+    title: 'Close Eyes Tightly',
+    instruction: 'Squeeze your eyes shut as tightly as you can.',
+    durationSec: 4,
+    spontaneous: false
+  },
+  cheekPuff: {
+    id: 'cheekPuff',
+    title: 'Puff Cheeks',
+    instruction: 'Fill your cheeks with air and keep your lips closed.',
+    durationSec: 4,
+    spontaneous: false
+  },
+  reading: {
+    id: 'reading',
+    title: 'Read Aloud',
+    instruction: 'Please say:',
+    prompt: READING_PROMPT,
+    durationSec: 15,
+    spontaneous: true
+  }
+};
+
+export const PROTOCOLS = {
+  // Full clinical sequence
+  standard: [
+    TASKS.rest,
+    TASKS.smile,
+    TASKS.browRaise,
+    TASKS.eyeClosure,
+    TASKS.cheekPuff,
+    TASKS.reading
+  ],
+  // Original single 30-second reading task
+  reading: [{ ...TASKS.reading, durationSec: 30 }]
+};
+
+export const DEFAULT_PROTOCOL = 'standard';
+
+// `tasks` in the language of `i18n` (see i18n.js). Only text still as
+// defined above is translated - a host's own titles, instructions and
+// sentences are left alone - and the stock sentence becomes the language's
+// reading passage.
+export const localizeTasks = (tasks, i18n) => tasks.map((task) => {
+  const stock = TASKS[task.id] ?? {};
+  const translate = (field) =>
+    task[field] !== undefined && task[field] === stock[field]
+      ? i18n.t(`tasks.${task.id}.${field}`, {}, task[field])
+      : task[field];
+  return {
+    ...task,
+    title: translate('title'),
+    instruction: translate('instruction'),
+    prompt: task.prompt === READING_PROMPT ? READING_PASSAGES[i18n.language] ?? task.prompt : task.prompt
+  };
+});
+
+// Pick a protocol by name (e.g. `reading`), falling back to the default for
+// unknown names.
+export const resolveProtocol = (name) =>
+  PROTOCOLS[name] ?? PROTOCOLS[DEFAULT_PROTOCOL];
+
+export const protocolDurationSec = (tasks, leadInSec = TASK_LEAD_IN_SEC) =>
+  tasks.reduce((total, task) => total + task.durationSec + leadInSec, 0);
+
+// Limits for host-supplied protocols
+export const MIN_TASK_SEC = 2;
+export const MAX_SESSION_SEC = 600;
+
+export class ProtocolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtocolError';
+  }
+}
+
+// Build a task list from host config. `tasks` is a protocol name or an
+// array of task ids / `{ id, durationSec }`; `durationSec` rescales the
+// active task time to that total (lead-ins not included). Durations are
+// finite numbers of seconds, and the tasks never add up to more than
+// MAX_SESSION_SEC. Throws ProtocolError for unknown tasks or out-of-range
+// durations.
+export const buildProtocol = ({ tasks = DEFAULT_PROTOCOL, durationSec = null } = {}) => {
+  let list;
+  if (typeof tasks === 'string') {
+    if (!PROTOCOLS[tasks]) throw new ProtocolError(`Unknown protocol "${tasks}"`);
+    list = PROTOCOLS[tasks];
+  } else if (Array.isArray(tasks) && tasks.length > 0) {
+    list = tasks.map((entry) => {
+      const id = typeof entry === 'string' ? entry : entry?.id;
+      if (!TASKS[id]) throw new ProtocolError(`Unknown task "${id}"`);
+      const task = { ...TASKS[id] };
+      if (typeof entry === 'object' && entry.durationSec !== undefined) {
+        if (!Number.isFinite(entry.durationSec) || entry.durationSec < MIN_TASK_SEC) {
+          throw new ProtocolError(`Task "${id}" must last a number of seconds, at least ${MIN_TASK_SEC}`);
+        }
+        task.durationSec = entry.durationSec;
+      }
+      return task;
+    });
+  } else {
+    throw new ProtocolError('tasks must be a protocol name or a non-empty array');
+  }
+
+  if (durationSec !== null) {
+    if (!Number.isFinite(durationSec) || durationSec < MIN_TASK_SEC * list.length || durationSec > MAX_SESSION_SEC) {
+      throw new ProtocolError(
+        `durationSec must be between ${MIN_TASK_SEC * list.length} and ${MAX_SESSION_SEC} for ${list.length} task(s)`
+      );
+    }
+    const total = list.reduce((sum, task) => sum + task.durationSec, 0);
+    list = list.map((task) => ({
+      ...task,
+      durationSec: Math.max(MIN_TASK_SEC, Math.round((task.durationSec * durationSec) / total))
+    }));
+  }
+
+  const totalSec = list.reduce((sum, task) => sum + task.durationSec, 0);
+  if (totalSec > MAX_SESSION_SEC) {
+    throw new ProtocolError(`Tasks add up to ${totalSec} s; the limit is ${MAX_SESSION_SEC} s`);
+  }
+  return list;
+};
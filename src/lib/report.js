@@ -0,0 +1,156 @@
+// Data for the printable clinician report: metrics against reference
+// ranges, the model's component breakdown, vitals and speech with their
+// quality flags. Layout lives with the result screen; this module only
+// decides what goes in it. Every function takes an optional `i18n` (see
+// i18n.js) for the labels, notes and number formats; English by default.
+
+import { createI18n } from './i18n';
+
+const ENGLISH = createI18n();
+
+export const SCREENING_DISCLAIMER = ENGLISH.t('disclaimer');
+
+// Adult reference ranges used across the app. `min`/`max` are inclusive;
+// either may be missing for one-sided ranges.
+export const REFERENCE_RANGES = {
+  blinkRate: { min: 13, max: 20, unit: ' /min' },
+  motion: { min: 2.5 },
+  asymmetry: { max: 0.035 },
+  blinkDuration: { min: 100, max: 400, unit: ' ms' },
+  breathingRate: { min: 12, max: 20, unit: ' /min' },
+  heartRate: { min: 60, max: 100, unit: ' bpm' }
+};
+
+// Measured against the resting face rather than a population range
+const RELATIVE_TO_REST = { relative: true };
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const decimals = (value) => String(value).split('.')[1]?.length ?? 0;
+
+// "13–20 /min", "≥ 2.5", "≤ 0.035" in the locale's number format
+export const referenceText = (range, i18n = ENGLISH) => {
+  if (!range) return null;
+  if (range.relative) return i18n.t('report.relativeToRest');
+  const n = (value) => i18n.number(value, decimals(value));
+  const unit = range.unit ?? '';
+  if (range.min !== undefined && range.max !== undefined) return `${n(range.min)}–${n(range.max)}${unit}`;
+  if (range.min !== undefined) return `≥ ${n(range.min)}${unit}`;
+  return `≤ ${n(range.max)}${unit}`;
+};
+
+// 'within', 'outside' or null when there's no value or no range
+export const rangeFlag = (value, range) => {
+  if (!isNumber(value) || !range) return null;
+  if (range.min !== undefined && value < range.min) return 'outside';
+  if (range.max !== undefined && value > range.max) return 'outside';
+  return 'within';
+};
+
+const createMetricRow = (i18n) =>
+  (id, label, value, digits, unit, reference = REFERENCE_RANGES[id] ?? null) => ({
+    id,
+    label: i18n.t(`report.metrics.${id}`, {}, label),
+    value: isNumber(value) ? value : null,
+    digits,
+    unit,
+    reference: referenceText(reference, i18n),
+    flag: rangeFlag(value, reference)
+  });
+
+// Every facial metric of a scored result, in report order
+export const reportMetrics = (result, i18n = ENGLISH) => {
+  const details = result.details ?? {};
+  const blinks = details.blinkKinematics;
+  const tasks = details.tasks;
+  const blendshapes = details.blendshapes;
+  const percent = (value) => (isNumber(value) ? value * 100 : null);
+  const metricRow = createMetricRow(i18n);
+
+  return [
+    metricRow('blinkRate', 'Blink rate', details.blinkRate, 1, ' /min'),
+    metricRow('motion', 'Facial motion (×1000)', details.motion, 2, ''),
+    metricRow('asymmetry', 'Asymmetry', details.asymmetry, 4, ''),
+    metricRow('blinkDuration', 'Blink duration (mean)', blinks?.durationMean, 0, ' ms'),
+    metricRow('ibiMean', 'Inter-blink interval (mean)', blinks?.ibiMean, 1, ' s', null),
+    metricRow('ibiCv', 'Inter-blink interval CV', blinks?.ibiCv, 2, '', null),
+    metricRow('incompleteRatio', 'Incomplete blinks', percent(blinks?.incompleteRatio), 0, '%', null),
+    metricRow('smile', 'Smile widening', percent(tasks?.smile?.amplitude), 0, '%', RELATIVE_TO_REST),
+    metricRow('browRaise', 'Brow lift', percent(tasks?.browRaise?.excursion), 0, '%', RELATIVE_TO_REST),
+    metricRow('eyeClosure', 'Eye closure', percent(tasks?.eyeClosure?.closure), 0, '%', RELATIVE_TO_REST),
+    metricRow('cheekPuff', 'Cheek puff', percent(tasks?.cheekPuff?.excursion), 0, '%', RELATIVE_TO_REST),
+    metricRow('expressivity', 'Expressivity (blendshapes)', percent(blendshapes?.expressivity), 1, '%', null),
+    metricRow('expressionVariability', 'Expression variability', percent(blendshapes?.variability), 1, '%', null),
+    metricRow('blendshapeAsymmetry', 'Left/right expression gap', percent(blendshapes?.asymmetry), 0, '%', null)
+  ];
+};
+
+// Vitals with a short signal-quality note for each
+export const reportVitals = (result, i18n = ENGLISH) => {
+  const vitals = result.vitals ?? {};
+  const breathing = vitals.breathingRateQuality;
+  const heart = vitals.heartRateQuality;
+  const metricRow = createMetricRow(i18n);
+  const { t } = i18n;
+  const status = (value) => t(`report.signalStatus.${value}`, {}, value);
+  const windows = (quality) => t('report.windows', { used: quality.windowsUsed, total: quality.windowsTotal });
+
+  const breathingNote = breathing
+    ? [
+        status(breathing.status),
+        t('report.confidence', { value: i18n.percent(breathing.confidence) }),
+        windows(breathing),
+        breathing.speechOnly && t('report.whileSpeaking')
+      ].filter(Boolean).join(', ')
+    : null;
+  const heartNote = heart
+    ? [status(heart.status), t('report.sqi', { value: i18n.percent(heart.sqi) }), windows(heart)].join(', ')
+    : null;
+
+  return [
+    { ...metricRow('breathingRate', 'Breathing rate', vitals.breathingRate, 1, ' /min'), quality: breathingNote },
+    { ...metricRow('heartRate', 'Heart rate (rPPG)', vitals.heartRate, 0, ' bpm'), quality: heartNote }
+  ];
+};
+
+// Speech metrics from the read-aloud tasks, with the recording quality as
+// a note; null when the session had no read-aloud task
+export const reportSpeech = (result, i18n = ENGLISH) => {
+  const speech = result.speech;
+  if (!speech) return null;
+  const percent = (value) => (isNumber(value) ? value * 100 : null);
+  const { quality } = speech;
+  const metricRow = createMetricRow(i18n);
+  const { t } = i18n;
+
+  return {
+    rows: [
+      metricRow('loudness', 'Loudness (mean)', speech.loudness.meanDb, 1, ' dBFS', null),
+      metricRow('loudnessVariability', 'Loudness variability (SD)', speech.loudness.sdDb, 1, ' dB', null),
+      metricRow('pitch', 'Pitch (mean F0)', speech.pitch.meanHz, 0, ' Hz', null),
+      metricRow('pitchVariability', 'Pitch variability (SD)', speech.pitch.sdSemitones, 2, ' st', null),
+      metricRow('pauseRatio', 'Pause time', percent(speech.pauseRatio), 0, '%', null),
+      metricRow('speakingRate', 'Speaking rate', speech.speakingRate.wordsPerMin, 0, ` ${t('units.wordsPerMin')}`, null),
+      metricRow('syllableRate', 'Syllable rate', speech.speakingRate.syllablesPerSec, 1, ' /s', null)
+    ],
+    note: [
+      t(`report.speechStatus.${quality.status}`, {}, quality.status),
+      isNumber(quality.snrDb) && t('report.snr', { value: i18n.number(quality.snrDb, 0) }),
+      isNumber(speech.speechSec) && speech.speechSec > 0 &&
+        t('report.speechTime', { value: i18n.number(speech.speechSec, 1) })
+    ].filter(Boolean).join(', ')
+  };
+};
+
+// Model components: banded points out of the maximum, or logistic
+// contributions to the log-odds. Band labels are the model's own text.
+export const reportComponents = (result, i18n = ENGLISH) =>
+  (result.details?.components ?? []).map((component) => ({
+    id: component.id,
+    label: i18n.t(`components.${component.id}`, {}, component.label),
+    value: isNumber(component.value) ? component.value : null,
+    band: component.band ?? null,
+    score: component.points !== undefined
+      ? `${component.points} / ${component.maxPoints}`
+      : `${component.logit >= 0 ? '+' : ''}${i18n.number(component.logit, 3)} logit`
+  }));
@@ -0,0 +1,206 @@
+// Remote photoplethysmography (rPPG): heart rate from skin colour.
+//
+// Each frame, mean RGB is sampled from forehead and cheek regions outlined
+// by the face mesh. The colour traces are combined with the POS projection
+// (Wang et al., "Algorithmic Principles of Remote PPG", 2017), band-passed
+// to the heart-rate band and the spectral peak is taken as the pulse. A
+// signal-quality index (share of band power at the peak) decides whether a
+// reading is reported at all.
+
+import {
+  bandpass,
+  dominantFrequency,
+  maxGap,
+  mean,
+  median,
+  powerSpectrum,
+  resampleUniform,
+  std
+} from './dsp';
+import { createCanvas } from './canvas';
+
+// Skin regions (landmark outlines; convex hull is taken per frame)
+export const RPPG_REGIONS = {
+  forehead: [109, 10, 338, 337, 151, 108],
+  leftCheek: [50, 101, 118, 117, 123, 147, 187, 205],
+  rightCheek: [280, 330, 347, 346, 352, 376, 411, 425]
+};
+
+export const HR_BAND_HZ = [0.7, 3.0]; // 42-180 bpm
+export const RPPG_FS = 30;            // resampling rate (Hz)
+export const RPPG_WINDOW_SEC = 10;    // analysis window
+export const RPPG_MIN_SQI = 0.45;     // below this a window is unreliable (noise reaches ~0.4)
+export const RPPG_MIN_ACCEPTED = 0.5; // share of windows that must pass for a session reading
+
+const POS_WINDOW_SEC = 1.6;
+const MAX_SAMPLE_GAP_MS = 500; // windows with longer dropouts are skipped
+const WINDOW_HOP_SEC = 2;
+
+const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of sorted.reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+const insidePolygon = (x, y, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// Mean RGB over all skin regions. `ctx` is a 2D context holding the current
+// frame at `width` × `height`. Returns null when no region pixels were found.
+export const sampleSkinColor = (ctx, landmarks, width, height) => {
+  let r = 0, g = 0, b = 0, count = 0;
+
+  for (const indices of Object.values(RPPG_REGIONS)) {
+    const hull = convexHull(indices.map((i) => [landmarks[i].x * width, landmarks[i].y * height]));
+    const xs = hull.map((p) => p[0]);
+    const ys = hull.map((p) => p[1]);
+    const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+    const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+    const x1 = Math.min(width, Math.ceil(Math.max(...xs)));
+    const y1 = Math.min(height, Math.ceil(Math.max(...ys)));
+    if (x1 <= x0 || y1 <= y0) continue;
+
+    const { data } = ctx.getImageData(x0, y0, x1 - x0, y1 - y0);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (!insidePolygon(x + 0.5, y + 0.5, hull)) continue;
+        const k = ((y - y0) * (x1 - x0) + (x - x0)) * 4;
+        r += data[k];
+        g += data[k + 1];
+        b += data[k + 2];
+        count++;
+      }
+    }
+  }
+
+  return count > 0 ? { r: r / count, g: g / count, b: b / count } : null;
+};
+
+// POS pulse signal from uniformly sampled RGB traces
+const posSignal = (red, green, blue, fs) => {
+  const n = red.length;
+  const l = Math.ceil(POS_WINDOW_SEC * fs);
+  const h = new Array(n).fill(0);
+
+  for (let start = 0; start + l <= n; start++) {
+    const end = start + l;
+    const mr = mean(red.slice(start, end));
+    const mg = mean(green.slice(start, end));
+    const mb = mean(blue.slice(start, end));
+    if (mr === 0 || mg === 0 || mb === 0) continue;
+
+    const s1 = [];
+    const s2 = [];
+    for (let i = start; i < end; i++) {
+      const cr = red[i] / mr;
+      const cg = green[i] / mg;
+      const cb = blue[i] / mb;
+      s1.push(cg - cb);
+      s2.push(cg + cb - 2 * cr);
+    }
+    const sd2 = std(s2);
+    const alpha = sd2 > 0 ? std(s1) / sd2 : 0;
+    const pulse = s1.map((v, i) => v + alpha * s2[i]);
+    const m = mean(pulse);
+    for (let i = 0; i < l; i++) h[start + i] += pulse[i] - m;
+  }
+  return h;
+};
+
+// Heart rate from one window of `{ t, r, g, b }` samples (t in ms).
+// Returns `{ bpm, sqi }` or null if the window can't be analysed.
+export const estimateWindow = (samples) => {
+  if (samples.length < 2) return null;
+  const times = samples.map((s) => s.t);
+  if (maxGap(times) > MAX_SAMPLE_GAP_MS) return null;
+
+  const red = resampleUniform(times, samples.map((s) => s.r), RPPG_FS);
+  const green = resampleUniform(times, samples.map((s) => s.g), RPPG_FS);
+  const blue = resampleUniform(times, samples.map((s) => s.b), RPPG_FS);
+  if (red.length < POS_WINDOW_SEC * RPPG_FS * 2) return null;
+
+  const pulse = bandpass(posSignal(red, green, blue, RPPG_FS), RPPG_FS, HR_BAND_HZ[0], HR_BAND_HZ[1]);
+  const spectrum = powerSpectrum(pulse, RPPG_FS, HR_BAND_HZ[0], HR_BAND_HZ[1]);
+  const { frequency, quality } = dominantFrequency(spectrum, 0.1);
+  return { bpm: frequency * 60, sqi: quality };
+};
+
+const samplesBetween = (samples, from, to) => samples.filter((s) => s.t >= from && s.t <= to);
+
+// Live reading over the most recent window; null until enough signal
+export const estimateLiveHeartRate = (samples) => {
+  if (samples.length === 0) return null;
+  const end = samples[samples.length - 1].t;
+  if (end - samples[0].t < RPPG_WINDOW_SEC * 800) return null;
+  const estimate = estimateWindow(samplesBetween(samples, end - RPPG_WINDOW_SEC * 1000, end));
+  return estimate && estimate.sqi >= RPPG_MIN_SQI ? estimate : null;
+};
+
+// Session heart rate: sliding windows, keep those passing the quality
+// threshold, report their median. `heartRate` is null (and `status` says
+// why) when the signal wasn't good enough - too few windows passing means
+// the passing ones are more likely noise than pulse.
+export const estimateHeartRate = (samples) => {
+  const windows = [];
+  if (samples.length > 0) {
+    const first = samples[0].t;
+    const last = samples[samples.length - 1].t;
+    for (let start = first; start + RPPG_WINDOW_SEC * 1000 <= last + 1; start += WINDOW_HOP_SEC * 1000) {
+      const estimate = estimateWindow(samplesBetween(samples, start, start + RPPG_WINDOW_SEC * 1000));
+      if (estimate) windows.push(estimate);
+    }
+  }
+
+  const accepted = windows.filter((w) => w.sqi >= RPPG_MIN_SQI);
+  const reliable = accepted.length > 0 && accepted.length >= windows.length * RPPG_MIN_ACCEPTED;
+  const quality = {
+    sqi: windows.length > 0 ? mean(windows.map((w) => w.sqi)) : 0,
+    windowsUsed: accepted.length,
+    windowsTotal: windows.length,
+    status: windows.length === 0
+      ? 'insufficient-data'
+      : reliable ? 'ok' : 'low-quality'
+  };
+
+  return {
+    heartRate: reliable ? median(accepted.map((w) => w.bpm)) : null,
+    quality
+  };
+};
+
+// Frame sampler with its own downscaled canvas (half resolution is plenty
+// for region means and keeps getImageData cheap). Call with the frame image
+// (video, canvas or ImageBitmap) and its landmarks.
+export const createSkinSampler = (scale = 0.5) => {
+  const canvas = createCanvas();
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  return (image, landmarks) => {
+    const width = Math.round((image.videoWidth || image.width) * scale);
+    const height = Math.round((image.videoHeight || image.height) * scale);
+    if (!width || !height) return null;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.drawImage(image, 0, 0, width, height);
+    return sampleSkinColor(ctx, landmarks, width, height);
+  };
+};
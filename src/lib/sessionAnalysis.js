@@ -0,0 +1,500 @@
+// Per-session signal extraction and scoring, independent of where frames
+// come from. The analysis worker (workers/analysis.worker.js) runs one per
+// session; browsers without worker support run it on the main thread.
+//
+// Lifecycle: start() → calibration frames → begin() → recording frames,
+// with setTask() marking the task being performed and pause()/resume()
+// suspending the recording → finish(model).
+
+import { createBlinkDetector } from './blinkDetector';
+import { computeBlinkMetrics } from './blinkMetrics';
+import { POSE_LIMITS, createFaceAligner } from './headPose';
+import { computeTaskMetrics, extractExpressionFeatures } from './taskMetrics';
+import { computeBlendshapeMetrics } from './blendshapeMetrics';
+import { getModel, scoreAssessment } from './scoring';
+import {
+  assessFrame,
+  createFrameAnalyzer,
+  createQualityMonitor,
+  createQualityTracker,
+  evaluateSessionQuality
+} from './frameQuality';
+import { breathingSample, estimateBreathingRate, estimateLiveBreathingRate } from './breathing';
+import { createSkinSampler, estimateHeartRate, estimateLiveHeartRate } from './rppg';
+import { createCapture, captureFrame } from './landmarkCapture';
+
+// Every window below is in real time, taken from the frame timestamps, so
+// the metrics mean the same at any camera frame rate
+const WARM_UP_MS = 350;         // start of each task, while the face settles
+const MOTION_INTERVAL_MS = 30;  // landmark speed is measured over at least this
+const MAX_FRAME_GAP_MS = 250;   // longer gaps break motion and analysed time
+
+// The ×1000 motion score is landmark speed per 1/30 s - the scale the
+// scoring models were fitted on (displacement between frames at 30 fps)
+const MOTION_REFERENCE_FPS = 30;
+
+// Expressive landmarks whose speed is the motion signal (mouth, eyebrows,
+// cheeks - not the whole face, which only adds noise)
+export const MOTION_LANDMARKS = [
+  61, 291,  // Mouth corners
+  13,       // Upper lip
+  14,       // Lower lip
+  105, 334, // Eyebrows
+  93, 323   // Cheeks
+];
+
+// Left/right landmark pairs compared for asymmetry: mouth corners,
+// eyebrows and cheeks
+export const ASYMMETRY_LANDMARK_PAIRS = [
+  [61, 291],
+  [105, 334],
+  [206, 426]
+];
+
+// Deterministic risk calculation based on actual Parkinson's facial biomarkers.
+// Thresholds and weights live in the versioned scoring model (lib/scoring.js,
+// src/models/); `taskMetrics` (guided protocol, optional) supplies evoked
+// expression features. `motionSpeed` is in canonical face units per second.
+const calculateRiskFromSignals = (blinkRate, motionSpeed, asymmetry, taskMetrics = null, model = getModel()) => {
+  const motionScore = (motionSpeed * 1000) / MOTION_REFERENCE_FPS;
+
+  const scored = scoreAssessment({
+    blinkRate,
+    motion: motionScore,
+    asymmetry,
+    smileAmplitude: taskMetrics?.smile?.amplitude ?? null,
+    browExcursion: taskMetrics?.browRaise?.excursion ?? null
+  }, model);
+
+  return { 
+    percentage: scored.percentage, 
+    level: scored.level, 
+    color: scored.color,
+    model: scored.model,
+    details: {
+      blinkRate: blinkRate,
+      motion: motionScore,
+      motionSpeed,
+      asymmetry: asymmetry,
+      components: scored.components
+    }
+  };
+};
+
+// Result for a session that failed the quality rules (lib/frameQuality.js):
+// no score, just the reasons so the user can retake
+const INCONCLUSIVE_COLOR = '#6B7280';
+
+const createInconclusiveResult = (quality, model) => ({
+  status: 'inconclusive',
+  percentage: null,
+  level: 'Inconclusive',
+  color: INCONCLUSIVE_COLOR,
+  model: { id: model.id, version: model.version, type: model.type },
+  quality
+});
+
+// Fresh per-session signal accumulators
+const createFacialData = () => ({
+  blinkDetector: createBlinkDetector(),
+  faceAligner: createFaceAligner(),
+  poseFrames: 0,
+  rejectedPoseFrames: 0,
+  poseSums: { yaw: 0, pitch: 0, roll: 0 },
+  recentAligned: [], // { t, aligned } of the last consecutive usable frames
+  quality: createQualityTracker(),
+  qualityMonitor: createQualityMonitor(),
+  pauses: 0,         // pauses so far; tags blinks with the stretch they fell in
+  currentTask: null, // index of the segment receiving frames; null during lead-ins
+  segments: []       // one per task run, in protocol order (ids can repeat)
+});
+
+const createSegment = (index, task, durationSec) => ({
+  index,
+  task: task.id,
+  spontaneous: task.spontaneous,
+  speaking: Boolean(task.prompt), // read-aloud tasks - breathing treats these as speech
+  durationSec,    // planned
+  recordedMs: 0,  // time the task ran, pauses excluded
+  runStartT: null, // first and last frame since the task started or resumed (ms)
+  endT: null,
+  analysedMs: 0,  // time covered by consecutive usable frames after the warm-up
+  blinkEvents: [],
+  motionValues: [],    // { t, value } landmark speed, canonical units / s
+  asymmetryValues: [], // { t, value }
+  features: [],
+  blendshapes: [] // per-frame scores (BLENDSHAPE_NAMES order), usable frames
+});
+
+// Segments pooled per task id ({ task id → segment }), for the per-task
+// metrics: a protocol may repeat a task, e.g. rest at the start and the end
+const segmentsByTask = (segments) => {
+  const byTask = {};
+  for (const segment of segments) {
+    const pooled = byTask[segment.task];
+    byTask[segment.task] = pooled
+      ? {
+        ...pooled,
+        analysedMs: pooled.analysedMs + segment.analysedMs,
+        features: [...pooled.features, ...segment.features],
+        blendshapes: [...pooled.blendshapes, ...segment.blendshapes]
+      }
+      : segment;
+  }
+  return byTask;
+};
+
+// `onWarning({ code, message })` receives live quality warnings and
+// `onLive({ breathing } | { heart })` the live vitals (null while there's no
+// reliable value), each at most once a second.
+export const createSessionAnalysis = ({ onWarning = () => {}, onLive = () => {} } = {}) => {
+  let phase = 'idle'; // idle | calibrating | recording | paused | finished
+  let pauseReason = null; // 'user' | 'face-lost' while paused
+  let data = null;
+  let vitals = null;
+  let capture = null;
+  let frameAnalyzer = null;
+  let skinSampler = null;
+
+  // New session; calibration frames follow. `captureOptions` (see
+  // createCapture) turns on the per-frame landmark capture.
+  const start = (captureOptions = null) => {
+    data = createFacialData();
+    vitals = {
+      breathSamples: [],
+      lastBreathUpdate: null,
+      colorSamples: [],
+      lastHeartUpdate: null
+    };
+    capture = captureOptions ? createCapture(captureOptions) : null;
+    phase = 'calibrating';
+  };
+
+  // End of calibration; frames from here on are recorded
+  const begin = () => {
+    const calibrated = data.blinkDetector.finishCalibration();
+    phase = 'recording';
+    return { calibrated, baseline: data.blinkDetector.baseline };
+  };
+
+  // Task receiving frames (`{ id, spontaneous, prompt }` from the protocol),
+  // or null during lead-ins
+  const setTask = (task, durationSec = task?.durationSec) => {
+    if (!task) {
+      data.currentTask = null;
+      return;
+    }
+    const index = data.segments.length;
+    data.segments.push(createSegment(index, task, durationSec));
+    data.currentTask = index;
+  };
+
+  // Frames are ignored until resume(); the task's clock, motion and
+  // analysed time don't span the pause. `reason` as in sessionController:
+  // a 'face-lost' pause still counts against face coverage.
+  const pause = (reason = 'user') => {
+    // A user pause can take over an automatic one
+    if (phase === 'paused') pauseReason = reason;
+    if (phase !== 'recording') return;
+    phase = 'paused';
+    pauseReason = reason;
+    const segment = data.currentTask !== null ? data.segments[data.currentTask] : null;
+    if (segment?.runStartT != null) {
+      segment.recordedMs += segment.endT - segment.runStartT;
+      segment.runStartT = null;
+    }
+    data.pauses += 1;
+    data.recentAligned = [];
+    data.quality.pause();
+  };
+
+  const resume = () => {
+    if (phase !== 'paused') return;
+    phase = 'recording';
+    pauseReason = null;
+  };
+
+  // No face this frame - counts against coverage
+  const addMissingFrame = (now) => {
+    const quality = assessFrame(null, null, false);
+    data.quality.add(now, quality);
+    const warning = data.qualityMonitor.update(now, quality);
+    if (warning) onWarning(warning);
+    data.recentAligned = [];
+  };
+
+  // One frame at time `now` (ms). `landmarks` is null when no face was
+  // found; `image` is the frame itself (video, canvas or ImageBitmap) and
+  // `aspect` its width / height - landmarks are normalised per axis and EAR
+  // needs square pixels. `blendshapes` are the frame's blendshape scores
+  // (see blendshapeMetrics.js), null when the model gave none.
+  const addFrame = (now, landmarks, image, aspect, blendshapes = null) => {
+    // CALIBRATION - learn this user's open-eye EAR before recording
+    // (and let the aligner pick its canonical face template)
+    if (phase === 'calibrating' && landmarks) {
+      data.blinkDetector.calibrate(landmarks, aspect);
+      data.faceAligner.align(landmarks, aspect);
+    }
+
+    // An auto-pause lasts as long as the face is away, so its frames count
+    // as frames without a face (and would otherwise hide a face that kept
+    // slipping out of view)
+    if (phase === 'paused' && pauseReason === 'face-lost') {
+      data.quality.add(now, assessFrame(null, null, false));
+      return;
+    }
+
+    // FACIAL SIGNAL EXTRACTION - only during recording
+    if (phase !== 'recording') return;
+
+    // Segment of the task being performed (null during lead-ins, whose
+    // frames keep the trackers running but feed no metrics). Its clock
+    // counts frames without a face too.
+    const segment = data.currentTask !== null ? data.segments[data.currentTask] : null;
+    if (segment) {
+      segment.runStartT ??= now;
+      segment.endT = now;
+    }
+    if (!landmarks) {
+      addMissingFrame(now);
+      return;
+    }
+    // Warm-up after the task starts and after every resume
+    const settled = segment !== null && now - segment.runStartT >= WARM_UP_MS;
+
+    // 1️⃣ BLINK DETECTION (Parkinson's specific)
+    // Research shows Parkinson's patients blink 5-10 times/min vs 15-20 normal
+    // Eye-aspect-ratio against the calibrated baseline, with hysteresis
+    // and a 50-500 ms duration window so squints and dropped frames
+    // don't count
+    const eyes = data.blinkDetector.update(now, landmarks, aspect);
+    if (eyes.blink && segment) {
+      segment.blinkEvents.push({ ...eyes.blink, segment: segment.index, task: segment.task, epoch: data.pauses });
+    }
+    
+    // 🧭 HEAD POSE - align to the canonical face frame so head
+    // translation/rotation/scale don't leak into motion and asymmetry.
+    // Frames with extreme poses are left out of both metrics.
+    const { pose, withinLimits, aligned } = data.faceAligner.align(landmarks, aspect);
+    const poseUsable = withinLimits && aligned !== null;
+    data.poseFrames++;
+    data.poseSums.yaw += pose.yaw;
+    data.poseSums.pitch += pose.pitch;
+    data.poseSums.roll += pose.roll;
+    if (!poseUsable) {
+      data.rejectedPoseFrames++;
+    }
+
+    // 🔎 FRAME QUALITY - landmark confidence, lighting, blur and pose.
+    // Motion, asymmetry and expression features only use frames that
+    // pass every check.
+    if (!frameAnalyzer) {
+      frameAnalyzer = createFrameAnalyzer();
+    }
+    const frameStats = frameAnalyzer(image, landmarks);
+    const quality = assessFrame(landmarks, frameStats, poseUsable);
+    data.quality.add(now, quality);
+    const warning = data.qualityMonitor.update(now, quality);
+    if (warning) onWarning(warning);
+    const usable = quality.ok;
+
+    // Usable frames of the last MAX_FRAME_GAP_MS, cleared by any rejected
+    // frame so neither motion nor analysed time spans a gap
+    const recent = data.recentAligned;
+    if (!usable) recent.length = 0;
+    while (recent.length > 0 && now - recent[0].t > MAX_FRAME_GAP_MS) recent.shift();
+    if (usable && settled && recent.length > 0) {
+      segment.analysedMs += now - recent[recent.length - 1].t;
+    }
+
+    // 2️⃣ FACIAL RIGIDITY (hypomimia - "masked face")
+    // Parkinson's patients show 40-60% reduction in facial movement
+    // Speed of key expressive landmarks (mouth, eyebrows, cheeks) against
+    // the newest usable frame at least MOTION_INTERVAL_MS old, so a faster
+    // camera doesn't turn landmark jitter into more motion
+    let reference = null;
+    for (let i = recent.length - 1; i >= 0; i--) {
+      if (now - recent[i].t >= MOTION_INTERVAL_MS) {
+        reference = recent[i];
+        break;
+      }
+    }
+    let frameMotion = null;
+    if (reference) {
+      let totalMotion = 0;
+      for (const idx of MOTION_LANDMARKS) {
+        const dx = aligned[idx].x - reference.aligned[idx].x;
+        const dy = aligned[idx].y - reference.aligned[idx].y;
+        totalMotion += Math.sqrt(dx * dx + dy * dy);
+      }
+      frameMotion = totalMotion / MOTION_LANDMARKS.length / ((now - reference.t) / 1000);
+      if (settled) segment.motionValues.push({ t: now, value: frameMotion });
+    }
+    if (usable) recent.push({ t: now, aligned });
+    
+    // 3️⃣ FACIAL ASYMMETRY (unilateral symptoms common in early Parkinson's)
+    // Compare multiple left vs right landmarks for robust measurement,
+    // in the canonical frame so head roll doesn't read as asymmetry
+    let avgAsymmetry = null;
+    if (usable) {
+      // Vertical offset of each pair, averaged for stability
+      let totalAsymmetry = 0;
+      for (const [left, right] of ASYMMETRY_LANDMARK_PAIRS) {
+        totalAsymmetry += Math.abs(aligned[left].y - aligned[right].y);
+      }
+      avgAsymmetry = totalAsymmetry / ASYMMETRY_LANDMARK_PAIRS.length;
+      if (settled) segment.asymmetryValues.push({ t: now, value: avgAsymmetry });
+
+      if (settled) {
+        // Expression features for the per-task metrics
+        segment.features.push(extractExpressionFeatures(aligned, eyes.ear));
+
+        // 🎭 BLENDSHAPES - the model's own expression scores, for the
+        // expressivity and left/right asymmetry metrics
+        if (blendshapes) segment.blendshapes.push(blendshapes);
+      }
+    }
+
+    // ======================
+    // 🫁 BREATHING RATE (spectral, head bob carried by the torso)
+    // ======================
+    const noseY = landmarks[1].y;
+    const breath = breathingSample(now, landmarks, aspect, segment?.speaking ?? false);
+    if (breath) {
+      vitals.breathSamples.push(breath);
+    }
+
+    // Live value refreshed once a second; null until a clean 20 s window
+    if (vitals.lastBreathUpdate === null || now - vitals.lastBreathUpdate >= 1000) {
+      vitals.lastBreathUpdate = now;
+      const liveBreath = estimateLiveBreathingRate(vitals.breathSamples);
+      onLive({ breathing: liveBreath });
+    }
+
+    // ======================
+    // ❤️ HEART RATE (rPPG - skin colour under forehead and cheeks)
+    // ======================
+    if (!skinSampler) {
+      skinSampler = createSkinSampler();
+    }
+    const skinColor = skinSampler(image, landmarks);
+    if (skinColor) {
+      vitals.colorSamples.push({ t: now, ...skinColor });
+    }
+
+    // Live value refreshed once a second; null while quality is too low
+    if (vitals.lastHeartUpdate === null || now - vitals.lastHeartUpdate >= 1000) {
+      vitals.lastHeartUpdate = now;
+      const liveHeart = estimateLiveHeartRate(vitals.colorSamples);
+      onLive({ heart: liveHeart });
+    }
+
+    // 💾 Opt-in raw data capture for research export
+    if (capture) {
+      captureFrame(capture, now, landmarks, {
+        leftEye: eyes.left,
+        rightEye: eyes.right,
+        motion: frameMotion,
+        asymmetry: avgAsymmetry,
+        noseY,
+        yaw: pose.yaw,
+        pitch: pose.pitch,
+        roll: pose.roll
+      }, segment?.task ?? null, blendshapes);
+    }
+  };
+
+  // Ends the session: per-task, blink, pose and vitals metrics, the
+  // quality verdict and the score. Returns `{ result, capture }`; the caller
+  // adds the session facts (start time, duration, source).
+  const finish = (model = getModel()) => {
+    phase = 'finished';
+    data.currentTask = null;
+
+    // Blink, motion and asymmetry come from the spontaneous tasks (rest,
+    // reading) - deliberate expressions would swamp them
+    const spontaneous = data.segments.filter(segment => segment.spontaneous);
+    const byTask = segmentsByTask(data.segments);
+    // Time the tasks actually ran - shorter than planned when stopped early,
+    // pauses excluded
+    const spontaneousSec = spontaneous.reduce((total, segment) =>
+      total + (segment.recordedMs + (segment.runStartT !== null ? segment.endT - segment.runStartT : 0)) / 1000, 0);
+    const analysedSec = spontaneous.reduce((total, segment) => total + segment.analysedMs / 1000, 0);
+    const blinkEvents = spontaneous.flatMap(segment => segment.blinkEvents);
+    
+    // 1️⃣ Blink rate per minute over the recorded duration
+    const blinkRate = spontaneousSec > 0 ? (blinkEvents.length / spontaneousSec) * 60 : 0;
+    
+    // 2️⃣ Average facial rigidity (landmark speed)
+    // Each task's warm-up was already left out while recording
+    const validMotionValues = spontaneous.flatMap(segment => segment.motionValues.map(sample => sample.value));
+    // No defaults: with too little data the session is inconclusive (below)
+    const avgRigidity = validMotionValues.length > 0 
+      ? validMotionValues.reduce((a, b) => a + b, 0) / validMotionValues.length 
+      : null;
+    
+    // 3️⃣ Average asymmetry
+    const validAsymmetryValues = spontaneous.flatMap(segment => segment.asymmetryValues.map(sample => sample.value));
+    const avgAsymmetry = validAsymmetryValues.length > 0
+      ? validAsymmetryValues.reduce((a, b) => a + b, 0) / validAsymmetryValues.length
+      : null;
+    
+    // 🔎 Session quality - too little usable video gives an explicit
+    // inconclusive result instead of a score
+    const quality = evaluateSessionQuality(
+      data.quality.summary(),
+      validMotionValues.length > 0 ? analysedSec : 0
+    );
+
+    let riskResult;
+    if (!quality.conclusive) {
+      riskResult = createInconclusiveResult(quality, model);
+    } else {
+      // 4️⃣ Per-task expression metrics (guided protocol)
+      const taskMetrics = computeTaskMetrics(byTask, {
+        earBaseline: data.blinkDetector.baseline
+      });
+
+      // Compute deterministic risk
+      riskResult = calculateRiskFromSignals(blinkRate, avgRigidity, avgAsymmetry, taskMetrics, model);
+      riskResult.details.tasks = taskMetrics;
+
+      // Blink kinematics (duration, inter-blink interval, incomplete blinks)
+      riskResult.details.blinkKinematics = computeBlinkMetrics(blinkEvents);
+
+      // Head pose over the recording; rejected frames were excluded from
+      // motion and asymmetry
+      const poseFrames = data.poseFrames || 1;
+      riskResult.details.headPose = {
+        meanYaw: data.poseSums.yaw / poseFrames,
+        meanPitch: data.poseSums.pitch / poseFrames,
+        meanRoll: data.poseSums.roll / poseFrames,
+        framesTotal: data.poseFrames,
+        framesRejected: data.rejectedPoseFrames,
+        limits: POSE_LIMITS
+      };
+
+      // Blendshape expressivity and left/right asymmetry (alongside the
+      // landmark-based motion and asymmetry; not scored)
+      riskResult.details.blendshapes = computeBlendshapeMetrics(byTask);
+
+      // 5️⃣ Vitals
+      const breathing = estimateBreathingRate(vitals.breathSamples);
+      const heart = estimateHeartRate(vitals.colorSamples);
+      riskResult.vitals = {
+        // null when no clean window was found; see breathingRateQuality.status
+        breathingRate: breathing.breathingRate,
+        breathingRateQuality: breathing.quality,
+        // null when the pulse signal was too weak; see heartRateQuality.status
+        heartRate: heart.heartRate,
+        heartRateQuality: heart.quality
+      };
+      riskResult.status = 'complete';
+      riskResult.quality = quality;
+    }
+
+    return { result: riskResult, capture };
+  };
+
+  return { start, begin, setTask, pause, resume, addFrame, finish };
+};
@@ -0,0 +1,223 @@
+// Session controller: the recording session's state machine, independent
+// of React and of where frames come from.
+//
+//   idle → calibrating → recording ⇄ paused
+//              │             │          │
+//              └─────────────┴──────────┴──→ completed | aborted
+//
+// `recording` steps through the protocol: a lead-in (`prepare`) before each
+// task, then the task itself (`active`). The clock only runs while
+// recording, so a pause - by the user, or automatically while the face is
+// out of view - picks up where it left off. `completed` (the last task ran
+// out, or stop()) and `aborted` (cancel()) are final and each session
+// reaches at most one of them, once.
+
+import { CALIBRATION_MS } from './blinkDetector';
+import { TASK_LEAD_IN_SEC } from './protocol';
+
+export const SESSION_STATES = ['idle', 'calibrating', 'recording', 'paused', 'completed', 'aborted'];
+
+export const FACE_LOSS_PAUSE_MS = 1000; // face missing this long pauses the session
+export const FACE_RETURN_MS = 500;      // and back this long resumes it
+
+const TICK_MS = 200;
+
+const FINAL = new Set(['completed', 'aborted']);
+
+// `tasks` is the protocol (see protocol.js). `calibrationMs: null` leaves the
+// end of calibration to begin() and `timed: false` the end of recording to
+// stop() - a replayed file runs at the speed of its analysis, not the clock.
+// `autoPause: false` ignores faceUpdate().
+//
+// Listeners get `(change, snapshot)`: `change` is 'state' (with
+// `snapshot.previous`), 'step' (next lead-in or task) or 'tick' (the
+// remaining whole seconds changed).
+export const createSessionController = ({
+  tasks,
+  leadInSec = TASK_LEAD_IN_SEC,
+  calibrationMs = CALIBRATION_MS,
+  timed = true,
+  autoPause = true,
+  now = () => performance.now()
+}) => {
+  const steps = tasks.flatMap((task, index) => [
+    ...(leadInSec > 0 ? [{ task, index, phase: 'prepare', ms: leadInSec * 1000 }] : []),
+    { task, index, phase: 'active', ms: task.durationSec * 1000 }
+  ]);
+  const totalMs = steps.reduce((total, step) => total + step.ms, 0);
+
+  const listeners = new Set();
+  let state = 'idle';
+  let previous = null;
+  let pauseReason = null; // 'user' | 'face-lost' while paused
+  let stepIndex = 0;
+  let remainingMs = steps[0]?.ms ?? 0;
+  let elapsedMs = 0;      // recording time, pauses excluded
+  let lastTick = null;
+  let calibrationTimer = null;
+  let ticker = null;
+  let faceLostAt = null;
+  let faceSeenAt = null;
+
+  const snapshot = () => {
+    const step = steps[Math.min(stepIndex, steps.length - 1)];
+    return {
+      state,
+      previous,
+      pauseReason,
+      taskIndex: step?.index ?? 0,
+      task: step?.task ?? null,
+      phase: step?.phase ?? null,
+      remainingSec: Math.max(0, Math.ceil(remainingMs / 1000)),
+      elapsedSec: elapsedMs / 1000,
+      totalSec: totalMs / 1000
+    };
+  };
+
+  const notify = (change) => {
+    const current = snapshot();
+    for (const listener of [...listeners]) listener(change, current);
+  };
+
+  const clearTimers = () => {
+    clearTimeout(calibrationTimer);
+    clearInterval(ticker);
+    calibrationTimer = null;
+    ticker = null;
+  };
+
+  const setState = (next, reason = null) => {
+    previous = state;
+    state = next;
+    pauseReason = reason;
+    if (FINAL.has(next)) clearTimers();
+    notify('state');
+  };
+
+  // Moves the clock on to `t`, stepping through finished lead-ins and tasks
+  const advance = (t = now()) => {
+    if (state !== 'recording' || !timed) return;
+    const delta = t - lastTick;
+    lastTick = t;
+    elapsedMs += delta;
+    const shownSec = Math.ceil(remainingMs / 1000);
+    remainingMs -= delta;
+    if (remainingMs > 0) {
+      if (Math.ceil(remainingMs / 1000) !== shownSec) notify('tick');
+      return;
+    }
+
+    while (remainingMs <= 0) {
+      if (stepIndex === steps.length - 1) {
+        remainingMs = 0;
+        setState('completed');
+        return;
+      }
+      stepIndex++;
+      remainingMs += steps[stepIndex].ms;
+      notify('step');
+      if (state !== 'recording') return;
+    }
+  };
+
+  // End of calibration: recording starts with the first lead-in (or task)
+  const begin = () => {
+    if (state !== 'calibrating') return false;
+    clearTimeout(calibrationTimer);
+    calibrationTimer = null;
+    lastTick = now();
+    setState('recording');
+    if (state !== 'recording') return true;
+    notify('step');
+    if (timed) ticker = setInterval(() => advance(), TICK_MS);
+    return true;
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+    snapshot,
+
+    // `listener(change, snapshot)`; returns the unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // idle → calibrating; recording follows after `calibrationMs`
+    start() {
+      if (state !== 'idle') return false;
+      setState('calibrating');
+      if (calibrationMs !== null) calibrationTimer = setTimeout(begin, calibrationMs);
+      return true;
+    },
+
+    begin,
+
+    // Pause by the user (or `reason`). A user pause overrides an automatic
+    // one, so the face coming back doesn't resume it.
+    pause(reason = 'user') {
+      if (state === 'paused' && reason === 'user' && pauseReason !== 'user') {
+        setState('paused', 'user');
+        return true;
+      }
+      if (state !== 'recording') return false;
+      advance();
+      if (state !== 'recording') return false;
+      setState('paused', reason);
+      return true;
+    },
+
+    resume() {
+      if (state !== 'paused') return false;
+      lastTick = now();
+      setState('recording');
+      return true;
+    },
+
+    // Finish now with what has been recorded
+    stop() {
+      if (state !== 'recording' && state !== 'paused') return false;
+      advance();
+      if (FINAL.has(state)) return false;
+      setState('completed');
+      return true;
+    },
+
+    // Abandon the session; no result is produced
+    cancel() {
+      if (FINAL.has(state)) return false;
+      setState('aborted');
+      return true;
+    },
+
+    // Face presence in the latest analysed frame at time `t` (ms): pauses
+    // after FACE_LOSS_PAUSE_MS without a face and resumes an automatic
+    // pause after FACE_RETURN_MS with one
+    faceUpdate(face, t = now()) {
+      if (!autoPause) return;
+      if (face) {
+        faceLostAt = null;
+        faceSeenAt ??= t;
+        if (state === 'paused' && pauseReason === 'face-lost' && t - faceSeenAt >= FACE_RETURN_MS) {
+          lastTick = now();
+          setState('recording');
+        }
+      } else {
+        faceSeenAt = null;
+        faceLostAt ??= t;
+        if (state === 'recording' && t - faceLostAt >= FACE_LOSS_PAUSE_MS) {
+          advance();
+          if (state === 'recording') setState('paused', 'face-lost');
+        }
+      }
+    },
+
+    // Stops the timers and drops the listeners (the screen is going away)
+    dispose() {
+      clearTimers();
+      listeners.clear();
+    }
+  };
+};
@@ -0,0 +1,280 @@
+// Speech biomarkers from the read-aloud task.
+//
+// Parkinsonian speech (hypokinetic dysarthria) is quiet, monotone and often
+// slowed or broken up by pauses. From mono PCM samples this module measures
+// loudness level and variability, pitch (F0) level and variability, the
+// share of the utterance spent pausing and the speaking rate. It is plain
+// arithmetic on a Float32Array, so recordings and WAV fixtures (see wav.js)
+// go through exactly the same code in the browser and in Node.
+//
+// Levels are dBFS: the microphone isn't calibrated, so loudness compares
+// sessions on the same device rather than people.
+
+import { mean, median, std } from './dsp';
+
+// Analysis rate - plenty for F0 and the speech envelope
+export const SPEECH_SAMPLE_RATE = 16000;
+
+const FRAME_MS = 25;
+const HOP_MS = 10;
+const SILENCE_DB = -60;        // never counted as speech
+const SPEECH_MARGIN_DB = 12;   // speech sits this far above the noise floor
+const MIN_PAUSE_MS = 250;      // shorter gaps are stop consonants, not pauses
+const MIN_BURST_MS = 50;       // shorter bursts are clicks
+const MIN_SPEECH_SEC = 1;
+const F0_MIN = 75;
+const F0_MAX = 400;
+const YIN_THRESHOLD = 0.15;
+const NUCLEUS_DIP_DB = 2;      // a syllable peak rises this far above the dip before it
+const CLIP_LEVEL = 0.99;
+
+// Quality limits: below these the values are reported but flagged
+export const SPEECH_LIMITS = {
+  minSnrDb: 15,
+  maxClipping: 0.01,
+  minVoiced: 0.2   // share of audible speech frames with a pitch
+};
+
+const toDb = (rms) => 20 * Math.log10(rms + 1e-10);
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Any script: a word is a run with at least one letter or digit
+export const countWords = (text) => text.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+
+// Box-filter then linearly interpolate to SPEECH_SAMPLE_RATE; removes DC
+const toAnalysisRate = (samples, sampleRate) => {
+  let source = samples;
+  const ratio = sampleRate / SPEECH_SAMPLE_RATE;
+  if (ratio > 1) {
+    const width = Math.max(1, Math.round(ratio));
+    source = new Float32Array(samples.length);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i];
+      if (i >= width) sum -= samples[i - width];
+      source[i] = sum / Math.min(i + 1, width);
+    }
+  }
+
+  const length = Math.floor(samples.length / ratio);
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const x = i * ratio;
+    const i0 = Math.floor(x);
+    const i1 = Math.min(i0 + 1, source.length - 1);
+    out[i] = source[i0] + (source[i1] - source[i0]) * (x - i0);
+  }
+
+  const dc = length > 0 ? out.reduce((a, b) => a + b, 0) / length : 0;
+  for (let i = 0; i < length; i++) out[i] -= dc;
+  return out;
+};
+
+// Short runs of `value` (under `minFrames`) flipped to the opposite
+const removeShortRuns = (flags, value, minFrames, interiorOnly) => {
+  let i = 0;
+  while (i < flags.length) {
+    if (flags[i] !== value) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < flags.length && flags[j] === value) j++;
+    const interior = i > 0 && j < flags.length;
+    if (j - i < minFrames && (interior || !interiorOnly)) {
+      for (let k = i; k < j; k++) flags[k] = !value;
+    }
+    i = j;
+  }
+};
+
+// YIN fundamental frequency of the window starting at `start`, or null when
+// the frame is unvoiced
+const yinPitch = (samples, start, windowSize) => {
+  const minLag = Math.floor(SPEECH_SAMPLE_RATE / F0_MAX);
+  const maxLag = Math.ceil(SPEECH_SAMPLE_RATE / F0_MIN);
+  if (start + windowSize + maxLag > samples.length) return null;
+
+  const diff = new Float32Array(maxLag + 1);
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const d = samples[start + i] - samples[start + i + lag];
+      sum += d * d;
+    }
+    diff[lag] = sum;
+  }
+
+  // Cumulative mean normalised difference; first dip under the threshold
+  let running = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    running += diff[lag];
+    const normalised = running > 0 ? (diff[lag] * lag) / running : 1;
+    if (lag < minLag) continue;
+    if (normalised < YIN_THRESHOLD) {
+      // Walk down to the local minimum, then refine by parabola
+      let best = lag;
+      while (best + 1 <= maxLag && diff[best + 1] < diff[best]) best++;
+      const a = diff[best - 1];
+      const b = diff[best];
+      const c = best + 1 <= maxLag ? diff[best + 1] : b;
+      const denom = a - 2 * b + c;
+      const shift = denom !== 0 ? (a - c) / (2 * denom) : 0;
+      return SPEECH_SAMPLE_RATE / (best + shift);
+    }
+  }
+  return null;
+};
+
+// Syllable nuclei: peaks of the smoothed speech envelope that rise at least
+// NUCLEUS_DIP_DB above the lowest point since the previous peak and are voiced
+const countSyllables = (db, speech, voiced) => {
+  const smooth = db.map((_, i) => {
+    const from = Math.max(0, i - 2);
+    const to = Math.min(db.length, i + 3);
+    return mean(db.slice(from, to));
+  });
+
+  let count = 0;
+  let dip = Infinity;
+  let candidate = null;
+  for (let i = 0; i < smooth.length; i++) {
+    if (!speech[i]) {
+      if (candidate !== null) count++;
+      candidate = null;
+      dip = Infinity;
+      continue;
+    }
+    if (candidate !== null && smooth[i] < smooth[candidate] - NUCLEUS_DIP_DB) {
+      count++;
+      candidate = null;
+      dip = smooth[i];
+    }
+    dip = Math.min(dip, smooth[i]);
+    const peak = i > 0 && i < smooth.length - 1 &&
+      smooth[i] >= smooth[i - 1] && smooth[i] > smooth[i + 1];
+    if (peak && voiced[i] && smooth[i] - dip >= NUCLEUS_DIP_DB &&
+        (candidate === null || smooth[i] > smooth[candidate])) {
+      candidate = i;
+    }
+  }
+  if (candidate !== null) count++;
+  return count;
+};
+
+const emptySpeech = (status, durationSec = 0, extra = {}) => ({
+  durationSec,
+  speechSec: 0,
+  loudness: { meanDb: null, sdDb: null },
+  pitch: { meanHz: null, sdHz: null, sdSemitones: null },
+  pauseRatio: null,
+  speakingRate: { syllablesPerSec: null, wordsPerMin: null },
+  quality: { status, snrDb: null, clipping: null, voiced: null, ...extra }
+});
+
+// Result for a session whose protocol asked for speech but recorded no
+// usable audio - no microphone, or a recording that couldn't be decoded
+export const unavailableSpeech = () => emptySpeech('unavailable');
+
+// Speech metrics of mono `samples` at `sampleRate`. `words` is the number
+// of words read (from the prompt) for the words-per-minute rate. Values are
+// null with `quality.status: 'insufficient-data'` when there's less than a
+// second of speech.
+export const analyzeSpeech = (samples, sampleRate, { words = null } = {}) => {
+  const durationSec = samples.length / sampleRate;
+
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) >= CLIP_LEVEL) clipped++;
+  }
+  const clipping = samples.length > 0 ? clipped / samples.length : 0;
+
+  const audio = toAnalysisRate(samples, sampleRate);
+  const frameSize = Math.round((SPEECH_SAMPLE_RATE * FRAME_MS) / 1000);
+  const hop = Math.round((SPEECH_SAMPLE_RATE * HOP_MS) / 1000);
+  const frameCount = audio.length >= frameSize ? Math.floor((audio.length - frameSize) / hop) + 1 : 0;
+  if (frameCount === 0) return emptySpeech('insufficient-data', durationSec, { clipping });
+
+  // 1️⃣ Frame levels and speech/pause segmentation against the noise floor
+  const db = new Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    let sum = 0;
+    for (let i = f * hop; i < f * hop + frameSize; i++) sum += audio[i] * audio[i];
+    db[f] = toDb(Math.sqrt(sum / frameSize));
+  }
+  const noiseFloor = percentile(db, 0.1);
+  const threshold = Math.max(SILENCE_DB, noiseFloor + SPEECH_MARGIN_DB);
+  const above = db.map((level) => level >= threshold);
+  const speech = [...above];
+  removeShortRuns(speech, false, MIN_PAUSE_MS / HOP_MS, true);
+  removeShortRuns(speech, true, MIN_BURST_MS / HOP_MS, false);
+  // Bridged gaps count as speaking time but have no voice to measure, so
+  // loudness and pitch only use frames that were above the threshold
+  const audible = speech.map((isSpeech, f) => isSpeech && above[f]);
+
+  const first = speech.indexOf(true);
+  const last = speech.lastIndexOf(true);
+  const speechFrames = speech.filter(Boolean).length;
+  const speechSec = (speechFrames * HOP_MS) / 1000;
+  if (speechSec < MIN_SPEECH_SEC) {
+    return emptySpeech('insufficient-data', durationSec, { clipping });
+  }
+  const spanFrames = last - first + 1;
+  const spanSec = (spanFrames * HOP_MS) / 1000;
+
+  // 2️⃣ Loudness over audible speech frames
+  const speechDb = db.filter((_, f) => audible[f]);
+  const meanDb = mean(speechDb);
+
+  // 3️⃣ Pitch - YIN per audible speech frame; octave errors outside half/double
+  // the median are dropped
+  const voiced = new Array(frameCount).fill(false);
+  const f0 = [];
+  for (let f = 0; f < frameCount; f++) {
+    if (!audible[f]) continue;
+    const hz = yinPitch(audio, f * hop, frameSize);
+    if (hz !== null) {
+      voiced[f] = true;
+      f0.push(hz);
+    }
+  }
+  const f0Median = f0.length > 0 ? median(f0) : null;
+  const pitched = f0Median === null ? [] : f0.filter((hz) => hz > f0Median / 2 && hz < f0Median * 2);
+  const semitones = pitched.map((hz) => 12 * Math.log2(hz / f0Median));
+
+  // 4️⃣ Pauses inside the utterance and speaking rate over it
+  const pauseFrames = spanFrames - speech.slice(first, last + 1).filter(Boolean).length;
+  const syllables = countSyllables(db, speech, voiced);
+
+  const snrDb = meanDb - noiseFloor;
+  const voicedShare = f0.length / speechDb.length;
+  const lowQuality = snrDb < SPEECH_LIMITS.minSnrDb ||
+    clipping > SPEECH_LIMITS.maxClipping ||
+    voicedShare < SPEECH_LIMITS.minVoiced;
+
+  return {
+    durationSec,
+    speechSec,
+    loudness: { meanDb, sdDb: std(speechDb) },
+    pitch: {
+      meanHz: pitched.length > 0 ? mean(pitched) : null,
+      sdHz: pitched.length > 1 ? std(pitched) : null,
+      sdSemitones: semitones.length > 1 ? std(semitones) : null
+    },
+    pauseRatio: pauseFrames / spanFrames,
+    speakingRate: {
+      syllablesPerSec: syllables / spanSec,
+      wordsPerMin: words ? (words / spanSec) * 60 : null
+    },
+    quality: {
+      status: lowQuality ? 'low-quality' : 'ok',
+      snrDb,
+      clipping,
+      voiced: voicedShare
+    }
+  };
+};
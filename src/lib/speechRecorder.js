@@ -0,0 +1,74 @@
+// Microphone capture for the read-aloud tasks.
+//
+// A MediaRecorder on the camera stream's audio track runs only while a
+// prompted task is active (paused in between), so the recording holds just
+// the read speech. At the end the Web Audio API decodes it to mono PCM at
+// the analysis rate (an OfflineAudioContext resamples while decoding) and
+// speech.js measures it - all on the device.
+
+import { SPEECH_SAMPLE_RATE, analyzeSpeech } from './speech';
+
+// Raw microphone signal: echo cancellation, noise suppression and
+// automatic gain would flatten exactly the loudness and pitch variation
+// being measured
+export const SPEECH_AUDIO_CONSTRAINTS = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+  channelCount: 1
+};
+
+export const supportsSpeechRecording = () =>
+  typeof MediaRecorder !== 'undefined' && typeof OfflineAudioContext !== 'undefined';
+
+// Recorder for the audio tracks of `stream`, or null when there are none
+// (or the browser can't record). `record()` starts or resumes, `pause()`
+// pauses, `stop()` resolves to the recording Blob (null if nothing was
+// recorded).
+export const createSpeechRecorder = (stream) => {
+  const tracks = stream.getAudioTracks();
+  if (tracks.length === 0 || !supportsSpeechRecording()) return null;
+
+  const recorder = new MediaRecorder(new MediaStream(tracks));
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const recording = () => (chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType }) : null);
+
+  return {
+    record() {
+      if (recorder.state === 'inactive') recorder.start();
+      else if (recorder.state === 'paused') recorder.resume();
+    },
+    pause() {
+      if (recorder.state === 'recording') recorder.pause();
+    },
+    stop: () => new Promise((resolve) => {
+      if (recorder.state === 'inactive') {
+        resolve(recording());
+        return;
+      }
+      recorder.addEventListener('stop', () => resolve(recording()), { once: true });
+      recorder.stop();
+    })
+  };
+};
+
+// Mono PCM `{ samples, sampleRate }` of an encoded recording
+export const decodeAudio = async (blob, sampleRate = SPEECH_SAMPLE_RATE) => {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+  const samples = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const channel = buffer.getChannelData(c);
+    for (let i = 0; i < buffer.length; i++) samples[i] += channel[i] / buffer.numberOfChannels;
+  }
+  return { samples, sampleRate: buffer.sampleRate };
+};
+
+// Speech metrics of a recording (see analyzeSpeech)
+export const analyzeRecording = async (blob, options) => {
+  const { samples, sampleRate } = await decodeAudio(blob);
+  return analyzeSpeech(samples, sampleRate, options);
+};
@@ -0,0 +1,120 @@
+// Per-task expression metrics for the guided protocol (see protocol.js).
+//
+// Every frame of a task segment is reduced to a few expression features in
+// the canonical (head-pose aligned) face frame. Deliberate expressions are
+// then measured against the neutral face from the rest task, using the
+// 90th percentile of the excursion so a single glitchy frame can't set it.
+
+import { CANONICAL_EYE_DISTANCE } from './headPose';
+
+const CHEEK_LANDMARKS = [50, 280, 205, 425, 187, 411];
+const MIN_TASK_SEC = 0.2;
+
+const point = (l) => ({ x: l.x, y: l.y, z: l.z });
+
+const dist = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+const meanPoint = (points) => ({
+  x: mean(points.map((p) => p.x)),
+  y: mean(points.map((p) => p.y)),
+  z: mean(points.map((p) => p.z))
+});
+
+// Reduce one aligned frame (y pointing down) to the features the task
+// metrics need. `ear` is the mean eye aspect ratio for the frame.
+export const extractExpressionFeatures = (aligned, ear) => ({
+  mouthWidth: dist(aligned[61], aligned[291]),
+  leftCorner: point(aligned[61]),
+  rightCorner: point(aligned[291]),
+  // Brow height above the (rigid) eye-corner line
+  leftBrow: (aligned[33].y + aligned[133].y) / 2 - aligned[105].y,
+  rightBrow: (aligned[362].y + aligned[263].y) / 2 - aligned[334].y,
+  cheeks: CHEEK_LANDMARKS.map((i) => point(aligned[i])),
+  ear
+});
+
+const neutralFace = (features) => ({
+  mouthWidth: mean(features.map((f) => f.mouthWidth)),
+  leftCorner: meanPoint(features.map((f) => f.leftCorner)),
+  rightCorner: meanPoint(features.map((f) => f.rightCorner)),
+  leftBrow: mean(features.map((f) => f.leftBrow)),
+  rightBrow: mean(features.map((f) => f.rightBrow)),
+  cheeks: CHEEK_LANDMARKS.map((_, i) => meanPoint(features.map((f) => f.cheeks[i])))
+});
+
+// Left/right imbalance of two excursions: 0 = symmetric, 1 = one side only
+const sideAsymmetry = (left, right) => {
+  const total = Math.abs(left) + Math.abs(right);
+  return total > 0 ? Math.abs(left - right) / total : 0;
+};
+
+// Asymmetry averaged over the frames at or above the peak percentile, i.e.
+// at the height of the expression rather than on the way in or out
+const peakAsymmetry = (excursions, sides, peak) => {
+  const atPeak = sides.filter((_, i) => excursions[i] >= peak);
+  return mean(atPeak.map(([left, right]) => sideAsymmetry(left, right)));
+};
+
+const smileMetrics = (features, neutral) => {
+  const gains = features.map((f) => f.mouthWidth / neutral.mouthWidth - 1);
+  const sides = features.map((f) => [
+    dist(f.leftCorner, neutral.leftCorner),
+    dist(f.rightCorner, neutral.rightCorner)
+  ]);
+  const amplitude = percentile(gains, 0.9);
+  return { amplitude, asymmetry: peakAsymmetry(gains, sides, amplitude) };
+};
+
+const browMetrics = (features, neutral) => {
+  const sides = features.map((f) => [
+    (f.leftBrow - neutral.leftBrow) / CANONICAL_EYE_DISTANCE,
+    (f.rightBrow - neutral.rightBrow) / CANONICAL_EYE_DISTANCE
+  ]);
+  const excursions = sides.map(([left, right]) => (left + right) / 2);
+  const excursion = percentile(excursions, 0.9);
+  return { excursion, asymmetry: peakAsymmetry(excursions, sides, excursion) };
+};
+
+const eyeClosureMetrics = (features, earBaseline) => ({
+  // 1 = lids fully shut relative to the calibrated open-eye EAR
+  closure: percentile(features.map((f) => Math.min(1, Math.max(0, 1 - f.ear / earBaseline))), 0.9)
+});
+
+const cheekPuffMetrics = (features, neutral) => ({
+  excursion: percentile(features.map((f) =>
+    mean(f.cheeks.map((c, i) => dist(c, neutral.cheeks[i]))) / CANONICAL_EYE_DISTANCE
+  ), 0.9)
+});
+
+// `segments` maps task id → { features: [...], analysedMs }. Returns metrics
+// per expression task (null for tasks with under MIN_TASK_SEC of usable
+// video), or null when there is no rest segment to serve as the neutral
+// reference.
+export const computeTaskMetrics = (segments, { earBaseline }) => {
+  const usable = (id) => segments[id]?.analysedMs >= MIN_TASK_SEC * 1000 && segments[id].features.length > 0
+    ? segments[id].features
+    : null;
+
+  const rest = usable('rest');
+  if (!rest) return null;
+  const neutral = neutralFace(rest);
+
+  const smile = usable('smile');
+  const brow = usable('browRaise');
+  const eyes = usable('eyeClosure');
+  const cheeks = usable('cheekPuff');
+
+  return {
+    smile: smile && smileMetrics(smile, neutral),
+    browRaise: brow && browMetrics(brow, neutral),
+    eyeClosure: eyes && eyeClosureMetrics(eyes, earBaseline),
+    cheekPuff: cheeks && cheekPuffMetrics(cheeks, neutral)
+  };
+};
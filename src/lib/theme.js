@@ -0,0 +1,36 @@
+// Colour themes. `standard` is the app's own palette; `high-contrast` is
+// for low vision and colour blindness: dark text and outlines on white,
+// and risk levels in blue, ochre and wine - hues that colour-blind users
+// tell apart, at lightnesses that stay apart in greyscale. The level is
+// always shown as text and icon too (see App.jsx), never by colour alone.
+//
+// The theme is applied as `data-theme` on a container; the overrides live
+// in theme.css.
+
+export const THEMES = ['standard', 'high-contrast'];
+export const DEFAULT_THEME = 'standard';
+
+export const isTheme = (theme) => THEMES.includes(theme);
+
+// Risk colours under `high-contrast`, by level; each reaches 4.5:1 against
+// white for text
+export const HIGH_CONTRAST_RISK_COLORS = {
+  Low: '#0066AA',
+  Medium: '#996600',
+  High: '#7A1F3D',
+  Inconclusive: '#404040'
+};
+
+// Colour to show `result` in: the model's colour for its level, or the
+// high-contrast one
+export const riskColor = (result, theme = DEFAULT_THEME) =>
+  (theme === 'high-contrast' && HIGH_CONTRAST_RISK_COLORS[result.level]) || result.color;
+
+// The system asks for more contrast (or forces its own colours)
+export const prefersHighContrast = () =>
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+  (window.matchMedia('(prefers-contrast: more)').matches || window.matchMedia('(forced-colors: active)').matches);
+
+// The first of `themes` that is one, else the system's contrast preference
+export const resolveTheme = (...themes) =>
+  themes.find(isTheme) ?? (prefersHighContrast() ? 'high-contrast' : DEFAULT_THEME);
@@ -0,0 +1,79 @@
+// Helpers for feeding a recorded video file through the analysis pipeline.
+//
+// Replay steps through the file by seeking rather than playing it, so every
+// frame is analysed regardless of how fast FaceMesh runs on this device, and
+// each frame is stamped with the video's own media time.
+
+// Analysis rate used when stepping through a file (frames per video second)
+export const REPLAY_FPS = 30;
+
+export const ACCEPTED_VIDEO_TYPES = 'video/mp4,video/webm';
+
+// `code` is 'unsupported' (the browser can't decode the file) or
+// 'unreadable' (it opened but couldn't be read through); the recording
+// screen shows the matching `camera.video*` message from the locale catalogs
+export class VideoError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'VideoError';
+    this.code = code;
+  }
+}
+
+// Resolve once the video has finished seeking to `time` (seconds)
+export const seekTo = (video, time) => new Promise((resolve, reject) => {
+  if (Math.abs(video.currentTime - time) < 1e-6 && video.readyState >= 2) {
+    resolve();
+    return;
+  }
+
+  const onSeeked = () => {
+    video.removeEventListener('error', onError);
+    resolve();
+  };
+  const onError = () => {
+    video.removeEventListener('seeked', onSeeked);
+    reject(new VideoError('unreadable', 'Video seek failed'));
+  };
+  video.addEventListener('seeked', onSeeked, { once: true });
+  video.addEventListener('error', onError, { once: true });
+  video.currentTime = time;
+});
+
+// MediaRecorder webm files often report `Infinity` until the end has been
+// read once; seeking far past the end forces the browser to compute it.
+export const resolveDuration = async (video) => {
+  if (Number.isFinite(video.duration)) return video.duration;
+
+  await seekTo(video, Number.MAX_SAFE_INTEGER);
+  const { duration } = video;
+  await seekTo(video, 0);
+  return Number.isFinite(duration) ? duration : video.currentTime;
+};
+
+// Point a <video> element at a local file. Resolves with the object URL
+// (revoke it when done) and the file's duration in seconds.
+export const openVideoFile = (video, file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+
+  const onError = () => {
+    URL.revokeObjectURL(url);
+    reject(new VideoError('unsupported', `Unable to open ${file.name}. Use an MP4 or WebM video.`));
+  };
+
+  video.addEventListener('loadeddata', async () => {
+    video.removeEventListener('error', onError);
+    try {
+      const duration = await resolveDuration(video);
+      resolve({ url, duration });
+    } catch (err) {
+      URL.revokeObjectURL(url);
+      reject(err);
+    }
+  }, { once: true });
+  video.addEventListener('error', onError, { once: true });
+
+  video.muted = true;
+  video.src = url;
+  video.load();
+});
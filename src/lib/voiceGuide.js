@@ -0,0 +1,89 @@
+// Voice guidance: spoken instructions and countdown tones for users who
+// can't follow the screen.
+//
+// Speech goes through the Web Speech API (speechSynthesis) in the
+// session's language, slightly slower than the default rate. Cues are
+// short sine tones from Web Audio, so nothing needs to be bundled:
+//   tick  each of the last seconds of a lead-in
+//   go    the task starts
+//   done  the recording has finished
+// Browsers only start audio after a user gesture, so call prime() from one
+// (the Start button) before the first cue.
+
+export const VOICE_RATE = 0.9;
+
+const CUES = {
+  tick: { frequency: 660, duration: 0.08 },
+  go: { frequency: 990, duration: 0.2 },
+  done: { frequency: 440, duration: 0.35 }
+};
+
+const CUE_GAIN = 0.2;
+
+export const supportsVoiceGuide = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+
+// `locale` is a BCP 47 tag (see i18n.js). Every method is a no-op where
+// speech or audio isn't available.
+export const createVoiceGuide = ({ locale = 'en' } = {}) => {
+  const synth = supportsVoiceGuide() ? window.speechSynthesis : null;
+  const AudioContextClass = typeof window === 'undefined' ? null : window.AudioContext ?? window.webkitAudioContext;
+  let audio = null;
+
+  // The locale's own voice, else one for its language
+  const pickVoice = () => {
+    const voices = synth?.getVoices() ?? [];
+    const language = locale.split('-')[0].toLowerCase();
+    return voices.find((voice) => voice.lang.toLowerCase() === locale.toLowerCase()) ??
+      voices.find((voice) => voice.lang.toLowerCase().split(/[-_]/)[0] === language) ??
+      null;
+  };
+
+  return {
+    // Unlocks audio; call from a user gesture
+    prime() {
+      if (!audio && AudioContextClass) audio = new AudioContextClass();
+      audio?.resume?.();
+    },
+
+    // Speaks `text`, by default cutting off whatever is being said
+    speak(text, { interrupt = true } = {}) {
+      if (!synth || !text) return;
+      if (interrupt) synth.cancel();
+      const utterance = new window.SpeechSynthesisUtterance(text);
+      utterance.lang = locale;
+      utterance.voice = pickVoice();
+      utterance.rate = VOICE_RATE;
+      synth.speak(utterance);
+    },
+
+    // Stops speaking, e.g. before the microphone records
+    cancel() {
+      synth?.cancel();
+    },
+
+    // Plays a cue (see CUES), `delaySec` from now
+    cue(name, delaySec = 0) {
+      const cue = CUES[name];
+      if (!cue || !audio || audio.state === 'closed') return;
+      const start = audio.currentTime + delaySec;
+      const oscillator = audio.createOscillator();
+      const gain = audio.createGain();
+      oscillator.frequency.value = cue.frequency;
+      // Short ramps either side so the tone doesn't click
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(CUE_GAIN, start + 0.01);
+      gain.gain.setValueAtTime(CUE_GAIN, start + cue.duration - 0.02);
+      gain.gain.linearRampToValueAtTime(0, start + cue.duration);
+      oscillator.connect(gain).connect(audio.destination);
+      oscillator.start(start);
+      oscillator.stop(start + cue.duration);
+    },
+
+    dispose() {
+      synth?.cancel();
+      audio?.close();
+      audio = null;
+    }
+  };
+};
@@ -0,0 +1,73 @@
+// Minimal WAV (RIFF) reader, so speech analysis (speech.js) can run on
+// recorded fixtures offline.
+//
+// Reads PCM 8/16/24/32-bit integer and 32-bit float files, mixing all
+// channels down to mono. Pure ArrayBuffer work, so it runs in Node as well
+// as in the browser.
+
+const tag = (view, offset) =>
+  String.fromCharCode(...[0, 1, 2, 3].map((i) => view.getUint8(offset + i)));
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+// `{ samples: Float32Array (-1..1, mono), sampleRate }` from a WAV file's
+// bytes (ArrayBuffer or typed array, e.g. a Node Buffer). Throws on
+// anything that isn't an uncompressed WAV.
+export const decodeWav = (bytes) => {
+  const view = ArrayBuffer.isView(bytes)
+    ? new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    : new DataView(bytes);
+  if (view.byteLength < 12 || tag(view, 0) !== 'RIFF' || tag(view, 8) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= view.byteLength;) {
+    const id = tag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let code = view.getUint16(body, true);
+      if (code === FORMAT_EXTENSIBLE && size >= 26) code = view.getUint16(body + 24, true);
+      format = {
+        code,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data') {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+    offset = body + size + (size % 2); // chunks are word-aligned
+  }
+  if (!format || !data) throw new Error('WAV file has no fmt or data chunk');
+
+  const { code, channels, sampleRate, bits } = format;
+  const width = bits / 8;
+  if (!(code === FORMAT_PCM && [8, 16, 24, 32].includes(bits)) && !(code === FORMAT_FLOAT && bits === 32)) {
+    throw new Error(`Unsupported WAV encoding (format ${code}, ${bits}-bit)`);
+  }
+
+  const read = (at) => {
+    if (code === FORMAT_FLOAT) return view.getFloat32(at, true);
+    switch (bits) {
+      case 8: return (view.getUint8(at) - 128) / 128;
+      case 16: return view.getInt16(at, true) / 32768;
+      case 24: return (((view.getUint8(at + 2) << 24) | (view.getUint8(at + 1) << 16) | (view.getUint8(at) << 8)) >> 8) / 8388608;
+      default: return view.getInt32(at, true) / 2147483648;
+    }
+  };
+
+  const frames = Math.floor(data.size / (width * channels));
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read(data.offset + (i * channels + c) * width);
+    samples[i] = sum / channels;
+  }
+  return { samples, sampleRate };
+};
+
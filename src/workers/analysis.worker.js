@@ -0,0 +1,104 @@
+// Analysis worker: FaceLandmarker inference, the overlay and all signal
+// processing for one recording screen, off the main thread. Driven by
+// lib/analysisEngine.js.
+//
+// Requests carry an `id` and are answered with `{ type: 'reply', id,
+// result | error }`, strictly in the order they arrive:
+//   init    { assetBase, canvas, overlay }
+//                                  canvas: the preview's OffscreenCanvas,
+//                                  overlay: its starting mode (overlay.js)
+//   frame   { t, image, coach }    VideoFrame or ImageBitmap (transferred)
+//           → { face, position? }  position only with `coach`
+//   start   { capture }            new session, calibration frames follow
+//   begin                          → { calibrated, baseline }
+//   task    { task, durationSec }  task receiving frames, null for lead-ins
+//   pause   { reason }             suspend the recording ('user' | 'face-lost')
+//   resume                         continue the recording
+//   overlay { mode }               switch the overlay mode
+//   finish  { model }              → { result, capture }
+// Unprompted: `{ type: 'event', event: 'quality-warning' | 'live', payload }`.
+
+import { loadFaceLandmarker } from '../lib/faceLandmarker';
+import { createFrameProcessor } from '../lib/frameProcessor';
+import { createOverlayRenderer } from '../lib/overlay';
+import { createSessionAnalysis } from '../lib/sessionAnalysis';
+
+const emit = (event, payload) => self.postMessage({ type: 'event', event, payload });
+
+const analysis = createSessionAnalysis({
+  onWarning: (warning) => emit('quality-warning', warning),
+  onLive: (live) => emit('live', live)
+});
+const overlay = createOverlayRenderer();
+let processFrame = null;
+
+// The pipeline reads ImageBitmaps; VideoFrames are converted (and released)
+const toBitmap = async (image) => {
+  if (typeof VideoFrame !== 'undefined' && image instanceof VideoFrame) {
+    try {
+      return await createImageBitmap(image);
+    } finally {
+      image.close();
+    }
+  }
+  return image;
+};
+
+const handlers = {
+  async init({ assetBase, canvas, overlay: mode }) {
+    overlay.setMode(mode);
+    const landmarker = await loadFaceLandmarker({ assetBase });
+    processFrame = createFrameProcessor({ landmarker, canvas, overlay, analysis });
+  },
+
+  async frame({ t, image, coach }) {
+    const bitmap = await toBitmap(image);
+    try {
+      return await processFrame(bitmap, t, { coach });
+    } finally {
+      bitmap.close();
+    }
+  },
+
+  start({ capture }) {
+    analysis.start(capture);
+  },
+
+  begin() {
+    return analysis.begin();
+  },
+
+  task({ task, durationSec }) {
+    analysis.setTask(task, durationSec);
+  },
+
+  pause({ reason }) {
+    analysis.pause(reason);
+  },
+
+  resume() {
+    analysis.resume();
+  },
+
+  overlay({ mode }) {
+    overlay.setMode(mode);
+  },
+
+  finish({ model }) {
+    return analysis.finish(model);
+  }
+};
+
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  queue = queue.then(async () => {
+    try {
+      const result = await handlers[data.type](data);
+      self.postMessage({ type: 'reply', id: data.id, result });
+    } catch (err) {
+      console.error(`Analysis worker: ${data.type} failed:`, err);
+      self.postMessage({ type: 'reply', id: data.id, error: err.message });
+    }
+  });
+};
@@ -0,0 +1,117 @@
+// Blink detection on synthetic EAR traces (see fixtures/face.js).
+
+import { describe, expect, it } from 'vitest';
+import { syntheticFace } from './fixtures/face';
+import {
+  DEFAULT_OPEN_EAR,
+  LEFT_EYE_EAR,
+  RIGHT_EYE_EAR,
+  createBlinkDetector,
+  eyeAspectRatio
+} from '../src/lib/blinkDetector';
+
+const FRAME_MS = 33;
+const OPEN_EAR = 0.3;
+
+// Landmarks per EAR, so long traces don't rebuild the same face
+const faces = new Map();
+const faceWith = (ear) => {
+  if (!faces.has(ear)) faces.set(ear, syntheticFace({ ear }));
+  return faces.get(ear);
+};
+
+// Detector calibrated on a second of open eyes
+const calibratedDetector = () => {
+  const detector = createBlinkDetector();
+  for (let i = 0; i < 30; i++) detector.calibrate(faceWith(OPEN_EAR), 1);
+  detector.finishCalibration();
+  return detector;
+};
+
+// Runs `sec` of frames with the eyes open except for the `closures`
+// (`{ at, ms, ear }`, at in seconds), returning the blink events
+const runTrace = (detector, sec, closures, frameMs = FRAME_MS) => {
+  const blinks = [];
+  for (let t = 0; t < sec * 1000; t += frameMs) {
+    const closure = closures.find(({ at, ms }) => t >= at * 1000 && t < at * 1000 + ms);
+    const { blink } = detector.update(t, faceWith(closure?.ear ?? OPEN_EAR), 1);
+    if (blink) blinks.push(blink);
+  }
+  return blinks;
+};
+
+describe('eyeAspectRatio', () => {
+  it('reads the eye opening of the synthetic face', () => {
+    const face = syntheticFace({ ear: 0.25 });
+    expect(eyeAspectRatio(face, LEFT_EYE_EAR)).toBeCloseTo(0.25, 5);
+    expect(eyeAspectRatio(face, RIGHT_EYE_EAR)).toBeCloseTo(0.25, 5);
+  });
+
+  it('measures in square pixels', () => {
+    // A face squeezed to half width in a 2:1 frame has the same eyes
+    const face = syntheticFace({ ear: 0.25 }).map((point) => ({ ...point, x: 0.5 + (point.x - 0.5) / 2 }));
+    expect(eyeAspectRatio(face, LEFT_EYE_EAR, 2)).toBeCloseTo(0.25, 5);
+  });
+});
+
+describe('createBlinkDetector', () => {
+  it('calibrates to the open-eye EAR', () => {
+    expect(calibratedDetector().baseline).toBeCloseTo(OPEN_EAR, 5);
+  });
+
+  it('falls back to the default baseline without enough calibration frames', () => {
+    const detector = createBlinkDetector();
+    detector.calibrate(faceWith(OPEN_EAR), 1);
+    expect(detector.finishCalibration()).toBe(false);
+    expect(detector.baseline).toBe(DEFAULT_OPEN_EAR);
+  });
+
+  it('counts full blinks with their duration', () => {
+    const blinks = runTrace(calibratedDetector(), 10, [
+      { at: 1, ms: 150, ear: 0.05 },
+      { at: 4, ms: 200, ear: 0.05 },
+      { at: 7.5, ms: 100, ear: 0.02 }
+    ]);
+    expect(blinks).toHaveLength(3);
+    expect(blinks.every((blink) => blink.complete)).toBe(true);
+    // Closed from the first frame below the threshold to the first above
+    blinks.forEach((blink, i) => {
+      expect(blink.duration).toBeGreaterThanOrEqual([150, 200, 100][i] - FRAME_MS);
+      expect(blink.duration).toBeLessThanOrEqual([150, 200, 100][i] + FRAME_MS);
+    });
+    expect(blinks[0].amplitude).toBeCloseTo(1 - 0.05 / OPEN_EAR, 5);
+  });
+
+  it('marks blinks whose lids stop half-way as incomplete', () => {
+    const blinks = runTrace(calibratedDetector(), 5, [
+      { at: 1, ms: 150, ear: 0.15 },
+      { at: 3, ms: 150, ear: 0.05 }
+    ]);
+    expect(blinks.map((blink) => blink.complete)).toEqual([false, true]);
+  });
+
+  it('ignores shallow dips, flickers and long closures', () => {
+    const blinks = runTrace(calibratedDetector(), 8, [
+      { at: 1, ms: 200, ear: 0.22 },  // above 0.65 of the baseline
+      { at: 3, ms: 30, ear: 0.05 },   // one frame
+      { at: 5, ms: 800, ear: 0.05 }   // eyes shut on purpose
+    ]);
+    expect(blinks).toEqual([]);
+  });
+
+  it('drops a closure that frames went missing from', () => {
+    const detector = calibratedDetector();
+    detector.update(0, faceWith(OPEN_EAR), 1);
+    detector.update(33, faceWith(0.05), 1);
+    // 300 ms without frames, then the eye is open again
+    expect(detector.update(333, faceWith(0.05), 1).blink).toBeNull();
+    expect(detector.update(366, faceWith(OPEN_EAR), 1).blink).toBeNull();
+  });
+
+  it('counts the same blinks at any frame rate', () => {
+    const closures = [1, 2.5, 4, 5.5].map((at) => ({ at, ms: 180, ear: 0.05 }));
+    for (const frameMs of [16, 33, 66]) {
+      expect(runTrace(calibratedDetector(), 7, closures, frameMs)).toHaveLength(4);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+// Blink kinematics from known blink events.
+
+import { describe, expect, it } from 'vitest';
+import { computeBlinkMetrics } from '../src/lib/blinkMetrics';
+
+// Blink starting at `start` s, lasting `ms`
+const blink = (start, ms = 150, { complete = true, segment = 0, epoch = 0 } = {}) => ({
+  start: start * 1000,
+  end: start * 1000 + ms,
+  duration: ms,
+  amplitude: complete ? 0.8 : 0.5,
+  complete,
+  segment,
+  task: 'rest',
+  epoch
+});
+
+describe('computeBlinkMetrics', () => {
+  it('summarises durations, intervals and incomplete blinks', () => {
+    const metrics = computeBlinkMetrics([
+      blink(1, 100),
+      blink(3, 200, { complete: false }),
+      blink(5, 150),
+      blink(9, 250)
+    ]);
+    expect(metrics.count).toBe(4);
+    expect(metrics.durationMean).toBeCloseTo(175, 5);
+    expect(metrics.durationMedian).toBeCloseTo(175, 5);
+    // SD of 100, 200, 150, 250 (sample)
+    expect(metrics.durationSd).toBeCloseTo(Math.sqrt(12500 / 3), 5);
+    // Intervals 2, 2 and 4 s
+    expect(metrics.ibiMean).toBeCloseTo(8 / 3, 5);
+    expect(metrics.ibiCv).toBeCloseTo(Math.sqrt(4 / 3) / (8 / 3), 5);
+    expect(metrics.incompleteRatio).toBe(0.25);
+    expect(metrics.events).toHaveLength(4);
+  });
+
+  it('gives regular blinking a zero interval CV', () => {
+    const metrics = computeBlinkMetrics([1, 4, 7, 10].map((start) => blink(start)));
+    expect(metrics.ibiMean).toBeCloseTo(3, 5);
+    expect(metrics.ibiCv).toBeCloseTo(0, 5);
+  });
+
+  it('takes no interval across task runs or pauses', () => {
+    const metrics = computeBlinkMetrics([
+      blink(1), blink(3),
+      blink(20, 150, { segment: 1 }), blink(22, 150, { segment: 1 }),
+      blink(40, 150, { segment: 1, epoch: 1 }), blink(42, 150, { segment: 1, epoch: 1 })
+    ]);
+    expect(metrics.ibiMean).toBeCloseTo(2, 5);
+    expect(metrics.ibiCv).toBeCloseTo(0, 5);
+  });
+
+  it('returns null for statistics it has too few blinks for', () => {
+    expect(computeBlinkMetrics([])).toMatchObject({
+      count: 0,
+      durationMean: null,
+      durationMedian: null,
+      durationSd: null,
+      ibiMean: null,
+      ibiCv: null,
+      incompleteRatio: null
+    });
+    const one = computeBlinkMetrics([blink(1, 120)]);
+    expect(one.durationMean).toBe(120);
+    expect(one.durationSd).toBeNull();
+    expect(one.ibiMean).toBeNull();
+  });
+});
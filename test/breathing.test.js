@@ -0,0 +1,68 @@
+// Breathing rate on synthetic head-bob traces with a known rate.
+
+import { describe, expect, it } from 'vitest';
+import { seededRandom, syntheticFace } from './fixtures/face';
+import { breathingSample, estimateBreathingRate, estimateLiveBreathingRate } from '../src/lib/breathing';
+
+// `sec` of breathing samples at about 30 fps: head height (eye distances)
+// bobbing at `rate` breaths/min by `depth`, with tracking jitter. `speaking`
+// marks every sample as taken while reading aloud.
+const breathTrace = ({ sec = 60, rate = 15, depth = 0.01, jitter = 0.004, speaking = false, seed = 1 } = {}) => {
+  const random = seededRandom(seed);
+  const samples = [];
+  for (let t = 0; t < sec * 1000; t += 30 + random() * 6) {
+    const y = 2.5 + depth * Math.sin((2 * Math.PI * rate * t) / 60000) + (random() - 0.5) * 2 * jitter;
+    samples.push({ t, y, aperture: 0.05, speaking });
+  }
+  return samples;
+};
+
+describe('breathingSample', () => {
+  it('measures head height in eye distances', () => {
+    // Outer eye corners 0.2 apart: a 0.01 drop of the face is 0.05
+    const level = breathingSample(0, syntheticFace(), 1);
+    const lower = breathingSample(0, syntheticFace({ offset: { x: 0, y: 0.01 } }), 1);
+    expect(lower.y - level.y).toBeCloseTo(0.05, 6);
+    expect(level.speaking).toBe(false);
+  });
+});
+
+describe('estimateBreathingRate', () => {
+  it.each([8, 15, 24, 36])('recovers %i breaths a minute', (rate) => {
+    const { breathingRate, quality } = estimateBreathingRate(breathTrace({ rate }));
+    expect(quality.status).toBe('ok');
+    expect(breathingRate).toBeGreaterThan(rate - 1);
+    expect(breathingRate).toBeLessThan(rate + 1);
+    expect(quality.confidence).toBeGreaterThan(0.6);
+  });
+
+  it('halves the confidence of a reading taken while speaking', () => {
+    const quiet = estimateBreathingRate(breathTrace());
+    const speaking = estimateBreathingRate(breathTrace({ speaking: true }));
+    expect(speaking.quality.speechOnly).toBe(true);
+    expect(speaking.breathingRate).toBeCloseTo(quiet.breathingRate, 5);
+    expect(speaking.quality.confidence).toBeCloseTo(quiet.quality.confidence / 2, 5);
+  });
+
+  it('reports no reading without breathing', () => {
+    const { breathingRate, quality } = estimateBreathingRate(breathTrace({ depth: 0 }));
+    expect(breathingRate).toBeNull();
+    expect(quality.status).not.toBe('ok');
+  });
+
+  it('leaves out windows with large head movements', () => {
+    const { breathingRate, quality } = estimateBreathingRate(breathTrace({ depth: 0.3 }));
+    expect(breathingRate).toBeNull();
+    expect(quality.status).toBe('insufficient-data');
+  });
+});
+
+describe('estimateLiveBreathingRate', () => {
+  it('reads the latest window once it is nearly full', () => {
+    const samples = breathTrace({ sec: 22, rate: 20 });
+    expect(estimateLiveBreathingRate(samples.filter((s) => s.t < 15000))).toBeNull();
+    const { bpm } = estimateLiveBreathingRate(samples);
+    expect(bpm).toBeGreaterThan(19);
+    expect(bpm).toBeLessThan(21);
+  });
+});
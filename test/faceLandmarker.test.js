@@ -0,0 +1,42 @@
+// Face model loader: a landmarker that arrives after the timeout is closed.
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const LOAD_MS = 30000;
+const landmarker = { close: vi.fn() };
+
+vi.mock('@mediapipe/tasks-vision', () => ({
+  FilesetResolver: { forVisionTasks: async () => ({}) },
+  FaceLandmarker: {
+    createFromOptions: () => new Promise((resolve) => setTimeout(() => resolve(landmarker), LOAD_MS))
+  }
+}));
+
+const { loadFaceLandmarker } = await import('../src/lib/faceLandmarker');
+
+describe('loadFaceLandmarker', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    landmarker.close.mockClear();
+  });
+
+  it('closes a landmarker that finishes loading after the timeout', async () => {
+    vi.useFakeTimers();
+    const loading = loadFaceLandmarker({ timeoutMs: 1000 });
+    const rejected = expect(loading).rejects.toThrow('did not load within 1 seconds');
+    await vi.advanceTimersByTimeAsync(1000);
+    await rejected;
+    expect(landmarker.close).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(LOAD_MS);
+    expect(landmarker.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('hands over a landmarker that loads in time', async () => {
+    vi.useFakeTimers();
+    const loading = loadFaceLandmarker({ timeoutMs: LOAD_MS * 2 });
+    await vi.advanceTimersByTimeAsync(LOAD_MS);
+    await expect(loading).resolves.toBe(landmarker);
+    expect(landmarker.close).not.toHaveBeenCalled();
+  });
+});
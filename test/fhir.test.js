@@ -0,0 +1,77 @@
+// FHIR export: a Bundle made with default options must satisfy the R4
+// cardinalities of every resource in it.
+
+import { describe, expect, it } from 'vitest';
+import { FHIR_UNKNOWN_SUBJECT, toFhirBundle } from '../src/lib/fhir';
+
+const RESULT = {
+  status: 'complete',
+  level: 'Medium',
+  percentage: 32,
+  model: { id: 'facial-banded', version: '1.0.0', type: 'banded' },
+  session: { startedAt: '2026-01-05T10:00:00.000Z' },
+  details: { blinkRate: 12.4, motion: 1.8, asymmetry: 0.031, blendshapes: { expressivity: 0.12, asymmetry: 0.08 } },
+  vitals: {
+    breathingRate: 14.2,
+    breathingRateQuality: { status: 'good', confidence: 0.8 },
+    heartRate: null,
+    heartRateQuality: { status: 'poor', sqi: 0.2 }
+  }
+};
+
+// Elements with a minimum cardinality of 1 in FHIR R4, by resource type
+const REQUIRED = {
+  Observation: ['status', 'code', 'subject'],
+  RiskAssessment: ['status', 'subject'],
+  Device: [],
+  Provenance: ['target', 'recorded', 'agent']
+};
+
+const isReference = (value) =>
+  value !== null && typeof value === 'object' && (typeof value.reference === 'string' || value.identifier);
+
+describe('toFhirBundle', () => {
+  it('exports a valid Bundle without a configured subject', () => {
+    const bundle = toFhirBundle(RESULT);
+    expect(bundle.resourceType).toBe('Bundle');
+    expect(bundle.type).toBe('collection');
+
+    const fullUrls = new Set(bundle.entry.map((entry) => entry.fullUrl));
+    expect(fullUrls.size).toBe(bundle.entry.length);
+
+    for (const { fullUrl, resource } of bundle.entry) {
+      expect(fullUrl).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+      const required = REQUIRED[resource.resourceType];
+      expect(required, resource.resourceType).toBeDefined();
+      for (const element of required) {
+        expect(resource[element], `${resource.resourceType}.${element}`).toBeDefined();
+        expect(resource[element], `${resource.resourceType}.${element}`).not.toBeNull();
+      }
+      if ('subject' in resource) expect(isReference(resource.subject)).toBe(true);
+      if (resource.resourceType === 'Observation') {
+        // value[x] or dataAbsentReason, never both (obs-6)
+        expect(Boolean(resource.valueQuantity) !== Boolean(resource.dataAbsentReason)).toBe(true);
+      }
+      if (resource.resourceType === 'Provenance') {
+        for (const agent of resource.agent) expect(isReference(agent.who)).toBe(true);
+        for (const target of resource.target) expect(fullUrls.has(target.reference)).toBe(true);
+      }
+    }
+
+    const risk = bundle.entry.find((entry) => entry.resource.resourceType === 'RiskAssessment').resource;
+    expect(risk.subject).toEqual(FHIR_UNKNOWN_SUBJECT);
+    for (const basis of risk.basis) expect(fullUrls.has(basis.reference)).toBe(true);
+  });
+
+  it('uses the configured subject on every resource that has one', () => {
+    const subject = { reference: 'Patient/123' };
+    const bundle = toFhirBundle(RESULT, { subject });
+    const subjects = bundle.entry.map((entry) => entry.resource.subject).filter(Boolean);
+    expect(subjects).toHaveLength(8);
+    for (const value of subjects) expect(value).toEqual(subject);
+  });
+
+  it('refuses results without a score', () => {
+    expect(() => toFhirBundle({ ...RESULT, status: 'inconclusive' })).toThrow();
+  });
+});
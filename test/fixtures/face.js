@@ -0,0 +1,124 @@
+// Synthetic faces and frames for the analysis tests.
+//
+// A face is 478 normalised landmarks (MediaPipe layout) built in a
+// face-centred frame - x across the image, y up, z towards the camera, the
+// outer eye corners 0.2 apart - then rotated by the given head pose and
+// placed in the middle of a square image. The eye contours, eye corners,
+// nose and forehead sit where a frontal face has them, so the eye aspect
+// ratio and the head pose come out as asked; every other landmark is a
+// fixed pseudo-random point on the face.
+
+import { LEFT_EYE_EAR, RIGHT_EYE_EAR } from '../../src/lib/blinkDetector';
+
+const LANDMARK_COUNT = 478;
+const EYE_WIDTH = 0.06;
+const DEG = Math.PI / 180;
+
+// Seeded uniform random numbers in [0, 1)
+export const seededRandom = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+const layoutRandom = seededRandom(42);
+const LAYOUT = Array.from({ length: LANDMARK_COUNT }, () => [
+  (layoutRandom() - 0.5) * 0.3,
+  (layoutRandom() - 0.5) * 0.38 - 0.01,
+  layoutRandom() * 0.02
+]);
+
+// Midline from the forehead down to the nose tip, which stands out
+const MIDLINE = { 10: [0, 0.15, 0], 151: [0, 0.12, 0.005], 9: [0, 0.08, 0.01], 8: [0, 0.05, 0.015],
+  168: [0, 0.02, 0.02], 6: [0, -0.01, 0.025], 197: [0, -0.03, 0.03], 195: [0, -0.05, 0.035],
+  5: [0, -0.07, 0.04], 4: [0, -0.09, 0.045], 1: [0, -0.1, 0.05] };
+
+// Six-point eye contour from `outer` to `inner` corner x, lids apart by
+// `ear` eye widths
+const eyeContour = (indices, fromX, toX, ear) => {
+  const [p1, p2, p3, p4, p5, p6] = indices;
+  const step = (toX - fromX) / 3;
+  const lid = (ear * EYE_WIDTH) / 2;
+  return {
+    [p1]: [fromX, 0, 0],
+    [p2]: [fromX + step, lid, 0],
+    [p3]: [fromX + 2 * step, lid, 0],
+    [p4]: [toX, 0, 0],
+    [p5]: [fromX + 2 * step, -lid, 0],
+    [p6]: [fromX + step, -lid, 0]
+  };
+};
+
+// Yaw (+ turns the face to image right), pitch (+ looks up) and roll (+
+// counter-clockwise in the image), in degrees
+const rotation = ({ yaw, pitch, roll }) => {
+  const [cy, sy] = [Math.cos(yaw * DEG), Math.sin(yaw * DEG)];
+  const [cp, sp] = [Math.cos(pitch * DEG), Math.sin(pitch * DEG)];
+  const [cr, sr] = [Math.cos(roll * DEG), Math.sin(roll * DEG)];
+  return ([x, y, z]) => {
+    // yaw about y, then pitch about x, then roll about z
+    const x1 = cy * x + sy * z;
+    const z1 = -sy * x + cy * z;
+    const y2 = cp * y + sp * z1;
+    const z2 = -sp * y + cp * z1;
+    return [cr * x1 - sr * y2, sr * x1 + cr * y2, z2];
+  };
+};
+
+// Landmarks of one frame. `ear` is the eye aspect ratio of both eyes,
+// `jitter` the amplitude of the per-landmark noise (from `random`) and
+// `offset` a shift of the whole face in image units.
+export const syntheticFace = ({
+  ear = 0.3,
+  yaw = 0,
+  pitch = 0,
+  roll = 0,
+  jitter = 0,
+  random = Math.random,
+  offset = { x: 0, y: 0 }
+} = {}) => {
+  const points = LAYOUT.map((point) => [...point]);
+  Object.assign(points, MIDLINE,
+    eyeContour(LEFT_EYE_EAR, -0.1, -0.04, ear),
+    eyeContour(RIGHT_EYE_EAR, 0.04, 0.1, ear));
+  const rotate = rotation({ yaw, pitch, roll });
+  return points.map((point) => {
+    const [x, y, z] = rotate(point);
+    return {
+      x: 0.5 + offset.x + x + (random() - 0.5) * jitter,
+      y: 0.5 + offset.y - y + (random() - 0.5) * jitter,
+      z: -z
+    };
+  });
+};
+
+// Square frame the landmarks above are normalised to (aspect 1)
+export const FRAME = { width: 480, height: 480 };
+
+// Stand-in for OffscreenCanvas, whose pixels are evenly lit noise: bright,
+// contrasted and sharp enough to pass the frame-quality checks
+const noiseRandom = seededRandom(7);
+const NOISE = Uint8ClampedArray.from({ length: 1 << 20 }, (_, i) => (i % 4 === 3 ? 255 : 70 + noiseRandom() * 120));
+
+export class NoiseCanvas {
+  constructor(width = 1, height = 1) {
+    this.width = width;
+    this.height = height;
+    this.offset = 0;
+  }
+
+  getContext() {
+    return {
+      drawImage: () => {},
+      getImageData: (x, y, width, height) => {
+        const length = width * height * 4;
+        if (this.offset + length > NOISE.length) this.offset = 0;
+        const data = NOISE.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return { data };
+      }
+    };
+  }
+}
@@ -0,0 +1,90 @@
+// Writes the synthetic WAV fixtures used by test/speech.test.js:
+//
+//   steady-tone.wav    1.2 s at a steady 150 Hz
+//   pitch-glide.wav    1.2 s gliding 120 -> 240 Hz (one octave, even in semitones)
+//   speech-pauses.wav  five 0.4 s bursts at 150 Hz, with gaps of 0.5, 0.15,
+//                      0.4 and 0.15 s
+//
+// The voice is eight harmonics at 1/k amplitude, scaled so the sum stays
+// under 0.1 (-20 dBFS; about -30 dBFS RMS), with 10 ms fades. It sits on
+// seeded noise at about -66 dBFS, with 0.3 s of noise alone at both ends so
+// the noise floor can be measured. 16 kHz mono 16-bit PCM.
+//
+//   node test/fixtures/speech/generate.mjs
+
+import { writeFileSync } from 'node:fs';
+
+const RATE = 16000;
+const LEAD_SEC = 0.3;
+const FADE_SEC = 0.01;
+const HARMONICS = 8;
+const PEAK = 0.1;
+const NOISE = 0.0005;      // ~-66 dBFS RMS
+
+// Deterministic uniform noise (LCG), so regenerated files are identical
+const noise = (() => {
+  let state = 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return (state / 2 ** 32 - 0.5) * NOISE * Math.sqrt(12);
+  };
+})();
+
+const norm = Array.from({ length: HARMONICS }, (_, k) => 1 / (k + 1)).reduce((a, b) => a + b, 0);
+
+// Adds a voiced segment at `startSec` following `hz(t)` into `out`
+const addVoice = (out, startSec, lengthSec, hz) => {
+  const start = Math.round(startSec * RATE);
+  const length = Math.round(lengthSec * RATE);
+  const fade = Math.round(FADE_SEC * RATE);
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    phase += (2 * Math.PI * hz(i / RATE)) / RATE;
+    let value = 0;
+    for (let k = 1; k <= HARMONICS; k++) value += Math.sin(k * phase) / k;
+    const gain = Math.min(1, i / fade, (length - 1 - i) / fade);
+    out[start + i] += (PEAK / norm) * gain * value;
+  }
+};
+
+const render = (voicedSec, segments) => {
+  const out = new Float64Array(Math.round((voicedSec + 2 * LEAD_SEC) * RATE));
+  for (let i = 0; i < out.length; i++) out[i] = noise();
+  for (const [start, length, hz] of segments) addVoice(out, LEAD_SEC + start, length, hz);
+  return out;
+};
+
+const toWav = (samples) => {
+  const bytes = Buffer.alloc(44 + samples.length * 2);
+  bytes.write('RIFF', 0);
+  bytes.writeUInt32LE(36 + samples.length * 2, 4);
+  bytes.write('WAVEfmt ', 8);
+  bytes.writeUInt32LE(16, 16);
+  bytes.writeUInt16LE(1, 20);           // PCM
+  bytes.writeUInt16LE(1, 22);           // mono
+  bytes.writeUInt32LE(RATE, 24);
+  bytes.writeUInt32LE(RATE * 2, 28);
+  bytes.writeUInt16LE(2, 32);
+  bytes.writeUInt16LE(16, 34);
+  bytes.write('data', 36);
+  bytes.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((value, i) => {
+    bytes.writeInt16LE(Math.round(Math.max(-1, Math.min(1, value)) * 32767), 44 + i * 2);
+  });
+  return bytes;
+};
+
+const steady = () => 150;
+const glide = (t) => 120 * 2 ** (t / 1.2);
+
+const bursts = [];
+let at = 0;
+for (const gap of [0.5, 0.15, 0.4, 0.15, null]) {
+  bursts.push([at, 0.4, steady]);
+  at += 0.4 + (gap ?? 0);
+}
+
+const dir = new URL('.', import.meta.url);
+writeFileSync(new URL('steady-tone.wav', dir), toWav(render(1.2, [[0, 1.2, steady]])));
+writeFileSync(new URL('pitch-glide.wav', dir), toWav(render(1.2, [[0, 1.2, glide]])));
+writeFileSync(new URL('speech-pauses.wav', dir), toWav(render(at, bursts)));
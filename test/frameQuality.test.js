@@ -0,0 +1,39 @@
+// Live quality warnings from createQualityMonitor.
+
+import { describe, expect, it } from 'vitest';
+import { createQualityMonitor } from '../src/lib/frameQuality';
+
+const FRAME_MS = 33;
+
+// A frame with a face whose `failing` checks didn't pass
+const frameWith = (...failing) => ({
+  face: true,
+  ok: failing.length === 0,
+  checks: Object.fromEntries(['confidence', 'brightness', 'contrast', 'sharpness', 'pose']
+    .map((check) => [check, !failing.includes(check)]))
+});
+
+// Feeds `frame` every FRAME_MS from `from` to `to` ms, collecting the
+// warnings' codes
+const feed = (monitor, frame, from, to) => {
+  const codes = [];
+  for (let t = from; t < to; t += FRAME_MS) {
+    const warning = monitor.update(t, frame);
+    if (warning) codes.push(warning.code);
+  }
+  return codes;
+};
+
+describe('createQualityMonitor', () => {
+  it('warns about every failing check, each at most once per cooldown', () => {
+    const monitor = createQualityMonitor();
+    const frame = frameWith('brightness', 'contrast');
+    expect(feed(monitor, frame, 0, 4000)).toEqual(['brightness', 'contrast']);
+    expect(feed(monitor, frame, 4000, 7000)).toEqual(['brightness', 'contrast']);
+  });
+
+  it('stays quiet while the frames pass', () => {
+    const monitor = createQualityMonitor();
+    expect(feed(monitor, frameWith(), 0, 4000)).toEqual([]);
+  });
+});
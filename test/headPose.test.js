@@ -0,0 +1,77 @@
+// Head pose and canonical alignment on synthetic faces with a known
+// rotation (see fixtures/face.js).
+
+import { describe, expect, it } from 'vitest';
+import { syntheticFace } from './fixtures/face';
+import { POSE_LIMITS, createFaceAligner, estimatePose, poseWithinLimits } from '../src/lib/headPose';
+
+// Largest coordinate difference between two landmark lists
+const maxDifference = (a, b) => Math.max(...a.map((point, i) =>
+  Math.max(Math.abs(point.x - b[i].x), Math.abs(point.y - b[i].y), Math.abs(point.z - b[i].z))));
+
+describe('estimatePose', () => {
+  it('reads a frontal face as zero', () => {
+    const pose = estimatePose(syntheticFace());
+    expect(pose.yaw).toBeCloseTo(0, 5);
+    expect(pose.pitch).toBeCloseTo(0, 5);
+    expect(pose.roll).toBeCloseTo(0, 5);
+  });
+
+  it.each([
+    ['yaw', 20],
+    ['yaw', -35],
+    ['pitch', 15],
+    ['pitch', -20],
+    ['roll', 10],
+    ['roll', -25]
+  ])('recovers a %s of %i degrees', (axis, degrees) => {
+    const pose = estimatePose(syntheticFace({ [axis]: degrees }));
+    expect(pose[axis]).toBeCloseTo(degrees, 5);
+    for (const other of ['yaw', 'pitch', 'roll'].filter((name) => name !== axis)) {
+      expect(pose[other]).toBeCloseTo(0, 5);
+    }
+  });
+
+  it('undoes the per-axis normalisation of a wide frame', () => {
+    // The same face in a 16:9 frame: x (and z, which shares its scale)
+    // shrink by the aspect ratio
+    const aspect = 16 / 9;
+    const wide = syntheticFace({ roll: 12 }).map(({ x, y, z }) => ({ x: 0.5 + (x - 0.5) / aspect, y, z: z / aspect }));
+    expect(estimatePose(wide, aspect).roll).toBeCloseTo(12, 5);
+  });
+});
+
+describe('poseWithinLimits', () => {
+  it('accepts poses up to the limits', () => {
+    expect(poseWithinLimits({ yaw: POSE_LIMITS.yaw, pitch: -POSE_LIMITS.pitch, roll: 0 })).toBe(true);
+    expect(poseWithinLimits({ yaw: 0, pitch: 0, roll: POSE_LIMITS.roll + 1 })).toBe(false);
+  });
+});
+
+describe('createFaceAligner', () => {
+  it('maps a moved and rotated face back onto the template', () => {
+    const aligner = createFaceAligner();
+    const template = aligner.align(syntheticFace()).aligned;
+    const moved = aligner.align(syntheticFace({ yaw: 15, pitch: -10, roll: 20, offset: { x: 0.1, y: -0.05 } }));
+    expect(moved.withinLimits).toBe(true);
+    expect(maxDifference(moved.aligned, template)).toBeLessThan(1e-6);
+  });
+
+  it('keeps expression changes after alignment', () => {
+    const aligner = createFaceAligner();
+    const open = aligner.align(syntheticFace({ ear: 0.3 })).aligned;
+    const closed = aligner.align(syntheticFace({ ear: 0.1, roll: 15 })).aligned;
+    // Upper lid of the left eye (landmark 160) drops by 0.1 eye widths
+    expect(closed[160].y - open[160].y).toBeCloseTo(0.006, 4);
+  });
+
+  it('waits for a face within the limits before building its template', () => {
+    const aligner = createFaceAligner();
+    const turned = aligner.align(syntheticFace({ yaw: 45 }));
+    expect(turned.withinLimits).toBe(false);
+    expect(turned.aligned).toBeNull();
+    expect(aligner.ready).toBe(false);
+    aligner.align(syntheticFace({ yaw: 5 }));
+    expect(aligner.ready).toBe(true);
+  });
+});
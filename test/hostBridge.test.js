@@ -0,0 +1,179 @@
+// Host bridge: origin checks and config validation.
+
+import { describe, expect, it, vi } from 'vitest';
+import {
+  BRIDGE_PROTOCOL,
+  BRIDGE_VERSION,
+  BridgeError,
+  applyHostConfig,
+  createHostBridge,
+  describeConfig,
+  resolveHostOrigin
+} from '../src/lib/hostBridge';
+import { MAX_SESSION_SEC, PROTOCOLS } from '../src/lib/protocol';
+
+const HOST = 'https://portal.example.org';
+
+// A framed window: what the app posts to its parent, and a way to deliver
+// messages to it. `parent` is the framing page's origin as the browser
+// reports it (undefined when it doesn't).
+const framedWindow = (parent) => {
+  const listeners = [];
+  return {
+    parent: { postMessage: vi.fn() },
+    location: { ancestorOrigins: parent ? [parent] : [] },
+    document: { referrer: '', addEventListener: () => {}, removeEventListener: () => {} },
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: () => {},
+    deliver: (origin, message) => listeners.forEach((listener) => listener({ origin, data: message })),
+    listeners
+  };
+};
+
+const configMessage = (payload) => ({
+  protocol: BRIDGE_PROTOCOL,
+  version: BRIDGE_VERSION,
+  id: 'config-1',
+  type: 'config',
+  payload
+});
+
+describe('resolveHostOrigin', () => {
+  it('pins an allowed parent', () => {
+    expect(resolveHostOrigin([HOST, 'https://other.example.org'], framedWindow(HOST))).toBe(HOST);
+  });
+
+  it('stays off for a parent that is not allowed, whatever its URL says', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const win = framedWindow('https://attacker.example');
+    win.location.search = `?hostOrigin=${encodeURIComponent('https://attacker.example')}`;
+    expect(resolveHostOrigin([HOST], win)).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('https://attacker.example'));
+    warn.mockRestore();
+  });
+
+  it('falls back to the referrer, then to a single allowed origin', () => {
+    const win = framedWindow();
+    win.document.referrer = `${HOST}/patients/123`;
+    expect(resolveHostOrigin([HOST, 'https://other.example.org'], win)).toBe(HOST);
+    expect(resolveHostOrigin([HOST], framedWindow())).toBe(HOST);
+    expect(resolveHostOrigin([HOST, 'https://other.example.org'], framedWindow())).toBeNull();
+  });
+
+  it('stays off without an allowlist, for * or when not framed', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(resolveHostOrigin([], framedWindow(HOST))).toBeNull();
+    expect(resolveHostOrigin(['*'], framedWindow(HOST))).toBeNull();
+    const top = framedWindow(HOST);
+    top.parent = top;
+    expect(resolveHostOrigin([HOST], top)).toBeNull();
+    warn.mockRestore();
+  });
+});
+
+describe('createHostBridge', () => {
+  it('neither posts to nor listens to a framing page without a pinned origin', () => {
+    const win = framedWindow();
+    const onConfig = vi.fn(() => ({}));
+    const bridge = createHostBridge({ onConfig, targetOrigin: null, win });
+    bridge.complete({ status: 'complete' });
+    win.deliver('https://attacker.example', configMessage({ language: 'de' }));
+    expect(win.parent.postMessage).not.toHaveBeenCalled();
+    expect(onConfig).not.toHaveBeenCalled();
+    expect(bridge.hasHost).toBe(false);
+    bridge.dispose();
+  });
+
+  it('talks to the pinned origin only', () => {
+    const win = framedWindow();
+    const onConfig = vi.fn(() => ({ language: 'de' }));
+    const bridge = createHostBridge({ onConfig, targetOrigin: HOST, win });
+    expect(win.parent.postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'ready' }), HOST);
+
+    win.deliver('https://attacker.example', configMessage({ language: 'es' }));
+    expect(onConfig).not.toHaveBeenCalled();
+    win.deliver(HOST, configMessage({ language: 'de' }));
+    expect(onConfig).toHaveBeenCalledWith({ language: 'de' });
+    expect(win.parent.postMessage).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: 'config-applied', replyTo: 'config-1' }),
+      HOST
+    );
+    bridge.dispose();
+  });
+
+  it('stops tracking a completed message once its retries run out', async () => {
+    vi.useFakeTimers();
+    const win = framedWindow(HOST);
+    const bridge = createHostBridge({ onConfig: () => ({}), targetOrigin: HOST, win });
+    bridge.complete({ status: 'complete' });
+    expect(bridge.pendingCount).toBe(1);
+    await vi.advanceTimersByTimeAsync(60000);
+    const sent = win.parent.postMessage.mock.calls.filter(([message]) => message.type === 'completed');
+    expect(sent).toHaveLength(5);
+    expect(bridge.pendingCount).toBe(0);
+    bridge.dispose();
+    vi.useRealTimers();
+  });
+
+  it('stops retrying once the host acknowledges', async () => {
+    vi.useFakeTimers();
+    const win = framedWindow(HOST);
+    const bridge = createHostBridge({ onConfig: () => ({}), targetOrigin: HOST, win });
+    bridge.complete({ status: 'complete' });
+    const [[completed]] = win.parent.postMessage.mock.calls.filter(([message]) => message.type === 'completed');
+    win.deliver(HOST, { protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, id: 'ack-1', type: 'ack', replyTo: completed.id });
+    expect(bridge.pendingCount).toBe(0);
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(win.parent.postMessage.mock.calls.filter(([message]) => message.type === 'completed')).toHaveLength(1);
+    bridge.dispose();
+    vi.useRealTimers();
+  });
+});
+
+describe('applyHostConfig', () => {
+  const current = {
+    tasks: PROTOCOLS.standard,
+    language: 'en',
+    fhir: { subject: null, send: false }
+  };
+
+  it('merges a valid fhir config', () => {
+    const subject = { reference: 'Patient/123' };
+    expect(applyHostConfig(current, { fhir: { subject, send: true } }).fhir).toEqual({ subject, send: true });
+    expect(applyHostConfig(current, { fhir: { send: true } }).fhir).toEqual({ subject: null, send: true });
+  });
+
+  it.each([
+    ['a string', 'Patient/123'],
+    ['an array', [{ reference: 'Patient/123' }]],
+    ['null', null],
+    ['a non-boolean send', { send: 'yes' }],
+    ['a string subject', { subject: 'Patient/123' }],
+    ['an unknown option', { subjct: { reference: 'Patient/123' } }]
+  ])('rejects fhir as %s', (_, fhir) => {
+    expect(() => applyHostConfig(current, { fhir })).toThrow(BridgeError);
+  });
+
+  it('sums numeric task durations', () => {
+    const next = applyHostConfig(current, { tasks: [{ id: 'rest', durationSec: 5 }, { id: 'reading', durationSec: 12 }] });
+    expect(describeConfig({ ...next, model: {} }).durationSec).toBe(17);
+  });
+
+  it.each([
+    ['a string', '5'],
+    ['Infinity', Infinity],
+    ['NaN', NaN],
+    ['over the session limit', MAX_SESSION_SEC + 1]
+  ])('rejects a task duration as %s', (_, durationSec) => {
+    expect(() => applyHostConfig(current, { tasks: [{ id: 'rest', durationSec }] })).toThrow(BridgeError);
+  });
+
+  it('rejects tasks that add up to more than the session limit', () => {
+    const half = { id: 'rest', durationSec: MAX_SESSION_SEC / 2 };
+    expect(() => applyHostConfig(current, { tasks: [half, half, { id: 'reading', durationSec: 10 }] })).toThrow(BridgeError);
+  });
+
+  it('rejects a non-numeric total duration', () => {
+    expect(() => applyHostConfig(current, { durationSec: '60' })).toThrow(BridgeError);
+  });
+});
@@ -0,0 +1,75 @@
+// Heart rate (POS rPPG) on synthetic skin-colour traces with a known pulse.
+
+import { describe, expect, it } from 'vitest';
+import { seededRandom, syntheticFace } from './fixtures/face';
+import { estimateHeartRate, estimateLiveHeartRate, sampleSkinColor } from '../src/lib/rppg';
+
+// Relative strength of the pulse per channel: blood absorbs green most
+// (the normalised pulsatile signature POS projects onto)
+const PULSE_SIGNATURE = { r: 0.33, g: 0.77, b: 0.53 };
+const SKIN = { r: 170, g: 120, b: 100 };
+
+// `sec` of `{ t, r, g, b }` samples at about 30 fps (jittered timestamps)
+// with a pulse at `bpm` (0 for none) of `depth` relative amplitude, a slow
+// change in lighting and sensor noise
+const skinTrace = ({ sec = 30, bpm = 72, depth = 0.004, noise = 0.3, seed = 1 } = {}) => {
+  const random = seededRandom(seed);
+  const samples = [];
+  for (let t = 0; t < sec * 1000; t += 30 + random() * 6) {
+    const pulse = bpm > 0 ? Math.sin((2 * Math.PI * bpm * t) / 60000) : 0;
+    const light = 1 + 0.05 * Math.sin((2 * Math.PI * t) / 20000);
+    const channel = (name) =>
+      SKIN[name] * light * (1 + depth * PULSE_SIGNATURE[name] * pulse) + (random() - 0.5) * 2 * noise;
+    samples.push({ t, r: channel('r'), g: channel('g'), b: channel('b') });
+  }
+  return samples;
+};
+
+describe('estimateHeartRate', () => {
+  it.each([54, 72, 96, 130])('recovers a pulse of %i bpm', (bpm) => {
+    const { heartRate, quality } = estimateHeartRate(skinTrace({ bpm }));
+    expect(quality.status).toBe('ok');
+    expect(heartRate).toBeGreaterThan(bpm - 2);
+    expect(heartRate).toBeLessThan(bpm + 2);
+  });
+
+  it('reports no reading for noise alone', () => {
+    const { heartRate, quality } = estimateHeartRate(skinTrace({ bpm: 0, noise: 1 }));
+    expect(heartRate).toBeNull();
+    expect(quality.status).toBe('low-quality');
+  });
+
+  it('needs a full window', () => {
+    const { heartRate, quality } = estimateHeartRate(skinTrace({ sec: 8 }));
+    expect(heartRate).toBeNull();
+    expect(quality.status).toBe('insufficient-data');
+  });
+
+  it('skips windows with dropouts', () => {
+    const samples = skinTrace({ sec: 30 }).filter((s) => s.t < 12000 || s.t > 13000);
+    const { quality } = estimateHeartRate(samples);
+    expect(quality.windowsTotal).toBeLessThan(11);
+    expect(quality.status).toBe('ok');
+  });
+});
+
+describe('estimateLiveHeartRate', () => {
+  it('reads the latest window once it is nearly full', () => {
+    const samples = skinTrace({ sec: 12, bpm: 84 });
+    expect(estimateLiveHeartRate(samples.filter((s) => s.t < 7000))).toBeNull();
+    const { bpm } = estimateLiveHeartRate(samples);
+    expect(bpm).toBeGreaterThan(82);
+    expect(bpm).toBeLessThan(86);
+  });
+});
+
+describe('sampleSkinColor', () => {
+  it('averages the pixels inside the skin regions', () => {
+    const ctx = {
+      getImageData: (x, y, width, height) => ({
+        data: Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => [200, 150, 120, 255][i % 4])
+      })
+    };
+    expect(sampleSkinColor(ctx, syntheticFace(), 480, 480)).toEqual({ r: 200, g: 150, b: 120 });
+  });
+});
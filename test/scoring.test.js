@@ -0,0 +1,100 @@
+// Model-driven scoring: the bundled banded model has to reproduce the
+// thresholds the app scored with before scoring moved into JSON models.
+
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_MODEL_ID, ModelError, getModel, scoreAssessment, validateModel } from '../src/lib/scoring';
+
+// The original hard-coded scoring: points per feature, the two evoked
+// tasks averaged and blended half-and-half into motion
+const baselineRisk = ({ blinkRate, motion, asymmetry, smileAmplitude = null, browExcursion = null }) => {
+  const blink = blinkRate >= 13 ? 0 : blinkRate >= 10 ? 12 : blinkRate >= 7 ? 28 : blinkRate >= 4 ? 36 : 40;
+  let motionPoints = motion >= 2.5 ? 0 : motion >= 1.5 ? 5 : motion >= 1.0 ? 15 : motion >= 0.6 ? 26 : 35;
+  const evoked = [];
+  if (smileAmplitude !== null) {
+    evoked.push(smileAmplitude >= 0.3 ? 0 : smileAmplitude >= 0.2 ? 12 : smileAmplitude >= 0.1 ? 24 : 35);
+  }
+  if (browExcursion !== null) {
+    evoked.push(browExcursion >= 0.08 ? 0 : browExcursion >= 0.05 ? 12 : browExcursion >= 0.03 ? 24 : 35);
+  }
+  if (evoked.length > 0) {
+    motionPoints = Math.round((motionPoints + evoked.reduce((a, b) => a + b, 0) / evoked.length) / 2);
+  }
+  const asymmetryPoints = asymmetry < 0.035 ? 0 : asymmetry < 0.05 ? 8 : asymmetry < 0.07 ? 16 : 25;
+  const percentage = blink + motionPoints + asymmetryPoints;
+  return { percentage, level: percentage >= 45 ? 'High' : percentage >= 20 ? 'Medium' : 'Low' };
+};
+
+// Values on and either side of every band edge
+const BLINK_RATES = [0, 3.9, 4, 6.9, 7, 9.9, 10, 12.9, 13, 16.9, 17, 30];
+const MOTIONS = [0, 0.59, 0.6, 0.99, 1, 1.49, 1.5, 2.49, 2.5, 3.99, 4, 8];
+const ASYMMETRIES = [0, 0.0349, 0.035, 0.0499, 0.05, 0.0699, 0.07, 0.2];
+const SMILES = [null, 0, 0.1, 0.2, 0.3];
+const BROWS = [null, 0, 0.03, 0.05, 0.08];
+
+describe('scoreAssessment with the banded model', () => {
+  const model = getModel('facial-banded');
+
+  it('matches the baseline thresholds on every band edge', () => {
+    for (const blinkRate of BLINK_RATES) {
+      for (const motion of MOTIONS) {
+        for (const asymmetry of ASYMMETRIES) {
+          const features = { blinkRate, motion, asymmetry };
+          const { percentage, level } = scoreAssessment(features, model);
+          expect({ percentage, level }, JSON.stringify(features)).toEqual(baselineRisk(features));
+        }
+      }
+    }
+  });
+
+  it('matches the baseline blend of the evoked tasks into motion', () => {
+    for (const motion of MOTIONS) {
+      for (const smileAmplitude of SMILES) {
+        for (const browExcursion of BROWS) {
+          const features = { blinkRate: 15, motion, asymmetry: 0.02, smileAmplitude, browExcursion };
+          const { percentage } = scoreAssessment(features, model);
+          expect(percentage, JSON.stringify(features)).toBe(baselineRisk(features).percentage);
+        }
+      }
+    }
+  });
+
+  it('breaks the score down per component', () => {
+    const scored = scoreAssessment({ blinkRate: 8, motion: 1.2, asymmetry: 0.06 }, model);
+    expect(scored.components.map(({ id, points }) => [id, points])).toEqual([
+      ['blink', 28],
+      ['motion', 15],
+      ['asymmetry', 16]
+    ]);
+    expect(scored).toMatchObject({ percentage: 59, level: 'High', model: { id: 'facial-banded', type: 'banded' } });
+  });
+});
+
+describe('scoreAssessment with the logistic model', () => {
+  it('rises with lower blink rate and motion', () => {
+    const model = getModel('facial-logistic');
+    const healthy = scoreAssessment({ blinkRate: 18, motion: 3, asymmetry: 0.02 }, model);
+    const masked = scoreAssessment({ blinkRate: 5, motion: 0.5, asymmetry: 0.06 }, model);
+    expect(masked.percentage).toBeGreaterThan(healthy.percentage);
+    expect(healthy.percentage).toBeGreaterThanOrEqual(0);
+    expect(masked.percentage).toBeLessThanOrEqual(100);
+    expect(typeof masked.logit).toBe('number');
+  });
+});
+
+describe('getModel', () => {
+  it('resolves ids, versions and definitions', () => {
+    expect(getModel().id).toBe(DEFAULT_MODEL_ID);
+    const { version } = getModel('facial-banded');
+    expect(getModel(`facial-banded@${version}`).version).toBe(version);
+    const custom = { ...getModel(), id: 'custom', version: '2.0.0' };
+    expect(getModel(custom)).toBe(custom);
+  });
+
+  it('rejects unknown references and malformed definitions', () => {
+    expect(() => getModel('nope')).toThrow(ModelError);
+    expect(() => getModel('facial-banded@9.9.9')).toThrow(ModelError);
+    expect(() => validateModel({ id: 'x', version: '1', type: 'banded', levels: [], components: [] }))
+      .toThrow(/levels/);
+    expect(() => validateModel({ ...getModel(), type: 'forest' })).toThrow(/unknown model type/);
+  });
+});
@@ -0,0 +1,152 @@
+// Session analysis on synthetic faces: task segments and the session's
+// quality verdict.
+
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { FRAME, NoiseCanvas, seededRandom, syntheticFace } from './fixtures/face';
+import { TASKS } from '../src/lib/protocol';
+import { CALIBRATION_MS } from '../src/lib/blinkDetector';
+
+const FRAME_MS = 33;
+const BLINK_MS = 150;
+
+let createSessionAnalysis;
+let MOTION_LANDMARKS;
+
+beforeAll(async () => {
+  vi.stubGlobal('OffscreenCanvas', NoiseCanvas);
+  ({ createSessionAnalysis, MOTION_LANDMARKS } = await import('../src/lib/sessionAnalysis'));
+});
+
+// Runs calibration, then each step `{ task, sec, blinksAt: [sec, ...],
+// paused }` (task null for a lead-in, left out to carry on with the last;
+// `paused` the reason for a step spent paused, whose frames have no face
+// when it's 'face-lost') and finishes the session. Frames come every
+// `frameMs`; `sway(t)` moves the mouth sideways (image units) at time t ms.
+const runSession = (steps, { frameMs = FRAME_MS, jitter = 0.002, sway = null } = {}) => {
+  const random = seededRandom(3);
+  const analysis = createSessionAnalysis();
+  let t = 0;
+  const frame = (ear = 0.3, face = true) => {
+    let landmarks = face ? syntheticFace({ ear, jitter, random }) : null;
+    if (landmarks && sway) {
+      const dx = sway(t);
+      landmarks = landmarks.map((point, i) => (MOTION_LANDMARKS.includes(i) ? { ...point, x: point.x + dx } : point));
+    }
+    analysis.addFrame(t, landmarks, FRAME, 1);
+    t += frameMs;
+  };
+
+  analysis.start();
+  while (t < CALIBRATION_MS) frame();
+  analysis.begin();
+  for (const { task, sec, blinksAt = [], paused = null } of steps) {
+    if (task !== undefined) analysis.setTask(task);
+    if (paused) analysis.pause(paused);
+    const start = t;
+    while (t < start + sec * 1000) {
+      const since = t - start;
+      const blinking = blinksAt.some((at) => since >= at * 1000 && since < at * 1000 + BLINK_MS);
+      frame(blinking ? 0.05 : 0.3, paused !== 'face-lost');
+    }
+    if (paused) analysis.resume();
+  }
+  analysis.setTask(null);
+  return analysis.finish().result;
+};
+
+describe('createSessionAnalysis', () => {
+  it('keeps every run of a task that the protocol repeats', () => {
+    const result = runSession([
+      { task: TASKS.rest, sec: 4, blinksAt: [1, 3] },
+      { task: null, sec: 1 },
+      { task: TASKS.reading, sec: 4, blinksAt: [2] },
+      { task: null, sec: 1 },
+      { task: TASKS.rest, sec: 4, blinksAt: [2] }
+    ]);
+    expect(result.status).toBe('complete');
+    const { count, events } = result.details.blinkKinematics;
+    expect(count).toBe(4);
+    expect(events.map((event) => event.task)).toEqual(['rest', 'rest', 'reading', 'rest']);
+    expect(events.map((event) => event.segment)).toEqual([0, 0, 1, 2]);
+    // 4 blinks over the 12 s of spontaneous tasks
+    expect(result.details.blinkRate).toBeCloseTo(20, 0);
+  });
+
+  it('leaves pauses out of the inter-blink intervals', () => {
+    const result = runSession([
+      { task: TASKS.rest, sec: 4, blinksAt: [1, 3] },
+      { sec: 10, paused: 'user' },
+      { sec: 4, blinksAt: [1, 3] }
+    ]);
+    const { count, ibiMean, ibiCv } = result.details.blinkKinematics;
+    expect(count).toBe(4);
+    // Two 2 s intervals either side of the pause, none across it
+    expect(ibiMean).toBeCloseTo(2, 1);
+    expect(ibiCv).toBeLessThan(0.05);
+  });
+
+  it('counts a face-lost pause against face coverage', () => {
+    const result = runSession([
+      { task: TASKS.rest, sec: 4 },
+      { sec: 3, paused: 'face-lost' },
+      { sec: 4 }
+    ]);
+    // 8 s with a face out of 11
+    expect(result.status).toBe('inconclusive');
+    expect(result.quality.coverage.face).toBeCloseTo(8 / 11, 1);
+    expect(result.quality.reasons.map((reason) => reason.code)).toContain('face');
+  });
+
+  it('stops counting against face coverage once the user takes over the pause', () => {
+    const random = seededRandom(5);
+    const analysis = createSessionAnalysis();
+    let t = 0;
+    const frames = (sec, face) => {
+      for (const end = t + sec * 1000; t < end; t += FRAME_MS) {
+        analysis.addFrame(t, face ? syntheticFace({ jitter: 0.002, random }) : null, FRAME, 1);
+      }
+    };
+    analysis.start();
+    frames(3, true);
+    analysis.begin();
+    analysis.setTask(TASKS.rest);
+    frames(4, true);
+    analysis.pause('face-lost');
+    frames(1, false);
+    analysis.pause('user');
+    frames(10, false);
+    analysis.resume();
+    frames(4, true);
+    // 8 s with a face out of 9
+    expect(analysis.finish().result.quality.coverage.face).toBeCloseTo(8 / 9, 1);
+  });
+
+  it("doesn't count a user pause against face coverage", () => {
+    const result = runSession([
+      { task: TASKS.rest, sec: 4 },
+      { sec: 3, paused: 'user' },
+      { sec: 4 }
+    ]);
+    expect(result.status).toBe('complete');
+    expect(result.quality.coverage.face).toBe(1);
+  });
+});
+
+describe('createSessionAnalysis at different frame rates', () => {
+  // 0.005 either way at 0.5 Hz: a mean speed of 4 * 0.005 * 0.5 units/s,
+  // which the motion score gives per 1/30 s (×1000)
+  const sway = (t) => 0.005 * Math.sin((2 * Math.PI * t) / 2000);
+  const MOTION_SCORE = ((4 * 0.005 * 0.5) * 1000) / 30;
+
+  it.each([16, 33, 66])('measures the same session at a frame every %i ms', (frameMs) => {
+    const result = runSession([
+      { task: TASKS.rest, sec: 12, blinksAt: [1, 4, 7, 10] }
+    ], { frameMs, jitter: 0, sway });
+    expect(result.status).toBe('complete');
+    expect(result.details.blinkKinematics.count).toBe(4);
+    expect(result.details.blinkRate).toBeCloseTo(20, 0);
+    expect(result.details.motion).toBeGreaterThan(MOTION_SCORE * 0.95);
+    expect(result.details.motion).toBeLessThan(MOTION_SCORE * 1.05);
+    expect(result.quality.fps).toBeCloseTo(1000 / frameMs, 1);
+  });
+});
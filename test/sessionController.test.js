@@ -0,0 +1,149 @@
+// The recording session's state machine, on fake timers.
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CALIBRATION_MS } from '../src/lib/blinkDetector';
+import { FACE_LOSS_PAUSE_MS, FACE_RETURN_MS, createSessionController } from '../src/lib/sessionController';
+
+const TASKS = [
+  { id: 'rest', durationSec: 3 },
+  { id: 'smile', durationSec: 2 }
+];
+
+// Controller on the fake clock, recording every change as
+// `state:<state>`, `step:<task>/<phase>` or `tick:<remainingSec>`
+const createRecorded = (options = {}) => {
+  const controller = createSessionController({ tasks: TASKS, leadInSec: 1, now: () => Date.now(), ...options });
+  const changes = [];
+  controller.subscribe((change, snapshot) => {
+    if (change === 'state') changes.push(`state:${snapshot.state}`);
+    if (change === 'step') changes.push(`step:${snapshot.task.id}/${snapshot.phase}`);
+    if (change === 'tick') changes.push(`tick:${snapshot.remainingSec}`);
+  });
+  return { controller, changes };
+};
+
+// `face` in the analysed frames every 100 ms for `ms`
+const faceFor = (controller, face, ms) => {
+  for (let t = 0; t < ms; t += 100) {
+    vi.advanceTimersByTime(100);
+    controller.faceUpdate(face);
+  }
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createSessionController', () => {
+  it('calibrates, then runs each lead-in and task to completion', () => {
+    const { controller, changes } = createRecorded();
+    expect(controller.start()).toBe(true);
+    expect(controller.state).toBe('calibrating');
+    vi.advanceTimersByTime(CALIBRATION_MS);
+    expect(controller.state).toBe('recording');
+    vi.advanceTimersByTime(7000);
+    expect(controller.state).toBe('completed');
+    expect(changes.filter((change) => !change.startsWith('tick'))).toEqual([
+      'state:calibrating',
+      'state:recording',
+      'step:rest/prepare',
+      'step:rest/active',
+      'step:smile/prepare',
+      'step:smile/active',
+      'state:completed'
+    ]);
+    expect(controller.snapshot().elapsedSec).toBeCloseTo(7, 1);
+    expect(controller.snapshot().totalSec).toBe(7);
+  });
+
+  it('counts each task down in whole seconds', () => {
+    const { controller, changes } = createRecorded({ leadInSec: 0 });
+    controller.start();
+    controller.begin();
+    vi.advanceTimersByTime(3000);
+    expect(changes.filter((change) => change.startsWith('tick'))).toEqual(['tick:2', 'tick:1']);
+  });
+
+  it('stops the clock while paused', () => {
+    const { controller } = createRecorded();
+    controller.start();
+    controller.begin();
+    vi.advanceTimersByTime(2000);
+    expect(controller.pause()).toBe(true);
+    expect(controller.snapshot().pauseReason).toBe('user');
+    vi.advanceTimersByTime(60000);
+    expect(controller.state).toBe('paused');
+    expect(controller.resume()).toBe(true);
+    vi.advanceTimersByTime(4800);
+    expect(controller.state).toBe('recording');
+    vi.advanceTimersByTime(400);
+    expect(controller.state).toBe('completed');
+    expect(controller.snapshot().elapsedSec).toBeCloseTo(7, 0);
+  });
+
+  it('pauses while the face is out of view and resumes when it is back', () => {
+    const { controller } = createRecorded();
+    controller.start();
+    controller.begin();
+    faceFor(controller, false, FACE_LOSS_PAUSE_MS - 200);
+    expect(controller.state).toBe('recording');
+    faceFor(controller, false, 300);
+    expect(controller.snapshot()).toMatchObject({ state: 'paused', pauseReason: 'face-lost' });
+    faceFor(controller, true, FACE_RETURN_MS - 200);
+    expect(controller.state).toBe('paused');
+    faceFor(controller, true, 300);
+    expect(controller.state).toBe('recording');
+  });
+
+  it("doesn't resume a pause the user took over when the face returns", () => {
+    const { controller } = createRecorded();
+    controller.start();
+    controller.begin();
+    faceFor(controller, false, FACE_LOSS_PAUSE_MS + 100);
+    expect(controller.pause()).toBe(true);
+    expect(controller.snapshot().pauseReason).toBe('user');
+    faceFor(controller, true, FACE_RETURN_MS * 4);
+    expect(controller.state).toBe('paused');
+  });
+
+  it('ignores the face without auto-pause', () => {
+    const { controller } = createRecorded({ autoPause: false });
+    controller.start();
+    controller.begin();
+    faceFor(controller, false, FACE_LOSS_PAUSE_MS * 3);
+    expect(controller.state).toBe('recording');
+  });
+
+  it('ends once: stop() completes and cancel() aborts', () => {
+    const stopped = createRecorded();
+    stopped.controller.start();
+    stopped.controller.begin();
+    expect(stopped.controller.stop()).toBe(true);
+    expect(stopped.controller.stop()).toBe(false);
+    expect(stopped.controller.cancel()).toBe(false);
+    expect(stopped.changes.filter((change) => change === 'state:completed')).toHaveLength(1);
+
+    const cancelled = createRecorded();
+    cancelled.controller.start();
+    expect(cancelled.controller.cancel()).toBe(true);
+    vi.advanceTimersByTime(CALIBRATION_MS);
+    expect(cancelled.controller.state).toBe('aborted');
+    expect(cancelled.controller.begin()).toBe(false);
+  });
+
+  it('leaves the end to stop() when untimed', () => {
+    const { controller } = createRecorded({ timed: false, calibrationMs: null });
+    controller.start();
+    vi.advanceTimersByTime(CALIBRATION_MS * 2);
+    expect(controller.state).toBe('calibrating');
+    controller.begin();
+    vi.advanceTimersByTime(60000);
+    expect(controller.state).toBe('recording');
+    expect(controller.stop()).toBe(true);
+    expect(controller.state).toBe('completed');
+  });
+});
@@ -0,0 +1,58 @@
+// Speech metrics on the WAV fixtures in test/fixtures/speech (regenerate
+// them with generate.mjs there): decodeWav -> analyzeSpeech, as offline.
+
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { decodeWav } from '../src/lib/wav';
+import { analyzeSpeech } from '../src/lib/speech';
+
+const analyze = (name) => {
+  const { samples, sampleRate } = decodeWav(readFileSync(new URL(`./fixtures/speech/${name}.wav`, import.meta.url)));
+  return analyzeSpeech(samples, sampleRate);
+};
+
+// RMS of the fixtures' voice: eight 1/k harmonics summing to at most 0.1
+const VOICE_DB = -29.9;
+
+describe('analyzeSpeech on WAV fixtures', () => {
+  it('reads a steady tone as monotone at its pitch', () => {
+    const speech = analyze('steady-tone');
+    expect(speech.quality.status).toBe('ok');
+    expect(speech.speechSec).toBeCloseTo(1.2, 1);
+    expect(speech.pitch.meanHz).toBeCloseTo(150, 0);
+    expect(speech.pitch.sdSemitones).toBeLessThan(0.05);
+    expect(speech.pauseRatio).toBe(0);
+    expect(speech.loudness.meanDb).toBeCloseTo(VOICE_DB, 0);
+    expect(speech.loudness.sdDb).toBeLessThan(3);
+  });
+
+  it('reads an octave glide as its geometric spread', () => {
+    const speech = analyze('pitch-glide');
+    expect(speech.quality.status).toBe('ok');
+    // Mean of 120 * 2^t over t in [0, 1] is 120 / ln 2; an even spread over
+    // 12 semitones has an SD of 12 / sqrt(12)
+    expect(speech.pitch.meanHz).toBeCloseTo(120 / Math.LN2, 0);
+    expect(speech.pitch.sdSemitones).toBeCloseTo(Math.sqrt(12), 1);
+    expect(speech.pauseRatio).toBe(0);
+    expect(speech.loudness.meanDb).toBeCloseTo(VOICE_DB, 0);
+  });
+
+  it('counts gaps of 250 ms or more as pauses and shorter ones as speech', () => {
+    const speech = analyze('speech-pauses');
+    expect(speech.quality.status).toBe('ok');
+    // 2 s of bursts plus the two 0.15 s gaps (and the 25 ms frames' overlap
+    // at each edge); the 0.5 and 0.4 s gaps are pauses in a 3.2 s utterance
+    expect(speech.speechSec).toBeGreaterThan(2.3);
+    expect(speech.speechSec).toBeLessThan(2.45);
+    expect(speech.pauseRatio).toBeGreaterThan(0.25);
+    expect(speech.pauseRatio).toBeLessThan(0.9 / 3.2);
+    expect(speech.pitch.meanHz).toBeCloseTo(150, 0);
+    expect(speech.pitch.sdSemitones).toBeLessThan(0.05);
+    // ...but loudness and pitch come from the bursts alone (within the dB
+    // lost to the frames that straddle each burst's edges)
+    expect(speech.loudness.meanDb).toBeGreaterThan(VOICE_DB - 1);
+    expect(speech.loudness.meanDb).toBeLessThan(VOICE_DB);
+    expect(speech.loudness.sdDb).toBeLessThan(5);
+    expect(speech.quality.voiced).toBeGreaterThan(0.9);
+  });
+});
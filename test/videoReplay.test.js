@@ -0,0 +1,49 @@
+// Replay errors: coded, with a message in every locale.
+
+import { describe, expect, it } from 'vitest';
+import { VideoError, openVideoFile, seekTo } from '../src/lib/videoReplay';
+import { LANGUAGES, createI18n } from '../src/lib/i18n';
+
+// <video> stand-in that fails with an error as soon as it's asked to load
+// or seek
+const brokenVideo = () => {
+  const listeners = {};
+  const fire = (type) => listeners[type]?.forEach((listener) => listener());
+  return {
+    readyState: 0,
+    addEventListener: (type, listener) => (listeners[type] ??= []).push(listener),
+    removeEventListener: (type, listener) => {
+      listeners[type] = listeners[type]?.filter((other) => other !== listener);
+    },
+    load: () => fire('error'),
+    set src(value) {},
+    get currentTime() {
+      return 0;
+    },
+    set currentTime(value) {
+      fire('error');
+    }
+  };
+};
+
+describe('videoReplay errors', () => {
+  it("rejects a file the browser can't open as unsupported", async () => {
+    const file = new File([new Uint8Array(8)], 'clip.mov', { type: 'video/quicktime' });
+    const error = await openVideoFile(brokenVideo(), file).catch((err) => err);
+    expect(error).toBeInstanceOf(VideoError);
+    expect(error.code).toBe('unsupported');
+    expect(error.message).toContain('clip.mov');
+  });
+
+  it('rejects a failed seek as unreadable', async () => {
+    const error = await seekTo(brokenVideo(), 2).catch((err) => err);
+    expect(error).toBeInstanceOf(VideoError);
+    expect(error.code).toBe('unreadable');
+  });
+
+  it.each(LANGUAGES)('has both messages in %s', (language) => {
+    const { t } = createI18n(language);
+    expect(t('camera.videoUnsupported', { name: 'clip.mov' })).toContain('clip.mov');
+    expect(t('camera.videoUnreadable')).not.toBe('camera.videoUnreadable');
+  });
+});
@@ -1,7 +1,165 @@
-import { defineConfig } from 'vite'
+import { existsSync, mkdirSync, readFileSync, readdirSync, createReadStream, writeFileSync } from 'node:fs'
+import { dirname, join, resolve } from 'node:path'
+import { createRequire } from 'node:module'
+import { defineConfig, type Plugin } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+// MediaPipe Tasks runtime files (wasm loaders and binaries) plus the face
+// landmarker model are shipped with the app under mediapipe/tasks-vision/
+// instead of being fetched from a CDN at runtime.
+const MEDIAPIPE_DIR = 'mediapipe/tasks-vision'
+// (the package only exports the files themselves, not package.json)
+const WASM_DIR = dirname(require.resolve('@mediapipe/tasks-vision/vision_wasm_internal.wasm'))
+
+// The model isn't on npm. FACE_LANDMARKER_MODEL points at a local copy;
+// otherwise it is downloaded once into node_modules/.cache.
+const MODEL_FILE = 'face_landmarker.task'
+const MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+const MODEL_CACHE = resolve('node_modules/.cache/mediapipe', MODEL_FILE)
+
+let modelPromise: Promise<string> | null = null
+
+// Path of the model file; rejects with instructions when it can't be found
+// or downloaded
+const resolveModel = () => {
+  modelPromise ??= (async () => {
+    const local = process.env.FACE_LANDMARKER_MODEL
+    if (local) {
+      if (!existsSync(local)) throw new Error(`FACE_LANDMARKER_MODEL file not found: ${local}`)
+      return local
+    }
+    if (existsSync(MODEL_CACHE)) return MODEL_CACHE
+    try {
+      const response = await fetch(MODEL_URL, { signal: AbortSignal.timeout(60000) })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      mkdirSync(dirname(MODEL_CACHE), { recursive: true })
+      writeFileSync(MODEL_CACHE, Buffer.from(await response.arrayBuffer()))
+      return MODEL_CACHE
+    } catch (err) {
+      modelPromise = null
+      throw new Error(
+        `Could not download ${MODEL_FILE} (${(err as Error).message}). ` +
+          `Download it from ${MODEL_URL} and set FACE_LANDMARKER_MODEL to its path.`,
+      )
+    }
+  })()
+  return modelPromise
+}
+
+const wasmFiles = () => readdirSync(WASM_DIR)
+
+// Serves the MediaPipe files during `vite dev` (wasm from node_modules, the
+// model from resolveModel) and copies them into `dist/mediapipe/tasks-vision/`
+// on build. A missing model fails the request in dev and fails the build:
+// the app has to run offline from what the build ships.
+function mediapipeAssets(): Plugin {
+  return {
+    name: 'mediapipe-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0] ?? ''
+        const prefix = `${server.config.base}${MEDIAPIPE_DIR}/`
+        if (!url.startsWith(prefix)) return next()
+        const file = url.slice(prefix.length)
+        if (file === MODEL_FILE) {
+          resolveModel().then(
+            (path) => {
+              res.setHeader('Content-Type', 'application/octet-stream')
+              createReadStream(path).pipe(res)
+            },
+            (err) => {
+              server.config.logger.error(err.message)
+              res.statusCode = 404
+              res.end(err.message)
+            },
+          )
+          return
+        }
+        if (!wasmFiles().includes(file)) return next()
+        if (file.endsWith('.wasm')) res.setHeader('Content-Type', 'application/wasm')
+        else if (file.endsWith('.js')) res.setHeader('Content-Type', 'text/javascript')
+        createReadStream(join(WASM_DIR, file)).pipe(res)
+      })
+    },
+    async generateBundle() {
+      for (const file of wasmFiles()) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${MEDIAPIPE_DIR}/${file}`,
+          source: readFileSync(join(WASM_DIR, file)),
+        })
+      }
+      let model: string
+      try {
+        model = await resolveModel()
+      } catch (err) {
+        this.error((err as Error).message)
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: `${MEDIAPIPE_DIR}/${MODEL_FILE}`,
+        source: readFileSync(model),
+      })
+    },
+  }
+}
+
+// Library builds (`npm run build:lib`) go to dist-lib/:
+//   --mode lib      React component + pipeline, React left to the consumer
+//   --mode element  self-contained <facial-assessment> custom element
+const LIB_OUT_DIR = 'dist-lib'
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const plugins = [react(), mediapipeAssets()]
+  // The analysis worker is created with `type: 'module'` (see
+  // src/lib/analysisEngine.js), so build it as ES too
+  const worker = { format: 'es' as const }
+
+  if (mode === 'lib') {
+    return {
+      plugins,
+      worker,
+      // Worker chunk URLs relative to the bundle, wherever it is served from
+      base: './',
+      build: {
+        outDir: LIB_OUT_DIR,
+        copyPublicDir: false,
+        lib: {
+          entry: 'src/index.js',
+          formats: ['es', 'cjs'],
+          fileName: 'facial-assessment',
+          cssFileName: 'style',
+        },
+        rollupOptions: {
+          external: ['react', 'react-dom', 'react/jsx-runtime', 'lucide-react'],
+        },
+      },
+    }
+  }
+
+  if (mode === 'element') {
+    return {
+      plugins,
+      worker,
+      base: './',
+      // React is bundled, so it needs a production process.env.NODE_ENV
+      define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+      build: {
+        outDir: LIB_OUT_DIR,
+        emptyOutDir: false,
+        copyPublicDir: false,
+        lib: {
+          entry: 'src/element.jsx',
+          formats: ['es'],
+          fileName: () => 'facial-assessment-element.js',
+        },
+      },
+    }
+  }
+
+  return { plugins, worker }
 })